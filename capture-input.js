@@ -0,0 +1,885 @@
+/**
+ * Capture input adapters shared by har-to-openapi.js and har_to_bodies.js
+ *
+ * Reads request captures in several formats and yields them as HAR 1.2
+ * entries, so everything downstream (harEntryToEndpoint, parseRequestBody,
+ * redaction, decoders) only ever sees one shape. The format is detected
+ * from the file contents, not its name:
+ *
+ *   har         HAR 1.2 (streamed by har-stream.js)
+ *   jsonl       one JSON request log record per line (HAR entries, flat
+ *               { method, url, headers, body, status, ... } records or
+ *               har_to_bodies.js records)
+ *   curl        pasted `curl` commands ("Copy as cURL (bash)"), one or many
+ *   mitmproxy   mitmproxy / mitmdump flow files (`mitmdump -w flows`)
+ *   access-log  Common / Combined Log Format lines (nginx, Apache)
+ *
+ *   const reader = createCaptureReader("./requests.jsonl");
+ *   console.log(reader.format); // "jsonl"
+ *   for await (const entry of reader.entries()) { ... }
+ *
+ * Readers have the same fields as createHarReader (path, totalBytes,
+ * bytesRead, gzip, version, count, entries()), plus `format`. Every format
+ * may be gzipped. curl commands carry no response, so their entries have
+ * status 0, as in a HAR of aborted calls; access-log entries have the logged
+ * status but no body, and only the path as their URL.
+ * Entries without a timestamp get the file's mtime plus their index in ms,
+ * so startedDateTime still tells them apart (review.js keys examples on it).
+ */
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import readline from "readline";
+import { createHarReader, isGzip } from "./har-stream.js";
+
+export const CAPTURE_FORMATS = [
+  "har",
+  "jsonl",
+  "curl",
+  "mitmproxy",
+  "access-log",
+];
+
+// Enough to see the first record of any format
+const SNIFF_BYTES = 64 * 1024;
+
+// %h %l %u %t "%r" %>s %b ["%{Referer}i" "%{User-agent}i"]
+const ACCESS_LOG_RE =
+  /^(\S+) \S+ (\S+) \[([^\]]+)\] "([A-Z]+) (\S+)(?: (HTTP\/[\d.]+))?" (\d{3}) (\d+|-)(?: "([^"]*)" "([^"]*)")?/;
+
+function readHead(filePath, gzip) {
+  const fd = fs.openSync(filePath, "r");
+  const buf = Buffer.alloc(SNIFF_BYTES);
+  let n;
+  try {
+    n = fs.readSync(fd, buf, 0, SNIFF_BYTES, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (!gzip) return buf.subarray(0, n);
+  try {
+    // A truncated gzip stream still inflates up to where it was cut
+    return zlib.gunzipSync(buf.subarray(0, n), {
+      finishFlush: zlib.constants.Z_SYNC_FLUSH,
+    });
+  } catch (err) {
+    throw new Error(`Cannot gunzip ${filePath}: ${err.message}`);
+  }
+}
+
+function parseJsonLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Guess the capture format from the first bytes of the file. Empty files
+ * fall back to the extension (an empty .jsonl is an empty log, not a
+ * broken HAR).
+ */
+export function detectCaptureFormat(filePath, gzip = isGzip(filePath)) {
+  const head = readHead(filePath, gzip);
+  // A flow is a tnetstring dict whose first key is itself a tnetstring
+  if (/^\d+:\d+:/.test(head.subarray(0, 32).toString("latin1"))) {
+    return "mitmproxy";
+  }
+
+  const text = head.toString("utf8").replace(/^\uFEFF/, "");
+  const lines = text
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#"));
+  if (!lines.length) {
+    return /\.(jsonl|ndjson)(\.gz)?$/i.test(filePath) ? "jsonl" : "har";
+  }
+
+  const first = lines[0];
+  if (/^(\$\s+)?curl\s/.test(first)) return "curl";
+  if (first.startsWith("{")) {
+    // A HAR is one document (usually pretty-printed); JSONL is one per line
+    const record = parseJsonLine(first);
+    if (record?.log) return "har";
+    if (logRecordToEntry(record)) return "jsonl";
+    // Other JSON documents (a spec, a Postman export) open the same way
+    if (/"log"\s*:\s*\{/.test(text)) return "har";
+  }
+  if (ACCESS_LOG_RE.test(first)) return "access-log";
+
+  throw new Error(
+    `Unrecognised capture format: ${filePath} (expected ${CAPTURE_FORMATS.join(
+      ", "
+    )})`
+  );
+}
+
+// ---- HAR entry shape ----
+
+function headerList(headers) {
+  if (!headers) return [];
+  if (Array.isArray(headers)) {
+    return headers
+      .map((h) =>
+        Array.isArray(h)
+          ? { name: String(h[0]), value: String(h[1] ?? "") }
+          : { name: String(h?.name ?? ""), value: String(h?.value ?? "") }
+      )
+      .filter((h) => h.name);
+  }
+  if (typeof headers === "object") {
+    return Object.entries(headers).flatMap(([name, value]) =>
+      (Array.isArray(value) ? value : [value]).map((v) => ({
+        name,
+        value: String(v ?? ""),
+      }))
+    );
+  }
+  return [];
+}
+
+function headerValue(headers, name) {
+  return headers.find((h) => h.name.toLowerCase() === name)?.value;
+}
+
+function toIsoTime(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value === "number" || /^\d+(\.\d+)?$/.test(String(value))) {
+    const n = Number(value);
+    // Seconds (mitmproxy, most loggers) or milliseconds since the epoch
+    return new Date(n < 1e11 ? n * 1000 : n).toISOString();
+  }
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? new Date(t).toISOString() : undefined;
+}
+
+function bodyToText(body) {
+  if (body === undefined || body === null) return undefined;
+  if (Buffer.isBuffer(body)) return body.toString("utf8");
+  return typeof body === "string" ? body : JSON.stringify(body);
+}
+
+function postDataFor(body, headers) {
+  const text = bodyToText(body);
+  if (text === undefined || text === "") return undefined;
+  const mimeType =
+    headerValue(headers, "content-type") ||
+    (typeof body === "object" || /^\s*[[{]/.test(text)
+      ? "application/json"
+      : "text/plain");
+  const postData = { mimeType, text };
+  if (/^application\/x-www-form-urlencoded/i.test(mimeType)) {
+    postData.params = Array.from(
+      new URLSearchParams(text),
+      ([name, value]) => ({
+        name,
+        value,
+      })
+    );
+  }
+  return postData;
+}
+
+function contentFor(body, headers) {
+  const mimeType = headerValue(headers, "content-type") || "";
+  if (body === undefined || body === null) return { size: 0, mimeType };
+  if (Buffer.isBuffer(body)) {
+    const text = body.toString("utf8");
+    // Bytes that are not UTF-8 text travel base64-encoded, as in a HAR
+    return text.includes("\uFFFD")
+      ? {
+          size: body.length,
+          mimeType,
+          text: body.toString("base64"),
+          encoding: "base64",
+        }
+      : { size: body.length, mimeType, text };
+  }
+  const text = bodyToText(body);
+  return {
+    size: Buffer.byteLength(text),
+    mimeType: mimeType || (typeof body === "object" ? "application/json" : ""),
+    text,
+  };
+}
+
+/**
+ * Build a HAR entry from the parts every adapter can find.
+ */
+function makeEntry({
+  method = "GET",
+  url,
+  httpVersion = "HTTP/1.1",
+  headers = [],
+  body,
+  postData,
+  startedDateTime,
+  time = 0,
+  status = 0,
+  statusText = "",
+  responseHeaders = [],
+  responseBody,
+  responseSize,
+}) {
+  let queryString = [];
+  try {
+    queryString = Array.from(
+      new URL(url, "http://har.local").searchParams,
+      ([name, value]) => ({ name, value })
+    );
+  } catch {
+    // keep the URL as captured; endpoints.js repairs it when it can
+  }
+  const content = contentFor(responseBody, responseHeaders);
+  if (responseSize !== undefined && !content.text) content.size = responseSize;
+  const requestData = postData || postDataFor(body, headers);
+  return {
+    startedDateTime: toIsoTime(startedDateTime),
+    time,
+    request: {
+      method: String(method).toUpperCase(),
+      url,
+      httpVersion,
+      headers,
+      queryString,
+      cookies: [],
+      headersSize: -1,
+      bodySize: -1,
+      ...(requestData ? { postData: requestData } : {}),
+    },
+    response: {
+      status,
+      statusText,
+      httpVersion,
+      headers: responseHeaders,
+      cookies: [],
+      content,
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: content.size,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+  };
+}
+
+// ---- JSONL request logs ----
+
+const pick = (obj, keys) => {
+  for (const k of keys) if (obj?.[k] !== undefined) return obj[k];
+  return undefined;
+};
+
+/**
+ * One log record as a HAR entry. Accepts HAR entries as they are, records
+ * nesting `request` / `response` objects, and flat records with the usual
+ * logger field names.
+ */
+export function logRecordToEntry(record) {
+  if (!record || typeof record !== "object") return null;
+  if (record.request?.url && record.response?.content) return record;
+
+  const req =
+    record.request && typeof record.request === "object"
+      ? record.request
+      : record;
+  const res =
+    record.response && typeof record.response === "object"
+      ? record.response
+      : {};
+
+  const headers = headerList(
+    pick(req, ["headers", "request_headers", "requestHeaders"])
+  );
+  let url = pick(req, ["url", "uri", "href", "path", "request_uri"]);
+  if (typeof url !== "string" || !url) return null;
+  if (!/^[a-z][\w+.-]*:\/\//i.test(url)) {
+    const host =
+      pick(req, ["host", "hostname"]) || headerValue(headers, "host");
+    if (host) {
+      const scheme = pick(req, ["scheme", "protocol"]) || "https";
+      url = `${String(scheme).replace(/:$/, "")}://${host}${
+        url.startsWith("/") ? "" : "/"
+      }${url}`;
+    }
+  }
+
+  const responseHeaders = headerList(
+    pick(res, ["headers"]) ??
+      pick(record, ["responseHeaders", "response_headers"])
+  );
+  const responseBody =
+    res.content?.text ??
+    pick(res, ["body", "text", "data"]) ??
+    pick(record, ["responseBody", "response_body"]) ??
+    (typeof record.response === "string" ? record.response : undefined);
+
+  return makeEntry({
+    method: pick(req, ["method", "verb", "http_method"]) || "GET",
+    url,
+    headers,
+    body: req.postData
+      ? undefined
+      : pick(req, ["body", "requestBody", "request_body", "payload", "data"]),
+    postData: req.postData,
+    startedDateTime: pick(record, [
+      "startedDateTime",
+      "timestamp",
+      "timeStamp",
+      "ts",
+      "@timestamp",
+    ]),
+    time:
+      Number(pick(record, ["duration_ms", "duration", "elapsed", "latency"])) ||
+      0,
+    status:
+      Number(
+        pick(res, ["status", "status_code", "statusCode"]) ??
+          pick(record, ["status", "status_code", "statusCode"])
+      ) || 0,
+    statusText: pick(res, ["statusText", "reason"]) || "",
+    responseHeaders,
+    responseBody,
+  });
+}
+
+// ---- curl ----
+
+const ANSI_C_ESCAPES = {
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  "\\": "\\",
+  "'": "'",
+  '"': '"',
+};
+
+/**
+ * Split pasted shell text into words, one array per command. Handles
+ * '...', "...", $'...', backslash escapes and line continuations; commands
+ * end at an unquoted newline, `;` or `&&`.
+ */
+function shellWords(text) {
+  const commands = [];
+  let words = [];
+  let word = null;
+  const end = () => {
+    if (word !== null) words.push(word);
+    word = null;
+  };
+  const endCommand = () => {
+    end();
+    if (words.length) commands.push(words);
+    words = [];
+  };
+
+  const src = text.replace(/\\\r?\n/g, " ");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (c === "'") {
+      const close = src.indexOf("'", i + 1);
+      word = (word ?? "") + src.slice(i + 1, close === -1 ? src.length : close);
+      i = close === -1 ? src.length : close;
+    } else if (c === "$" && src[i + 1] === "'") {
+      let s = "";
+      for (i += 2; i < src.length && src[i] !== "'"; i++) {
+        if (src[i] !== "\\") {
+          s += src[i];
+          continue;
+        }
+        const n = src[++i];
+        const hex = n === "x" ? 2 : n === "u" ? 4 : 0;
+        if (hex) {
+          s += String.fromCharCode(parseInt(src.substr(i + 1, hex), 16));
+          i += hex;
+        } else {
+          s += ANSI_C_ESCAPES[n] ?? `\\${n}`;
+        }
+      }
+      word = (word ?? "") + s;
+    } else if (c === '"') {
+      let s = "";
+      for (i++; i < src.length && src[i] !== '"'; i++) {
+        if (src[i] === "\\" && /["\\$`]/.test(src[i + 1])) s += src[++i];
+        else s += src[i];
+      }
+      word = (word ?? "") + s;
+    } else if (c === "\\") {
+      word = (word ?? "") + (src[++i] ?? "");
+    } else if (c === "\n" || c === ";") {
+      endCommand();
+    } else if (c === "&" && src[i + 1] === "&") {
+      endCommand();
+      i++;
+    } else if (/\s/.test(c)) {
+      end();
+    } else if (c === "#" && word === null) {
+      // comment to end of line
+      while (i + 1 < src.length && src[i + 1] !== "\n") i++;
+    } else {
+      word = (word ?? "") + c;
+    }
+  }
+  endCommand();
+  return commands;
+}
+
+// Options whose value is not needed but must not be taken for the URL
+const CURL_IGNORED_WITH_VALUE = new Set([
+  "-o",
+  "--output",
+  "-m",
+  "--max-time",
+  "--connect-timeout",
+  "-x",
+  "--proxy",
+  "--cacert",
+  "--cert",
+  "-E",
+  "--key",
+  "-w",
+  "--write-out",
+  "--retry",
+  "--resolve",
+  "--connect-to",
+  "-c",
+  "--cookie-jar",
+  "--limit-rate",
+  "-r",
+  "--range",
+  "-y",
+  "-Y",
+  "--interface",
+  "--proxy-user",
+  "-U",
+]);
+
+/**
+ * One `curl ...` command (as words) as a HAR entry.
+ */
+function curlToEntry(words) {
+  let url;
+  let method;
+  let getQuery = false;
+  const headers = [];
+  const data = [];
+  const form = [];
+  const cookies = [];
+
+  for (let i = 1; i < words.length; i++) {
+    const w = words[i];
+    // --opt=value form
+    const eq = w.startsWith("--") ? w.indexOf("=") : -1;
+    const opt = eq === -1 ? w : w.slice(0, eq);
+    const inline = eq === -1 ? undefined : w.slice(eq + 1);
+    const next = () => inline ?? words[++i] ?? "";
+
+    switch (opt) {
+      case "-X":
+      case "--request":
+        method = next();
+        break;
+      case "-H":
+      case "--header": {
+        const h = next();
+        const colon = h.indexOf(":");
+        if (colon > 0) {
+          headers.push({
+            name: h.slice(0, colon).trim(),
+            value: h.slice(colon + 1).trim(),
+          });
+        }
+        break;
+      }
+      case "-d":
+      case "--data":
+      case "--data-raw":
+      case "--data-ascii":
+      case "--data-binary":
+      case "--data-urlencode":
+        data.push(next());
+        break;
+      case "--json":
+        data.push(next());
+        headers.push({ name: "Content-Type", value: "application/json" });
+        headers.push({ name: "Accept", value: "application/json" });
+        break;
+      case "-F":
+      case "--form":
+      case "--form-string":
+        form.push(next());
+        break;
+      case "-b":
+      case "--cookie":
+        cookies.push(next());
+        break;
+      case "-u":
+      case "--user":
+        headers.push({
+          name: "Authorization",
+          value: `Basic ${Buffer.from(next()).toString("base64")}`,
+        });
+        break;
+      case "-A":
+      case "--user-agent":
+        headers.push({ name: "User-Agent", value: next() });
+        break;
+      case "-e":
+      case "--referer":
+        headers.push({ name: "Referer", value: next() });
+        break;
+      case "--url":
+        url = next();
+        break;
+      case "-G":
+      case "--get":
+        getQuery = true;
+        break;
+      case "-I":
+      case "--head":
+        method = "HEAD";
+        break;
+      default:
+        if (CURL_IGNORED_WITH_VALUE.has(opt)) {
+          if (inline === undefined) i++;
+        } else if (!w.startsWith("-") && url === undefined) {
+          url = w;
+        }
+    }
+  }
+  if (!url) return null;
+  if (!/^[a-z][\w+.-]*:\/\//i.test(url)) url = `http://${url}`;
+  if (cookies.length)
+    headers.push({ name: "Cookie", value: cookies.join("; ") });
+
+  let postData;
+  if (getQuery && data.length) {
+    url += `${url.includes("?") ? "&" : "?"}${data.join("&")}`;
+  } else if (form.length) {
+    postData = {
+      mimeType: "multipart/form-data",
+      text: "",
+      params: form.map((f) => {
+        const eq = f.indexOf("=");
+        const name = f.slice(0, eq);
+        const raw = f.slice(eq + 1);
+        if (!raw.startsWith("@") && !raw.startsWith("<"))
+          return { name, value: raw };
+        const [file, ...attrs] = raw.slice(1).split(";");
+        const type = attrs.find((a) => a.startsWith("type="));
+        return {
+          name,
+          fileName: path.basename(file),
+          ...(type ? { contentType: type.slice(5) } : {}),
+        };
+      }),
+    };
+  } else if (data.length) {
+    const text = data.join("&");
+    if (!headerValue(headers, "content-type")) {
+      // curl's own default for -d
+      headers.push({
+        name: "Content-Type",
+        value: /^\s*[[{]/.test(text)
+          ? "application/json"
+          : "application/x-www-form-urlencoded",
+      });
+    }
+    postData = postDataFor(text, headers);
+  }
+
+  return makeEntry({
+    method:
+      method ||
+      (getQuery ? "GET" : data.length || form.length ? "POST" : "GET"),
+    url,
+    headers,
+    postData,
+  });
+}
+
+// ---- mitmproxy ----
+
+/**
+ * Parse one tnetstring (mitmproxy's serialisation) starting at `offset`.
+ * Returns { value, end }.
+ */
+function parseTnetstring(buf, offset = 0) {
+  const colon = buf.indexOf(0x3a, offset);
+  const len = Number(buf.toString("latin1", offset, colon));
+  const start = colon + 1;
+  const end = start + len;
+  const type = String.fromCharCode(buf[end]);
+  const data = buf.subarray(start, end);
+
+  switch (type) {
+    case ",":
+      return { value: data, end: end + 1 };
+    case ";":
+      return { value: data.toString("utf8"), end: end + 1 };
+    case "#":
+    case "^":
+      return { value: Number(data.toString("latin1")), end: end + 1 };
+    case "!":
+      return { value: data.toString("latin1") === "true", end: end + 1 };
+    case "~":
+      return { value: null, end: end + 1 };
+    case "]": {
+      const list = [];
+      for (let i = 0; i < data.length; ) {
+        const item = parseTnetstring(data, i);
+        list.push(item.value);
+        i = item.end;
+      }
+      return { value: list, end: end + 1 };
+    }
+    case "}": {
+      const dict = {};
+      for (let i = 0; i < data.length; ) {
+        const key = parseTnetstring(data, i);
+        const val = parseTnetstring(data, key.end);
+        dict[String(key.value)] = val.value;
+        i = val.end;
+      }
+      return { value: dict, end: end + 1 };
+    }
+    default:
+      throw new Error(`Invalid tnetstring type "${type}" at byte ${end}`);
+  }
+}
+
+const asText = (v) =>
+  Buffer.isBuffer(v) ? v.toString("utf8") : v == null ? "" : String(v);
+
+// Flow files keep bodies as sent on the wire
+function decodeContent(content, headers) {
+  if (!Buffer.isBuffer(content) || !content.length) return content;
+  const encoding = (
+    headerValue(headers, "content-encoding") || ""
+  ).toLowerCase();
+  try {
+    if (encoding === "gzip") return zlib.gunzipSync(content);
+    if (encoding === "deflate") return zlib.inflateSync(content);
+    if (encoding === "br") return zlib.brotliDecompressSync(content);
+  } catch {
+    // leave it encoded; it is then documented as binary
+  }
+  return content;
+}
+
+/**
+ * One mitmproxy HTTP flow as a HAR entry; other flow types are skipped.
+ */
+function flowToEntry(flow) {
+  if (!flow || asText(flow.type) !== "http" || !flow.request) return null;
+  const req = flow.request;
+  const res = flow.response;
+
+  const headers = headerList(
+    (req.headers || []).map(([k, v]) => [asText(k), asText(v)])
+  );
+  const scheme = asText(req.scheme) || "http";
+  const host = asText(req.host) || headerValue(headers, "host") || "";
+  const port = Number(req.port);
+  const defaultPort = scheme === "https" ? 443 : 80;
+  const url = `${scheme}://${host}${
+    port && port !== defaultPort ? `:${port}` : ""
+  }${asText(req.path)}`;
+
+  const responseHeaders = res
+    ? headerList((res.headers || []).map(([k, v]) => [asText(k), asText(v)]))
+    : [];
+  const body = decodeContent(req.content, headers);
+  const started = req.timestamp_start;
+  const finished = res?.timestamp_end ?? res?.timestamp_start;
+
+  return makeEntry({
+    method: asText(req.method),
+    url,
+    httpVersion: asText(req.http_version) || "HTTP/1.1",
+    headers,
+    postData: body?.length ? postDataFor(asText(body), headers) : undefined,
+    startedDateTime: started,
+    time: started && finished ? Math.round((finished - started) * 1000) : 0,
+    status: res ? Number(res.status_code) || 0 : 0,
+    statusText: res ? asText(res.reason) : "",
+    responseHeaders,
+    responseBody: res ? decodeContent(res.content, responseHeaders) : undefined,
+  });
+}
+
+// ---- Access logs ----
+
+function accessLogToEntry(line) {
+  const m = line.match(ACCESS_LOG_RE);
+  if (!m) return null;
+  const [
+    ,
+    ,
+    ,
+    time,
+    method,
+    target,
+    httpVersion,
+    status,
+    bytes,
+    referer,
+    agent,
+  ] = m;
+  const headers = [];
+  if (referer && referer !== "-")
+    headers.push({ name: "Referer", value: referer });
+  if (agent && agent !== "-")
+    headers.push({ name: "User-Agent", value: agent });
+  return makeEntry({
+    method,
+    url: target,
+    httpVersion: httpVersion || "HTTP/1.1",
+    headers,
+    // 10/Oct/2000:13:55:36 -0700
+    startedDateTime: time.replace(/^(\d+)\/(\w+)\/(\d+):/, "$1 $2 $3 "),
+    status: Number(status),
+    responseSize: bytes === "-" ? 0 : Number(bytes),
+  });
+}
+
+// ---- Readers ----
+
+/**
+ * Open any supported capture for streaming. `entries()` can be iterated once.
+ */
+export function createCaptureReader(filePath) {
+  const gzip = isGzip(filePath);
+  const format = detectCaptureFormat(filePath, gzip);
+  if (format === "har")
+    return Object.assign(createHarReader(filePath), { format });
+
+  const reader = {
+    path: filePath,
+    totalBytes: fs.statSync(filePath).size,
+    bytesRead: 0,
+    gzip,
+    version: undefined,
+    count: 0,
+    format,
+    entries,
+  };
+
+  const mtime = fs.statSync(filePath).mtimeMs;
+  function counted(entry) {
+    entry.startedDateTime ||= new Date(mtime + reader.count).toISOString();
+    reader.count++;
+    return entry;
+  }
+
+  function open() {
+    const raw = fs.createReadStream(filePath);
+    const source = gzip ? raw.pipe(zlib.createGunzip()) : raw;
+    raw.on("error", (err) => source.destroy(err));
+    return { raw, source };
+  }
+
+  async function* lines(toEntry) {
+    const { raw, source } = open();
+    const rl = readline.createInterface({ input: source, crlfDelay: Infinity });
+    let lineNo = 0;
+    try {
+      for await (const line of rl) {
+        lineNo++;
+        reader.bytesRead = raw.bytesRead;
+        const trimmed = line.replace(/^\uFEFF/, "").trim();
+        if (!trimmed || trimmed.startsWith("#")) continue;
+        const entry = toEntry(trimmed, lineNo);
+        if (!entry) continue;
+        yield counted(entry);
+      }
+    } finally {
+      rl.close();
+      raw.destroy();
+    }
+  }
+
+  async function* flows() {
+    const { raw, source } = open();
+    let buf = Buffer.alloc(0);
+    // Chunks are only joined once the flow they belong to is complete
+    let pending = [];
+    let pendingBytes = 0;
+    let need = 0;
+    try {
+      for await (const chunk of source) {
+        reader.bytesRead = raw.bytesRead;
+        pending.push(chunk);
+        pendingBytes += chunk.length;
+        if (buf.length + pendingBytes < need) continue;
+        buf = Buffer.concat([buf, ...pending]);
+        pending = [];
+        pendingBytes = 0;
+        for (;;) {
+          const colon = buf.indexOf(0x3a);
+          need =
+            colon === -1
+              ? buf.length + 1
+              : colon + 1 + Number(buf.toString("latin1", 0, colon)) + 1;
+          if (buf.length < need) break;
+          const { value } = parseTnetstring(buf.subarray(0, need));
+          buf = buf.subarray(need);
+          need = 0;
+          const entry = flowToEntry(value);
+          if (entry) {
+            yield counted(entry);
+          }
+        }
+      }
+      if (buf.length || pendingBytes) {
+        throw new Error(`mitmproxy dump is truncated: ${filePath}`);
+      }
+    } finally {
+      raw.destroy();
+    }
+  }
+
+  async function* entries() {
+    try {
+      if (format === "jsonl") {
+        yield* lines((line, lineNo) => {
+          const record = parseJsonLine(line);
+          if (record === undefined) {
+            throw new Error(`Invalid JSON on line ${lineNo} of ${filePath}`);
+          }
+          return logRecordToEntry(record);
+        });
+      } else if (format === "access-log") {
+        yield* lines((line) => accessLogToEntry(line));
+      } else if (format === "mitmproxy") {
+        yield* flows();
+      } else {
+        // curl commands are pasted by hand; they are small enough to read whole
+        const { raw, source } = open();
+        const chunks = [];
+        for await (const chunk of source) chunks.push(chunk);
+        raw.destroy();
+        const src = Buffer.concat(chunks)
+          .toString("utf8")
+          .replace(/^\uFEFF/, "");
+        for (const words of shellWords(src)) {
+          if (words[0] === "$") words.shift();
+          if (words[0] !== "curl") continue;
+          const entry = curlToEntry(words);
+          if (!entry) continue;
+          yield counted(entry);
+        }
+      }
+      reader.bytesRead = reader.totalBytes;
+    } catch (err) {
+      if (err.code === "Z_DATA_ERROR" || err.code === "Z_BUF_ERROR") {
+        throw new Error(`Cannot gunzip ${filePath}: ${err.message}`);
+      }
+      throw err;
+    }
+  }
+
+  return reader;
+}
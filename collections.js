@@ -0,0 +1,404 @@
+/**
+ * Postman / Insomnia exports for har-to-openapi.js
+ *
+ * Builds a Postman v2.1 collection (plus a matching environment) and an
+ * Insomnia v4 export from the same endpoints the OpenAPI document is made
+ * of. Requests are grouped in one folder per tag, the server becomes a
+ * {{baseUrl}} variable and credentials become environment variables, so
+ * nothing captured in the HAR is hardcoded into a shared collection.
+ *
+ * Operations are passed as:
+ *   { name, tag, method, path, operationId, security: [schemeName],
+ *     samples: [{ status, query, pathParams, body, response }] }
+ * where path is the OpenAPI template, query / pathParams are [{ name, value }]
+ * and body / response are the bodies har-to-openapi.js picked from the HAR.
+ * The first sample is the one the request itself is built from.
+ */
+
+import crypto from "crypto";
+
+const POSTMAN_SCHEMA =
+  "https://schema.getpostman.com/json/collection/v2.1.0/collection.json";
+const FORM_TYPES = ["application/x-www-form-urlencoded", "multipart/form-data"];
+
+// Stable ids, so re-importing a regenerated export updates in place
+function stableId(...parts) {
+  const hex = crypto.createHash("sha1").update(parts.join("\n")).digest("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20, 32),
+  ].join("-");
+}
+
+/**
+ * Environment variables standing in for each security scheme's credential.
+ * Values are always left empty: captured credentials are never exported.
+ */
+export function authVariables(schemes = {}) {
+  const vars = [];
+  for (const [name, s] of Object.entries(schemes)) {
+    if (s.type === "http" && s.scheme === "bearer") {
+      vars.push({ scheme: name, key: "bearerToken" });
+    } else if (s.type === "http" && s.scheme === "basic") {
+      vars.push({ scheme: name, key: "basicUsername" });
+      vars.push({ scheme: name, key: "basicPassword" });
+    } else if (s.type === "apiKey") {
+      vars.push({ scheme: name, key: name });
+    }
+  }
+  return vars;
+}
+
+/**
+ * Where each credential goes on a request: an auth block for bearer/basic,
+ * header, query or cookie entries for API keys. `ref` formats a variable
+ * reference in the target tool's syntax.
+ */
+function credentialsFor(security = [], schemes = {}, ref) {
+  const out = { auth: null, headers: [], query: [], cookies: [] };
+  for (const name of security) {
+    const s = schemes[name];
+    if (!s) continue;
+    if (s.type === "http" && s.scheme === "bearer") {
+      out.auth = { type: "bearer", token: ref("bearerToken") };
+    } else if (s.type === "http" && s.scheme === "basic") {
+      out.auth = {
+        type: "basic",
+        username: ref("basicUsername"),
+        password: ref("basicPassword"),
+      };
+    } else if (s.in === "header") {
+      out.headers.push({ name: s.name, value: ref(name) });
+    } else if (s.in === "query") {
+      out.query.push({ name: s.name, value: ref(name) });
+    } else if (s.in === "cookie") {
+      out.cookies.push(`${s.name}=${ref(name)}`);
+    }
+  }
+  return out;
+}
+
+function stringValue(v) {
+  if (v === undefined || v === null) return "";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+function bodyText(body) {
+  if (!body || body.binary || body.example === undefined) return "";
+  return typeof body.example === "string"
+    ? body.example
+    : JSON.stringify(body.example, null, 2);
+}
+
+/**
+ * Query entries for one sample: credentials replace captured API keys,
+ * everything else keeps the captured value.
+ */
+function sampleQuery(sample, creds) {
+  const keyed = new Set(creds.query.map((q) => q.name));
+  return [
+    ...(sample.query || [])
+      .filter((q) => !keyed.has(q.name))
+      .map((q) => ({ name: q.name, value: stringValue(q.value) })),
+    ...creds.query,
+  ];
+}
+
+function requestHeaders(sample, creds) {
+  const headers = [...creds.headers];
+  if (creds.cookies.length) {
+    headers.push({ name: "Cookie", value: creds.cookies.join("; ") });
+  }
+  // multipart boundaries are set by the client when it sends the form
+  const mime = sample.body?.mimeType;
+  if (mime && mime !== "multipart/form-data") {
+    headers.push({ name: "Content-Type", value: mime });
+  }
+  return headers;
+}
+
+// ---- Postman ----
+
+function postmanUrl(op, sample, creds) {
+  const values = new Map(
+    (sample.pathParams || []).map((p) => [p.name, stringValue(p.value)])
+  );
+  const segments = op.path
+    .split("/")
+    .filter(Boolean)
+    .map((s) => s.replace(/^\{(.+)\}$/, ":$1"));
+  const query = sampleQuery(sample, creds);
+  const search = query.map((q) => `${q.name}=${q.value}`).join("&");
+  return {
+    raw: `{{baseUrl}}/${segments.join("/")}${search ? `?${search}` : ""}`,
+    host: ["{{baseUrl}}"],
+    path: segments,
+    ...(query.length
+      ? { query: query.map((q) => ({ key: q.name, value: q.value })) }
+      : {}),
+    ...(values.size
+      ? {
+          variable: Array.from(values, ([key, value]) => ({ key, value })),
+        }
+      : {}),
+  };
+}
+
+function postmanBody(body) {
+  if (!body) return undefined;
+  if (body.binary) return { mode: "file", file: {} };
+  const example = body.example;
+  if (body.mimeType === "multipart/form-data" && example) {
+    return {
+      mode: "formdata",
+      formdata: Object.entries(example).map(([key, value]) =>
+        body.files?.[key]
+          ? { key, type: "file", src: body.files[key].fileName }
+          : { key, type: "text", value: stringValue(value) }
+      ),
+    };
+  }
+  if (
+    body.mimeType === "application/x-www-form-urlencoded" &&
+    example &&
+    typeof example === "object"
+  ) {
+    return {
+      mode: "urlencoded",
+      urlencoded: Object.entries(example).map(([key, value]) => ({
+        key,
+        value: stringValue(value),
+      })),
+    };
+  }
+  return {
+    mode: "raw",
+    raw: bodyText(body),
+    ...(body.mimeType === "application/json"
+      ? { options: { raw: { language: "json" } } }
+      : {}),
+  };
+}
+
+function postmanAuth(auth) {
+  if (!auth) return { type: "noauth" };
+  if (auth.type === "bearer") {
+    return {
+      type: "bearer",
+      bearer: [{ key: "token", value: auth.token, type: "string" }],
+    };
+  }
+  return {
+    type: "basic",
+    basic: [
+      { key: "username", value: auth.username, type: "string" },
+      { key: "password", value: auth.password, type: "string" },
+    ],
+  };
+}
+
+function postmanRequest(op, sample, creds) {
+  const body = postmanBody(sample.body);
+  return {
+    method: op.method,
+    header: requestHeaders(sample, creds).map((h) => ({
+      key: h.name,
+      value: h.value,
+    })),
+    auth: postmanAuth(creds.auth),
+    ...(body ? { body } : {}),
+    url: postmanUrl(op, sample, creds),
+  };
+}
+
+function postmanExample(op, sample, creds) {
+  const response = sample.response;
+  const mime = response?.mimeType;
+  return {
+    name: `${sample.status} ${op.name}`,
+    originalRequest: postmanRequest(op, sample, creds),
+    code: sample.status,
+    _postman_previewlanguage: /json/.test(mime || "")
+      ? "json"
+      : /xml|html/.test(mime || "")
+      ? "xml"
+      : "text",
+    header: mime ? [{ key: "Content-Type", value: mime }] : [],
+    body: bodyText(response),
+  };
+}
+
+/**
+ * Postman v2.1 collection: one folder per tag, one request per operation and
+ * one saved example per captured status (query, body and response as seen).
+ */
+export function buildPostmanCollection({
+  name,
+  baseUrl,
+  schemes = {},
+  operations = [],
+}) {
+  const ref = (key) => `{{${key}}}`;
+  const folders = new Map();
+  for (const op of operations) {
+    if (!folders.has(op.tag)) folders.set(op.tag, []);
+    const creds = credentialsFor(op.security, schemes, ref);
+    folders.get(op.tag).push({
+      id: stableId(name, op.method, op.path),
+      name: op.name,
+      ...(op.operationId ? { description: op.operationId } : {}),
+      request: postmanRequest(op, op.samples[0] || {}, creds),
+      response: op.samples
+        .filter((s) => s.status)
+        .map((s) => postmanExample(op, s, creds)),
+    });
+  }
+
+  return {
+    info: {
+      _postman_id: stableId(name),
+      name,
+      schema: POSTMAN_SCHEMA,
+    },
+    item: Array.from(folders.keys())
+      .sort()
+      .map((tag) => ({ name: tag, item: folders.get(tag) })),
+    variable: [{ key: "baseUrl", value: baseUrl, type: "string" }],
+  };
+}
+
+/**
+ * Postman environment holding baseUrl and one empty variable per credential.
+ */
+export function buildPostmanEnvironment({ name, baseUrl, schemes = {} }) {
+  return {
+    id: stableId(name, "environment"),
+    name,
+    values: [
+      { key: "baseUrl", value: baseUrl, type: "default", enabled: true },
+      ...authVariables(schemes).map((v) => ({
+        key: v.key,
+        value: "",
+        type: "secret",
+        enabled: true,
+      })),
+    ],
+    _postman_variable_scope: "environment",
+  };
+}
+
+// ---- Insomnia ----
+
+function insomniaId(prefix, ...parts) {
+  return `${prefix}_${stableId(...parts).replace(/-/g, "")}`;
+}
+
+function insomniaBody(body) {
+  if (!body) return {};
+  if (body.binary) return { mimeType: body.mimeType };
+  const example = body.example;
+  if (
+    FORM_TYPES.includes(body.mimeType) &&
+    example &&
+    typeof example === "object"
+  ) {
+    return {
+      mimeType: body.mimeType,
+      params: Object.entries(example).map(([name, value]) =>
+        body.files?.[name]
+          ? { name, type: "file", fileName: body.files[name].fileName }
+          : { name, value: stringValue(value) }
+      ),
+    };
+  }
+  return { mimeType: body.mimeType, text: bodyText(body) };
+}
+
+function insomniaAuth(auth) {
+  if (!auth) return {};
+  if (auth.type === "bearer") return { type: "bearer", token: auth.token };
+  return { type: "basic", username: auth.username, password: auth.password };
+}
+
+/**
+ * Insomnia v4 export: a workspace whose base environment holds baseUrl and
+ * the credentials, one request group per tag and one request per operation
+ * built from its first sample (path parameters filled in as captured).
+ */
+export function buildInsomniaExport({
+  name,
+  baseUrl,
+  schemes = {},
+  operations = [],
+}) {
+  const ref = (key) => `{{ _.${key} }}`;
+  const workspaceId = insomniaId("wrk", name);
+  const resources = [
+    {
+      _id: workspaceId,
+      _type: "workspace",
+      parentId: null,
+      name,
+      scope: "collection",
+    },
+    {
+      _id: insomniaId("env", name),
+      _type: "environment",
+      parentId: workspaceId,
+      name: "Base Environment",
+      data: Object.fromEntries([
+        ["baseUrl", baseUrl],
+        ...authVariables(schemes).map((v) => [v.key, ""]),
+      ]),
+    },
+  ];
+
+  const groups = new Map();
+  for (const tag of Array.from(
+    new Set(operations.map((op) => op.tag))
+  ).sort()) {
+    const id = insomniaId("fld", name, tag);
+    groups.set(tag, id);
+    resources.push({
+      _id: id,
+      _type: "request_group",
+      parentId: workspaceId,
+      name: tag,
+    });
+  }
+
+  for (const op of operations) {
+    const sample = op.samples[0] || {};
+    const creds = credentialsFor(op.security, schemes, ref);
+    const values = new Map(
+      (sample.pathParams || []).map((p) => [p.name, stringValue(p.value)])
+    );
+    const url = op.path.replace(/\{([^}]+)\}/g, (m, p) =>
+      values.has(p) ? encodeURIComponent(values.get(p)) : m
+    );
+    resources.push({
+      _id: insomniaId("req", name, op.method, op.path),
+      _type: "request",
+      parentId: groups.get(op.tag),
+      name: op.name,
+      description: op.operationId || "",
+      method: op.method,
+      url: `{{ _.baseUrl }}${url}`,
+      parameters: sampleQuery(sample, creds),
+      headers: requestHeaders(sample, creds),
+      body: insomniaBody(sample.body),
+      authentication: insomniaAuth(creds.auth),
+    });
+  }
+
+  return {
+    _type: "export",
+    __export_format: 4,
+    __export_date: new Date().toISOString(),
+    __export_source: "har-to-openapi",
+    resources,
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Pluggable payload decoder shared by har-to-openapi.js and har_to_bodies.js
+ *
+ * Traffic through an encrypted gateway (e.g. POST .../core/secure_api with an
+ * opaque base64 `Data` field) documents nothing useful as captured. A decoder
+ * module turns request/response bodies back into the logical payloads, and
+ * an optional discriminator field inside the decoded request splits the one
+ * physical endpoint into virtual sub-operations.
+ *
+ * A decoder is a plain ES module, loaded by path (DECODER_MODULE in .env for
+ * har-to-openapi.js, --decoder for har_to_bodies.js):
+ *
+ *   // secure-api-decoder.js
+ *   import crypto from "crypto";
+ *   const key = Buffer.from(process.env.SECURE_API_KEY, "base64");
+ *   const iv = Buffer.from(process.env.SECURE_API_IV, "base64");
+ *   const decrypt = (b64) => {
+ *     const d = crypto.createDecipheriv("aes-256-cbc", key, iv);
+ *     return JSON.parse(d.update(b64, "base64", "utf8") + d.final("utf8"));
+ *   };
+ *
+ *   export const discriminator = "action";
+ *   export const match = (entry) => entry.request.url.endsWith("/secure_api");
+ *   export const decodeRequest = (body) => body?.Data && decrypt(body.Data);
+ *   export const decodeResponse = (body) => decrypt(body.Data ?? body);
+ *
+ * Every export is optional. `body` is the parsed JSON when the captured text
+ * is JSON, the raw text otherwise; returning undefined keeps the original.
+ * decodeRequest / decodeResponse may be async (e.g. WebCrypto) and are awaited.
+ */
+
+import path from "path";
+import { pathToFileURL } from "url";
+
+function safeJsonParse(str) {
+  try {
+    return JSON.parse(str);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Import a decoder module. Returns null when no path is configured.
+ */
+export async function loadDecoder(modulePath) {
+  if (!modulePath) return null;
+  const abs = path.isAbsolute(modulePath)
+    ? modulePath
+    : path.resolve(process.cwd(), modulePath);
+
+  let mod;
+  try {
+    mod = await import(pathToFileURL(abs).href);
+  } catch (err) {
+    throw new Error(`Cannot load decoder ${abs}: ${err.message}`);
+  }
+  const api =
+    mod.default && typeof mod.default === "object" ? mod.default : mod;
+
+  if (
+    typeof api.decodeRequest !== "function" &&
+    typeof api.decodeResponse !== "function"
+  ) {
+    throw new Error(
+      `Decoder ${abs} must export decodeRequest() and/or decodeResponse()`
+    );
+  }
+
+  return {
+    path: abs,
+    match: typeof api.match === "function" ? api.match : () => true,
+    decodeRequest: api.decodeRequest,
+    decodeResponse: api.decodeResponse,
+    discriminator: api.discriminator || null,
+    stats: { decoded: 0, failed: 0 },
+  };
+}
+
+async function runDecoder(fn, text, entry) {
+  if (typeof fn !== "function" || typeof text !== "string" || !text) {
+    return undefined;
+  }
+  const parsed = safeJsonParse(text);
+  const decoded = await fn(parsed === undefined ? text : parsed, entry);
+  if (decoded === undefined) return undefined;
+  return typeof decoded === "string" ? decoded : JSON.stringify(decoded);
+}
+
+/**
+ * Resolve to a copy of a HAR entry with decoded request/response bodies.
+ * Bodies that decode to JSON are marked application/json. When the decoder names a
+ * discriminator, its value in the decoded request is stored as
+ * `entry._variant` (HAR custom fields are underscore-prefixed).
+ */
+export async function decodeEntry(entry, decoder) {
+  if (!decoder || !entry?.request || !decoder.match(entry)) return entry;
+
+  const out = { ...entry, request: { ...entry.request } };
+  try {
+    const reqText = await runDecoder(
+      decoder.decodeRequest,
+      entry.request.postData?.text,
+      entry
+    );
+    if (reqText !== undefined) {
+      const body = safeJsonParse(reqText);
+      out.request.postData = {
+        ...entry.request.postData,
+        mimeType:
+          body === undefined
+            ? entry.request.postData.mimeType
+            : "application/json",
+        text: reqText,
+        params: undefined,
+      };
+      const variant = decoder.discriminator && body?.[decoder.discriminator];
+      if (variant !== undefined && variant !== null && variant !== "") {
+        out._variant = String(variant);
+      }
+    }
+
+    const content = entry.response?.content;
+    const resText =
+      content?.encoding === "base64"
+        ? undefined
+        : await runDecoder(decoder.decodeResponse, content?.text, entry);
+    if (resText !== undefined) {
+      const mimeType =
+        safeJsonParse(resText) === undefined
+          ? content.mimeType
+          : "application/json";
+      out.response = {
+        ...entry.response,
+        content: { ...content, mimeType, text: resText },
+      };
+    }
+
+    if (reqText !== undefined || resText !== undefined) decoder.stats.decoded++;
+  } catch {
+    // Keep the captured payload; a bad key should not abort the whole run
+    decoder.stats.failed++;
+    return entry;
+  }
+  return out;
+}
@@ -0,0 +1,414 @@
+/**
+ * Endpoint matching shared by har-to-openapi.js and har-mock.js
+ *
+ * Turns captured URLs into OpenAPI-style path templates (heuristic IDs,
+ * routes learned from the whole capture, or explicit PATH_PATTERNS_FILE
+ * templates) and keys endpoints by METHOD + template, so a mock server
+ * answers exactly the operations the generated spec documents.
+ */
+
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+function safeJsonParse(str) {
+  try {
+    return JSON.parse(str);
+  } catch {
+    return null;
+  }
+}
+
+function capitalize(s) {
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+}
+
+export function urlToObj(u) {
+  try {
+    return new URL(u);
+  } catch {
+    // Some HARs store partial URLs; try to repair minimally
+    return new URL(u, "http://har.local");
+  }
+}
+
+/**
+ * Static assets and non-XHR page loads, which are never API endpoints.
+ */
+export function isStaticEntry(entry, pathname) {
+  return (
+    /\.(js|css|map|png|jpg|jpeg|gif|svg|ico|woff2?|woff|ttf|eot)$/i.test(
+      pathname
+    ) ||
+    (entry._resourceType && entry._resourceType !== "xhr")
+  );
+}
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const MONGO_ID_RE = /^[0-9a-f]{24}$/i;
+const NUM_RE = /^\d+$/;
+
+/**
+ * UUIDs, Mongo ObjectIds and numbers are always identifiers.
+ */
+function isStrongId(seg) {
+  return UUID_RE.test(seg) || MONGO_ID_RE.test(seg) || NUM_RE.test(seg);
+}
+
+/**
+ * Long opaque tokens are identifiers only when they mix in digits,
+ * so words like "AccountsSignInUi" stay literal.
+ */
+function isOpaqueToken(seg) {
+  return seg.length >= 16 && /^[A-Za-z0-9\-_]+$/.test(seg) && /\d/.test(seg);
+}
+
+export function looksLikeId(seg) {
+  return isStrongId(seg) || isOpaqueToken(seg);
+}
+
+// Leading words of action segments (key_vault/create, igm/get_ticket)
+const ACTION_WORD_RE =
+  /^(add|approve|cancel|check|close|copy|count|create|delete|disable|download|edit|enable|export|fetch|find|generate|get|import|insert|list|login|logout|move|open|patch|post|put|refresh|register|reject|remove|rename|reset|retry|save|search|send|set|share|sign|submit|sync|toggle|update|upload|upsert|validate|verify)(?=$|[-_A-Z0-9])/;
+
+function isActionSegment(seg) {
+  return ACTION_WORD_RE.test(seg);
+}
+
+/**
+ * Values of a vocabulary rather than names of routes: upper-case codes
+ * (APP_TYPE, TICKET_STATUS) and short lower-case codes (en, usd, en-US).
+ */
+function isVocabularyValue(seg) {
+  return (
+    /^[A-Z][A-Z0-9]*(?:[_-][A-Z0-9]+)*$/.test(seg) ||
+    /^[a-z]{2,3}(?:[-_][A-Za-z]{2,4})?$/.test(seg)
+  );
+}
+
+function singularize(word) {
+  if (/ies$/i.test(word)) return word.slice(0, -3) + "y";
+  if (/(ss|us)$/i.test(word)) return word;
+  if (/s$/i.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Name a path parameter after the segment before it:
+ *   projects/{projectId}, lookup_type/{lookupType}
+ * Falls back to "id" when there is no usable literal before it.
+ */
+function paramNameFor(prevSeg, idLike, used) {
+  let base = "id";
+  if (prevSeg && !prevSeg.startsWith("{")) {
+    const words = prevSeg.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const camel = words
+      .map((w, i) => (i ? capitalize(w.toLowerCase()) : w.toLowerCase()))
+      .join("");
+    if (camel && !/^\d/.test(camel)) {
+      const singular = singularize(camel);
+      base = idLike ? `${singular}Id` : singular;
+    }
+  }
+  let name = base;
+  for (let n = 2; used.has(name); n++) name = `${base}${n}`;
+  used.add(name);
+  return name;
+}
+
+/**
+ * Normalize a URL pathname into an OpenAPI-style path:
+ * - Keeps BASE_PATH as a required prefix
+ * - With learned routes (PATH_TEMPLATING=learned), positions that varied
+ *   across captures become parameters
+ * - Otherwise "likely IDs" become parameters (heuristic):
+ *   - UUID, Mongo ObjectId, numeric segments, long tokens containing digits
+ * - Parameters are named after the preceding segment (projects/{projectId})
+ */
+export function normalizePathname(pathname, routes) {
+  const segments = pathname.split("/").filter(Boolean);
+  const used = new Set();
+
+  let node = routes || null;
+  const normalized = [];
+  for (const seg of segments) {
+    let isParam;
+    let idLike;
+    if (node && (node.children.has(seg) || node.param)) {
+      isParam = !node.children.has(seg);
+      idLike = isParam && node.param.idLike;
+      node = isParam ? node.param : node.children.get(seg);
+    } else {
+      // Unknown to the learned routes (or heuristic mode)
+      node = null;
+      isParam = looksLikeId(seg);
+      idLike = isParam;
+    }
+
+    normalized.push(
+      isParam
+        ? `{${paramNameFor(normalized[normalized.length - 1], idLike, used)}}`
+        : seg
+    );
+  }
+
+  return "/" + normalized.join("/");
+}
+
+function newRouteNode() {
+  return {
+    children: new Map(),
+    param: null,
+    count: 0,
+    // "METHOD responseKeys" signatures of requests that ended here
+    terminals: new Set(),
+    idLike: true,
+  };
+}
+
+function mergeRouteNodes(a, b) {
+  a.count += b.count;
+  for (const t of b.terminals) a.terminals.add(t);
+  a.idLike = a.idLike && b.idLike;
+  for (const [seg, child] of b.children) {
+    if (a.children.has(seg)) mergeRouteNodes(a.children.get(seg), child);
+    else a.children.set(seg, child);
+  }
+  if (b.param) {
+    a.param = a.param ? mergeRouteNodes(a.param, b.param) : b.param;
+  }
+  return a;
+}
+
+/**
+ * Relative path shapes under a node (IDs masked) with the methods and
+ * response keys seen there, used to tell whether sibling segments lead to
+ * the same kind of resource (lookup_type/APP_TYPE vs key_vault/create).
+ */
+function routeSkeletons(node, prefix = "", out = new Set()) {
+  for (const t of node.terminals) out.add(`${prefix} ${t}`);
+  for (const [seg, child] of node.children) {
+    routeSkeletons(child, `${prefix}/${looksLikeId(seg) ? "*" : seg}`, out);
+  }
+  if (node.param) routeSkeletons(node.param, `${prefix}/*`, out);
+  return out;
+}
+
+function sameSkeletons(nodes) {
+  const [first, ...rest] = nodes.map((n) => [...routeSkeletons(n)].sort());
+  return rest.every((s) => s.join("|") === first.join("|"));
+}
+
+function responseShape(entry) {
+  const body = safeJsonParse(entry?.response?.content?.text || "");
+  if (!body || typeof body !== "object" || Array.isArray(body)) return "";
+  return Object.keys(body).sort().join(",");
+}
+
+/**
+ * Learn route templates from every captured request. At each position:
+ * - identifier-like siblings collapse into one parameter, except an opaque
+ *   token that was the only value ever seen there (a fixed literal)
+ * - `minVariants` (LEARN_MIN_VARIANTS) or more vocabulary-value siblings that
+ *   lead to the same path shapes (lookup_type/APP_TYPE, lookup_type/PRIORITY)
+ *   collapse too. Action segments (key_vault/create, key_vault/list) never
+ *   do: gateway actions share one response envelope, so matching shapes say
+ *   nothing about them being one resource.
+ */
+export function learnRoutes(entries, minVariants = 3) {
+  const learner = createRouteLearner(minVariants);
+  for (const entry of entries) learner.add(entry);
+  return learner.routes();
+}
+
+/**
+ * Incremental form of learnRoutes() for streamed captures: add() keeps only
+ * the path tree, not the entries, and routes() collapses it once at the end.
+ */
+export function createRouteLearner(minVariants = 3) {
+  const root = newRouteNode();
+  const add = (entry) => {
+    const pathname = urlToObj(entry?.request?.url || "").pathname || "/";
+    const method = (entry?.request?.method || "GET").toUpperCase();
+    let node = root;
+    node.count++;
+    for (const seg of pathname.split("/").filter(Boolean)) {
+      if (!node.children.has(seg)) node.children.set(seg, newRouteNode());
+      node = node.children.get(seg);
+      node.count++;
+    }
+    node.terminals.add(`${method} ${responseShape(entry)}`);
+  };
+  const routes = () => {
+    collapseRoutes(root, minVariants);
+    return root;
+  };
+  return { add, routes };
+}
+
+function collapseRoutes(root, minVariants) {
+  const collapse = (node) => {
+    const entries = Array.from(node.children.entries());
+    const onlyChild = entries.length === 1;
+
+    let variable = entries.filter(
+      ([seg, child]) =>
+        isStrongId(seg) ||
+        (isOpaqueToken(seg) && !(onlyChild && child.count >= minVariants))
+    );
+    const literals = entries.filter(
+      ([seg]) =>
+        !looksLikeId(seg) && isVocabularyValue(seg) && !isActionSegment(seg)
+    );
+    if (
+      literals.length >= minVariants &&
+      sameSkeletons(literals.map(([, child]) => child))
+    ) {
+      for (const [, child] of literals) child.idLike = false;
+      variable = variable.concat(literals);
+    }
+
+    for (const [seg, child] of variable) {
+      node.children.delete(seg);
+      node.param = node.param ? mergeRouteNodes(node.param, child) : child;
+    }
+
+    for (const child of node.children.values()) collapse(child);
+    if (node.param) collapse(node.param);
+  };
+  collapse(root);
+}
+
+/**
+ * Extract path parameters from normalized path and original path,
+ * keeping the captured value as the example.
+ */
+export function extractPathParams(normalizedPath, originalPathname) {
+  const nSegs = normalizedPath.split("/").filter(Boolean);
+  const oSegs = originalPathname.split("/").filter(Boolean);
+
+  const params = [];
+  for (let i = 0; i < nSegs.length; i++) {
+    if (nSegs[i].startsWith("{") && nSegs[i].endsWith("}")) {
+      const name = nSegs[i].replace(/[{}]/g, "");
+      const exampleValue = oSegs[i]; // actual value from HAR URL path
+
+      params.push({
+        name,
+        in: "path",
+        required: true,
+        schema: { type: "string" },
+        example: exampleValue, // <-- keep it here for later emission
+      });
+    }
+  }
+
+  // Deduplicate by name (names are made unique per path, so they won't collide)
+  const uniq = new Map();
+  for (const p of params) {
+    if (!uniq.has(p.name)) uniq.set(p.name, p);
+  }
+  return Array.from(uniq.values());
+}
+
+export function buildTagFromPath(normalizedPath, basePath = "/") {
+  // e.g. /api/users/{id}/roles -> "users"
+  const segs = normalizedPath.split("/").filter(Boolean);
+  // Skip base path segments
+  const baseSegs = basePath.split("/").filter(Boolean);
+  const remaining = segs.slice(baseSegs.length);
+  const first =
+    remaining.find((s) => s && !s.startsWith("{")) || remaining[0] || "default";
+  return first;
+}
+
+/**
+ * Dedup key ignores query differences:
+ * method + normalizedPath
+ */
+export function endpointKey(method, normalizedPath) {
+  return `${method.toUpperCase()} ${normalizedPath}`;
+}
+
+/**
+ * Load user-supplied path templates (PATH_PATTERNS_FILE, YAML or JSON):
+ *
+ *   patterns:
+ *     - path: /api/v1/vanij/gateway/{tenant}/component/key_vault/list
+ *       method: GET            # optional, matches any method when omitted
+ *       tag: key_vault
+ *       operationId: listKeyVault # suffixed per method (listKeyVaultGet) without method
+ *       parameters:
+ *         tenant: { schema: { type: string }, description: Tenant id }
+ *
+ * Paths not starting with `basePath` (BASE_PATH) are treated as relative to it.
+ * More specific templates (more literal segments) are tried first.
+ */
+export function loadPathPatterns(filePath, basePath = "/") {
+  if (!filePath) return [];
+  const abs = path.isAbsolute(filePath)
+    ? filePath
+    : path.resolve(process.cwd(), filePath);
+
+  let parsed;
+  try {
+    parsed = YAML.parse(fs.readFileSync(abs, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read PATH_PATTERNS_FILE ${abs}: ${err.message}`);
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.patterns;
+  if (!Array.isArray(list)) {
+    throw new Error(`PATH_PATTERNS_FILE ${abs} must list patterns[]`);
+  }
+
+  const patterns = list.map((p, i) => {
+    if (!p?.path) {
+      throw new Error(`PATH_PATTERNS_FILE pattern #${i + 1} has no path`);
+    }
+    const template = p.path.startsWith(basePath)
+      ? p.path
+      : basePath.replace(/\/$/, "") + "/" + p.path.replace(/^\//, "");
+    const segs = template.split("/").filter(Boolean);
+
+    // parameters may be a map (name -> spec) or an OpenAPI-style list
+    const parameters = Array.isArray(p.parameters)
+      ? Object.fromEntries(p.parameters.map((x) => [x.name, x]))
+      : p.parameters || {};
+
+    return {
+      template: "/" + segs.join("/"),
+      segs,
+      method: p.method ? String(p.method).toUpperCase() : null,
+      tag: p.tag,
+      operationId: p.operationId,
+      parameters,
+      literalCount: segs.filter((s) => !s.startsWith("{")).length,
+    };
+  });
+
+  // Stable sort: specificity first, then declaration order
+  return patterns
+    .map((p, i) => ({ p, i }))
+    .sort((a, b) => b.p.literalCount - a.p.literalCount || a.i - b.i)
+    .map(({ p }) => p);
+}
+
+export function matchPathPattern(patterns, method, pathname) {
+  const segs = pathname.split("/").filter(Boolean);
+  const found = patterns.find(
+    (p) =>
+      (!p.method || p.method === method) &&
+      p.segs.length === segs.length &&
+      p.segs.every((s, i) => s.startsWith("{") || s === segs[i])
+  );
+  // One operationId shared by every method would be a duplicate id
+  if (found && !found.method && found.operationId) {
+    return {
+      ...found,
+      operationId: `${found.operationId}${capitalize(method.toLowerCase())}`,
+    };
+  }
+  return found;
+}
@@ -0,0 +1,743 @@
+#!/usr/bin/env node
+/**
+ * HAR mock server
+ *
+ * Serves the captured endpoints from a local HTTP server so screens can be
+ * worked on offline. Requests are matched exactly like har-to-openapi.js
+ * documents them (endpoints.js): METHOD + path template, using the same
+ * BASE_PATH, PATH_TEMPLATING, LEARN_MIN_VARIANTS and PATH_PATTERNS_FILE
+ * from .env. The recorded status, headers and body are sent back.
+ *
+ * When an endpoint was captured several times, the example whose path,
+ * query and JSON body are closest to the incoming request wins (ties go to
+ * the earliest capture).
+ *
+ * --stateful keeps list/create/update/delete endpoints consistent with each
+ * other in memory, e.g.
+ *   POST .../{tenantId}/component/key_vault/create  adds an item
+ *   GET  .../{tenantId}/component/key_vault/list    returns it
+ * Actions are recognised from the last literal segment (list, create,
+ * update, delete, get_ticket, ...) or from REST verbs on a collection that
+ * has a recorded GET. Lists are seeded from the recorded list response; the
+ * recorded responses stay the envelope, only the items change, with totals
+ * and page counts recomputed from them. Item responses (create, get, update)
+ * never carry a recorded list's paging fields.
+ *
+ * Usage:
+ *   node har-mock.js -i ./traffic.har                  # http://127.0.0.1:4010
+ *   node har-mock.js -i ./traffic.har.gz --port 8080 --host 0.0.0.0
+ *   node har-mock.js -i ./har_bodies.json               # har_to_bodies.js --with-responses output
+ *   node har-mock.js -i ./traffic.har --stateful
+ *   node har-mock.js -i ./traffic.har --port 4010 & node har-replay.js -i ./traffic.har --base-url http://127.0.0.1:4010 --wait 10
+ *
+ * Every response carries x-mock-endpoint (the matched key) and CORS headers
+ * for the requesting origin; unmatched requests get a JSON 404.
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import chalk from "chalk";
+import { createHarReader } from "./har-stream.js";
+import {
+  urlToObj,
+  isStaticEntry,
+  normalizePathname,
+  learnRoutes,
+  endpointKey,
+  loadPathPatterns,
+  matchPathPattern,
+} from "./endpoints.js";
+
+dotenv.config();
+
+// ---- CLI args ----
+const args = process.argv.slice(2);
+function getArg(flag, fallback = undefined) {
+  const i = args.indexOf(flag);
+  if (i !== -1) {
+    const next = args[i + 1];
+    if (!next || next.startsWith("-")) return true; // boolean flag
+    return next;
+  }
+  return fallback;
+}
+
+const {
+  HAR_FILE,
+  BASE_PATH = "/",
+  PATH_PATTERNS_FILE,
+  PATH_TEMPLATING = "heuristic",
+  LEARN_MIN_VARIANTS = "3",
+} = process.env;
+
+const inputPath =
+  getArg("-i") || getArg("--in") || getArg("--input") || HAR_FILE;
+// --port 0 lets the OS pick a free port; the one bound is logged
+const portArg = Number(getArg("--port", "4010"));
+const port = Number.isInteger(portArg) && portArg >= 0 ? portArg : 4010;
+const host = getArg("--host", "127.0.0.1");
+const stateful = Boolean(getArg("--stateful", false));
+const quiet = Boolean(getArg("--quiet", false));
+
+if (!inputPath || typeof inputPath !== "string") {
+  console.error(
+    chalk.red("✖ Please provide an input file with -i ./file.har (or HAR_FILE)")
+  );
+  process.exit(1);
+}
+
+// Hop-by-hop or no longer true once the body is re-sent uncompressed
+const SKIP_RESPONSE_HEADERS = new Set([
+  "content-length",
+  "content-encoding",
+  "transfer-encoding",
+  "connection",
+  "keep-alive",
+  "access-control-allow-origin",
+  "access-control-allow-credentials",
+]);
+
+function safeJsonParse(str) {
+  try {
+    return JSON.parse(str);
+  } catch {
+    return undefined;
+  }
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// ---- Recorded examples ----
+
+function looksLikeBodiesFile(filePath) {
+  if (/\.gz$/i.test(filePath)) return false;
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(4096);
+    const n = fs.readSync(fd, head, 0, head.length, 0);
+    const text = head
+      .slice(0, n)
+      .toString("utf8")
+      .replace(/^\uFEFF/, "");
+    return text.trimStart().startsWith("[");
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// har_to_bodies.js records as HAR entries, so both inputs share one path
+function bodiesRecordToEntry(item) {
+  const body = item.responseBody;
+  return {
+    startedDateTime: new Date(item.timeStamp || 0).toISOString(),
+    request: {
+      method: item.method,
+      url: item.url,
+      postData:
+        item.requestBody === null || item.requestBody === undefined
+          ? undefined
+          : {
+              text:
+                typeof item.requestBody === "string"
+                  ? item.requestBody
+                  : JSON.stringify(item.requestBody),
+            },
+    },
+    response: {
+      status: item.status,
+      headers: item.responseHeaders || [],
+      content: {
+        text:
+          body === null || body === undefined
+            ? ""
+            : typeof body === "string"
+            ? body
+            : JSON.stringify(body),
+      },
+    },
+  };
+}
+
+async function loadEntries(filePath) {
+  if (looksLikeBodiesFile(filePath)) {
+    const items = JSON.parse(
+      fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "")
+    );
+    // Decoded payloads (`operation`) are not what the real endpoint returns
+    return items
+      .filter((item) => item?.url && item?.method && !item.operation)
+      .map(bodiesRecordToEntry);
+  }
+  const reader = createHarReader(filePath);
+  const entries = [];
+  for await (const entry of reader.entries()) {
+    if (entry?.request?.url && entry?.request?.method) entries.push(entry);
+  }
+  return entries;
+}
+
+function toExample(entry) {
+  const url = urlToObj(entry.request.url);
+  const content = entry.response?.content || {};
+  const text = content.text || "";
+  return {
+    pathname: url.pathname,
+    query: url.searchParams,
+    body: requestBodyOf(entry.request.postData?.text),
+    status: entry.response?.status || 200,
+    headers: entry.response?.headers || [],
+    payload: content.encoding === "base64" ? Buffer.from(text, "base64") : text,
+    json: content.encoding === "base64" ? undefined : safeJsonParse(text),
+  };
+}
+
+function requestBodyOf(text) {
+  if (typeof text !== "string" || !text) return undefined;
+  const parsed = safeJsonParse(text);
+  return parsed === undefined ? text : parsed;
+}
+
+// ---- Matching ----
+
+function createMatcher(entries, patterns) {
+  // Learn from the calls har-to-openapi.js learns from: API calls under
+  // BASE_PATH, so other traffic in the capture cannot shift the templates
+  const routes =
+    PATH_TEMPLATING === "learned"
+      ? learnRoutes(
+          entries.filter((e) => {
+            const { pathname } = urlToObj(e.request.url);
+            return (
+              pathname.startsWith(BASE_PATH) && !isStaticEntry(e, pathname)
+            );
+          }),
+          Number(LEARN_MIN_VARIANTS) || 3
+        )
+      : null;
+
+  const resolve = (method, pathname) => {
+    const pattern = matchPathPattern(patterns, method, pathname);
+    const template = pattern
+      ? pattern.template
+      : normalizePathname(pathname, routes);
+    return { template, key: endpointKey(method, template) };
+  };
+
+  const endpoints = new Map(); // key -> { template, examples }
+  for (const entry of entries) {
+    const method = entry.request.method.toUpperCase();
+    const { template, key } = resolve(
+      method,
+      urlToObj(entry.request.url).pathname
+    );
+    if (!endpoints.has(key)) endpoints.set(key, { template, examples: [] });
+    endpoints.get(key).examples.push(toExample(entry));
+  }
+  return { endpoints, resolve, routes };
+}
+
+// Leaf values by JSON pointer-ish path, for body similarity
+function flatten(value, prefix = "", out = new Map()) {
+  if (value !== null && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) {
+      flatten(v, `${prefix}/${k}`, out);
+    }
+  } else {
+    out.set(prefix, value);
+  }
+  return out;
+}
+
+function scoreExample(ex, req) {
+  let score = ex.pathname === req.pathname ? 4 : 0;
+
+  for (const [name, value] of req.query) {
+    const values = ex.query.getAll(name);
+    if (values.includes(value)) score += 2;
+    else if (values.length) score += 1;
+  }
+  for (const name of new Set(ex.query.keys())) {
+    if (!req.query.has(name)) score -= 1;
+  }
+
+  if (req.body !== undefined && ex.body !== undefined) {
+    if (typeof req.body !== "object" || typeof ex.body !== "object") {
+      score += req.body === ex.body ? 3 : 0;
+    } else {
+      const want = flatten(ex.body);
+      for (const [p, v] of flatten(req.body)) {
+        if (!want.has(p)) continue;
+        score += want.get(p) === v ? 2 : 1;
+      }
+    }
+  }
+  return score;
+}
+
+function pickExample(examples, req) {
+  let best = examples[0];
+  let bestScore = -Infinity;
+  for (const ex of examples) {
+    const s = scoreExample(ex, req);
+    if (s > bestScore) {
+      best = ex;
+      bestScore = s;
+    }
+  }
+  return best;
+}
+
+// ---- Stateful CRUD ----
+
+const ACTION_RE =
+  /^(list|all|search|create|add|new|save|update|edit|modify|delete|remove|get|detail|details|view)(?:[_-]([A-Za-z][\w-]*))?$/i;
+const ACTION_KIND = {
+  list: "list",
+  all: "list",
+  search: "list",
+  create: "create",
+  add: "create",
+  new: "create",
+  save: "create",
+  update: "update",
+  edit: "update",
+  modify: "update",
+  delete: "delete",
+  remove: "delete",
+  get: "get",
+  detail: "get",
+  details: "get",
+  view: "get",
+};
+const ID_FIELDS = ["id", "_id", "uuid"];
+const TOTAL_FIELDS = ["total", "count", "totalCount", "total_count"];
+const PAGE_COUNT_FIELDS = ["totalPages", "total_pages", "pageCount", "pages"];
+const HAS_MORE_FIELDS = ["hasMore", "has_more", "hasNext", "has_next"];
+const PAGINATION_KEYS = ["page", "pagination", "paging", "pageInfo"];
+
+/**
+ * Work out what a request does to which collection:
+ *   { kind: "list"|"create"|"get"|"update"|"delete", collection, id }
+ * `collection` is the concrete path (IDs included), so tenants do not share
+ * items. Returns null for requests that are not CRUD-like.
+ */
+function crudAction(method, pathname, template, endpoints) {
+  const segs = pathname.split("/").filter(Boolean);
+  const tSegs = template.split("/").filter(Boolean);
+  const isParam = (i) => tSegs[i]?.startsWith("{");
+
+  let last = tSegs.length - 1;
+  while (last >= 0 && isParam(last)) last--;
+  if (last < 0) return null;
+
+  const m = ACTION_RE.exec(segs[last]);
+  if (m) {
+    const kind = ACTION_KIND[m[1].toLowerCase()];
+    const base = segs.slice(0, last);
+    if (m[2]) base.push(m[2]); // get_ticket -> .../ticket
+    return {
+      kind,
+      collection: "/" + base.join("/"),
+      id: last < segs.length - 1 ? segs[segs.length - 1] : undefined,
+    };
+  }
+
+  // REST style, only where a list was captured for the collection
+  const collectionTemplate = "/" + tSegs.slice(0, last + 1).join("/");
+  if (!endpoints.has(endpointKey("GET", collectionTemplate))) return null;
+  const collection = "/" + segs.slice(0, last + 1).join("/");
+  const id = last < segs.length - 1 ? segs[segs.length - 1] : undefined;
+  if (id === undefined) {
+    if (method === "GET") return { kind: "list", collection };
+    if (method === "POST") return { kind: "create", collection };
+    return null;
+  }
+  if (method === "GET") return { kind: "get", collection, id };
+  if (method === "PUT" || method === "PATCH") {
+    return { kind: "update", collection, id };
+  }
+  if (method === "DELETE") return { kind: "delete", collection, id };
+  return null;
+}
+
+/** The array of items in a list response: the body itself or a property. */
+function findItems(body) {
+  if (Array.isArray(body)) return { items: body, key: null };
+  if (!isPlainObject(body)) return null;
+  for (const [k, v] of Object.entries(body)) {
+    if (Array.isArray(v) && v.every((x) => isPlainObject(x))) {
+      return { items: v, key: k };
+    }
+  }
+  return null;
+}
+
+/** The object that describes one item: the body, `data`, or a single wrapper. */
+function findItemObject(body, idField) {
+  if (!isPlainObject(body)) return null;
+  if (idField in body) return { parent: null, key: null, item: body };
+  for (const [k, v] of Object.entries(body)) {
+    if (isPlainObject(v) && idField in v) {
+      return { parent: body, key: k, item: v };
+    }
+  }
+  return null;
+}
+
+function guessIdField(samples) {
+  for (const s of samples) {
+    if (!isPlainObject(s)) continue;
+    const found =
+      ID_FIELDS.find((f) => f in s) ||
+      Object.keys(s).find((k) => /Id$/.test(k));
+    if (found) return found;
+  }
+  return "id";
+}
+
+function newId(existing) {
+  const sample = existing.find((v) => v !== undefined && v !== null);
+  if (typeof sample === "number") {
+    return Math.max(0, ...existing.filter((v) => typeof v === "number")) + 1;
+  }
+  if (/^[0-9a-f]{24}$/i.test(String(sample))) {
+    return crypto.randomBytes(12).toString("hex");
+  }
+  return crypto.randomUUID();
+}
+
+function createStore() {
+  const collections = new Map();
+
+  const get = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, { items: [], idField: null, seeded: false });
+    }
+    return collections.get(name);
+  };
+
+  const find = (col, id) =>
+    col.items.findIndex((x) => String(x[col.idField]) === String(id));
+
+  // Items from the recorded list go first, ahead of anything created since
+  const seed = (col, recorded) => {
+    if (col.seeded) return;
+    col.seeded = true;
+    const found = findItems(recorded);
+    if (!found) return;
+    col.idField = col.idField || guessIdField(found.items);
+    const known = new Set(col.items.map((x) => String(x[col.idField])));
+    col.items = [
+      ...found.items.filter((x) => !known.has(String(x[col.idField]))),
+      ...col.items,
+    ];
+  };
+
+  return { get, find, seed };
+}
+
+/** A list's paging details: `page: { total, ... }` and the like. */
+function isPagination(key, value) {
+  return (
+    isPlainObject(value) &&
+    (PAGINATION_KEYS.includes(key) ||
+      Object.keys(value).some(
+        (k) => TOTAL_FIELDS.includes(k) || PAGE_COUNT_FIELDS.includes(k)
+      ))
+  );
+}
+
+// Every item is sent at once, so the collection is one page
+function withPageCounts(body, count) {
+  const out = { ...body };
+  for (const k of TOTAL_FIELDS) {
+    if (typeof out[k] === "number") out[k] = count;
+  }
+  for (const k of PAGE_COUNT_FIELDS) {
+    if (typeof out[k] === "number") out[k] = count ? 1 : 0;
+  }
+  for (const k of HAS_MORE_FIELDS) {
+    if (typeof out[k] === "boolean") out[k] = false;
+  }
+  return out;
+}
+
+/** A recorded envelope without the fields that only make sense for a list. */
+function withoutListFields(body) {
+  const list = findItems(body);
+  return Object.fromEntries(
+    Object.entries(body).filter(
+      ([k, v]) =>
+        k !== list?.key &&
+        !TOTAL_FIELDS.includes(k) &&
+        !PAGE_COUNT_FIELDS.includes(k) &&
+        !HAS_MORE_FIELDS.includes(k) &&
+        !isPagination(k, v)
+    )
+  );
+}
+
+function withItem(recorded, idField, item) {
+  const found = findItemObject(recorded, idField);
+  if (!found)
+    return isPlainObject(recorded) ? withoutListFields(recorded) : item;
+  const merged = { ...found.item, ...item };
+  return found.parent
+    ? { ...withoutListFields(found.parent), [found.key]: merged }
+    : merged;
+}
+
+function withItems(recorded, items) {
+  const found = findItems(recorded);
+  if (!found || found.key === null) return items;
+  const out = withPageCounts({ ...recorded, [found.key]: items }, items.length);
+  for (const [k, v] of Object.entries(out)) {
+    if (k !== found.key && isPagination(k, v)) {
+      out[k] = withPageCounts(v, items.length);
+    }
+  }
+  return out;
+}
+
+/**
+ * Apply a CRUD action to the store. Returns the JSON body to send instead
+ * of the recorded one, or undefined to fall back to the recording.
+ */
+function applyCrud(store, action, example, req) {
+  const col = store.get(action.collection);
+  const recorded = example.json;
+  const body = isPlainObject(req.body) ? req.body : {};
+
+  if (action.kind === "list") {
+    if (!findItems(recorded)) return undefined; // not a list after all
+    store.seed(col, recorded);
+    return withItems(recorded, col.items);
+  }
+
+  if (action.kind === "create") {
+    col.idField = col.idField || guessIdField([recorded?.data, recorded, body]);
+    const id =
+      body[col.idField] ??
+      newId([
+        ...col.items.map((x) => x[col.idField]),
+        findItemObject(recorded, col.idField)?.item[col.idField],
+      ]);
+    const item = { ...body, [col.idField]: id };
+    col.items.push(item);
+    return withItem(recorded, col.idField, item);
+  }
+
+  col.idField = col.idField || guessIdField([body, recorded?.data, recorded]);
+  const id =
+    action.id ?? body[col.idField] ?? body.id ?? req.query.get("id") ?? null;
+  const i = id === null ? -1 : store.find(col, id);
+  if (i === -1) return undefined;
+
+  if (action.kind === "get")
+    return withItem(recorded, col.idField, col.items[i]);
+  if (action.kind === "update") {
+    col.items[i] = {
+      ...col.items[i],
+      ...body,
+      [col.idField]: col.items[i][col.idField],
+    };
+    return withItem(recorded, col.idField, col.items[i]);
+  }
+  col.items.splice(i, 1);
+  return undefined; // delete: the recorded acknowledgement is fine
+}
+
+// ---- Server ----
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  if (!origin) return {};
+  return {
+    "access-control-allow-origin": origin,
+    "access-control-allow-credentials": "true",
+    "access-control-expose-headers": "*",
+    vary: "Origin",
+  };
+}
+
+function sendRecorded(res, example, extra, jsonBody) {
+  res.statusCode = example.status;
+  for (const h of example.headers) {
+    const name = String(h?.name || "").toLowerCase();
+    if (!name || name.startsWith(":") || SKIP_RESPONSE_HEADERS.has(name)) {
+      continue;
+    }
+    try {
+      const prev = res.getHeader(name);
+      res.setHeader(
+        name,
+        prev === undefined ? h.value : [].concat(prev, h.value)
+      );
+    } catch {
+      // Header values a browser accepted but node refuses; not worth failing for
+    }
+  }
+  for (const [k, v] of Object.entries(extra)) res.setHeader(k, v);
+
+  if (jsonBody !== undefined) {
+    res.setHeader("content-type", "application/json; charset=utf-8");
+    res.end(JSON.stringify(jsonBody));
+  } else {
+    res.end(example.payload);
+  }
+}
+
+function sendJson(res, status, body, extra = {}) {
+  res.writeHead(status, { "content-type": "application/json", ...extra });
+  res.end(JSON.stringify(body));
+}
+
+function createMockServer(matcher) {
+  const store = createStore();
+  const stats = { matched: 0, unmatched: 0 };
+
+  const server = http.createServer(async (req, res) => {
+    const started = Date.now();
+    const method = req.method.toUpperCase();
+    const url = new URL(req.url, "http://mock.local");
+    const cors = corsHeaders(req);
+    const { template, key } = matcher.resolve(method, url.pathname);
+    const endpoint = matcher.endpoints.get(key);
+    let status;
+
+    try {
+      if (!endpoint && method === "OPTIONS") {
+        // CORS preflight for an endpoint that was not captured as OPTIONS
+        res.writeHead(204, {
+          ...cors,
+          "access-control-allow-methods":
+            req.headers["access-control-request-method"] || "*",
+          "access-control-allow-headers":
+            req.headers["access-control-request-headers"] || "*",
+          "access-control-max-age": "600",
+        });
+        res.end();
+        status = 204;
+      } else if (!endpoint) {
+        stats.unmatched++;
+        status = 404;
+        sendJson(
+          res,
+          404,
+          { error: "No recorded response", endpoint: key },
+          cors
+        );
+      } else {
+        stats.matched++;
+        const text = await readBody(req);
+        const request = {
+          pathname: url.pathname,
+          query: url.searchParams,
+          body: requestBodyOf(text),
+        };
+        const example = pickExample(endpoint.examples, request);
+        let jsonBody;
+        if (stateful && example.json !== undefined) {
+          const action = crudAction(
+            method,
+            url.pathname,
+            template,
+            matcher.endpoints
+          );
+          if (action) jsonBody = applyCrud(store, action, example, request);
+        }
+        status = example.status;
+        sendRecorded(
+          res,
+          example,
+          { ...cors, "x-mock-endpoint": key },
+          jsonBody
+        );
+      }
+    } catch (err) {
+      status = 500;
+      if (!res.headersSent) sendJson(res, 500, { error: err.message }, cors);
+      else res.end();
+    }
+
+    if (!quiet) {
+      const color =
+        status >= 400 ? chalk.red : status >= 300 ? chalk.yellow : chalk.green;
+      console.log(
+        `${color(status)} ${method} ${url.pathname}${url.search} ${chalk.gray(
+          `${endpoint ? key : "unmatched"} ${Date.now() - started}ms`
+        )}`
+      );
+    }
+  });
+
+  return { server, stats };
+}
+
+// ---- Main ----
+async function main() {
+  console.log(chalk.cyan("\nHAR Mock Server"));
+  console.log(`Input: ${path.resolve(inputPath)}`);
+
+  let entries;
+  let patterns;
+  try {
+    entries = await loadEntries(inputPath);
+    patterns = loadPathPatterns(PATH_PATTERNS_FILE, BASE_PATH);
+  } catch (err) {
+    console.error(chalk.red(`✖ ${err.message}`));
+    process.exit(1);
+  }
+
+  const matcher = createMatcher(entries, patterns);
+  console.log(
+    `Endpoints: ${matcher.endpoints.size} from ${entries.length} recorded call(s)`
+  );
+  console.log(
+    `Path templating: ${matcher.routes ? "learned" : "heuristic"}${
+      patterns.length ? ` + ${patterns.length} pattern(s)` : ""
+    }`
+  );
+  if (stateful) console.log("Stateful CRUD: on");
+
+  const { server, stats } = createMockServer(matcher);
+  server.on("error", (err) => {
+    console.error(chalk.red(`✖ ${err.message}`));
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    console.log(
+      chalk.green(`✔ Listening on http://${host}:${server.address().port}\n`)
+    );
+  });
+
+  const stop = () => {
+    console.log(
+      chalk.cyan(
+        `\nServed ${stats.matched} matched, ${stats.unmatched} unmatched request(s)`
+      )
+    );
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+main().catch((err) => {
+  console.error(chalk.red(`✖ ${err?.message || err}`));
+  process.exit(1);
+});
@@ -0,0 +1,824 @@
+#!/usr/bin/env node
+/**
+ * HAR replay / regression runner
+ *
+ * Replays every unique endpoint of a capture against a build and checks that
+ * it still answers like the recording did:
+ * - status code
+ * - selected response headers (content-type by default, compared by media type)
+ * - body shape: same JSON types, no missing properties (extra properties are
+ *   warnings, failures with --strict); --values also compares scalar values
+ *
+ * Input is either har_to_bodies.js output (run it with --with-responses so
+ * the recorded bodies are there to compare) or a HAR / .har.gz directly,
+ * de-duplicated the same way (METHOD + origin + path, first call wins).
+ * Calls recorded without a response (status 0: aborted, or a curl capture)
+ * are skipped, unless another call of the same endpoint got one.
+ *
+ * Usage:
+ *   node har-replay.js -i ./traffic.har --base-url http://localhost:4010
+ *   node har-replay.js -i ./har_bodies.json --base-url https://staging.example.com
+ *   node har-replay.js -i ./traffic.har --base-url http://localhost:4010 --base-path /api/v1/vanij/gateway
+ *   node har-replay.js ... --rules ./replay-rules.json    # JSONPath ignore rules (see below)
+ *   node har-replay.js ... --ignore '$..createdAt,$..id'  # extra rules for every endpoint
+ *   node har-replay.js ... -H "Authorization: Bearer $TOKEN" # add/override request headers
+ *   node har-replay.js ... --junit ./replay.xml --report ./replay.json
+ *   node har-replay.js ... --wait 30                      # wait for a server that is still starting
+ *
+ * Rules file:
+ *   {
+ *     "ignore": ["$..timestamp", "$.data[*].id"],
+ *     "headers": ["content-type", "cache-control"],
+ *     "endpoints": {
+ *       "POST /api/v1/vanij/gateway/backend/user/refresh_token": ["$.data.token"],
+ *       "GET /api/v1/vanij/gateway/*": ["$.meta"]
+ *     }
+ *   }
+ * JSONPath support: $, .name, ['name'], [0], [*], .*, ..name (recursive).
+ * A rule also covers everything below the node it selects. Endpoint keys
+ * are "METHOD /path" with * matching anything.
+ *
+ * Offline CI: serve the recorded responses with har-mock.js, pass its
+ * address as --base-url and use --wait so the run starts once it listens.
+ * The exit code is 1 when any endpoint fails or errors.
+ */
+
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { createHarReader } from "./har-stream.js";
+
+// ---- CLI args ----
+const args = process.argv.slice(2);
+function getArg(flag, fallback = undefined) {
+  const i = args.indexOf(flag);
+  if (i !== -1) {
+    const next = args[i + 1];
+    if (!next || next.startsWith("-")) return true; // boolean flag
+    return next;
+  }
+  return fallback;
+}
+
+// Repeatable flags (-H a -H b)
+function getArgs(flag) {
+  const out = [];
+  args.forEach((a, i) => {
+    if (a === flag && args[i + 1] !== undefined) out.push(args[i + 1]);
+  });
+  return out;
+}
+
+function splitList(value) {
+  return typeof value === "string"
+    ? value
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : [];
+}
+
+const inputPath = getArg("-i") || getArg("--in") || getArg("--input");
+const baseUrl = getArg("--base-url") || process.env.REPLAY_BASE_URL;
+const basePath = getArg("--base-path", "/");
+const rulesPath = getArg("--rules");
+const extraIgnore = splitList(getArg("--ignore"));
+const headerList = splitList(getArg("--headers"));
+const extraHeaders = [...getArgs("-H"), ...getArgs("--header")];
+const includeQuery = Boolean(getArg("--include-query", false));
+const strict = Boolean(getArg("--strict", false));
+const compareValues = Boolean(getArg("--values", false));
+const junitPath = getArg("--junit");
+const reportPath = getArg("--report");
+const timeoutMs = Number(getArg("--timeout", "15000")) || 15000;
+const waitSeconds = Number(getArg("--wait", "0")) || 0;
+
+if (!inputPath || typeof inputPath !== "string") {
+  console.error(chalk.red("✖ Please provide an input file with -i ./file.har"));
+  process.exit(1);
+}
+if (!baseUrl || typeof baseUrl !== "string") {
+  console.error(
+    chalk.red(
+      "✖ Please provide --base-url (or REPLAY_BASE_URL) to replay against"
+    )
+  );
+  process.exit(1);
+}
+try {
+  new URL(baseUrl);
+} catch {
+  console.error(chalk.red(`✖ Invalid --base-url: ${baseUrl}`));
+  process.exit(1);
+}
+
+// Not forwarded from the capture: set by fetch itself, or tied to the
+// original connection
+const SKIP_REQUEST_HEADERS = new Set([
+  "host",
+  "connection",
+  "content-length",
+  "accept-encoding",
+  "transfer-encoding",
+  "keep-alive",
+  "upgrade",
+  "te",
+  "trailer",
+  "proxy-connection",
+]);
+
+const REDACTED_RE = /^__REDACTED_[A-Z_]+_\d+__$|^redacted-\d+@/;
+
+function safeJsonParse(str) {
+  try {
+    return JSON.parse(str);
+  } catch {
+    return undefined;
+  }
+}
+
+function headerValue(headers = [], name) {
+  const n = name.toLowerCase();
+  return headers.find((h) => (h?.name || "").toLowerCase() === n)?.value;
+}
+
+function baseMimeType(mimeType) {
+  return String(mimeType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+}
+
+function isJsonMime(mimeType) {
+  const mime = baseMimeType(mimeType);
+  return mime === "application/json" || mime.endsWith("+json");
+}
+
+// Recorded URLs may be absolute (HAR) or path-only (har_to_bodies.js output)
+function splitUrl(url) {
+  const u = new URL(url, "http://recorded.invalid");
+  return { origin: u.origin, pathname: u.pathname, search: u.search };
+}
+
+function dedupeKey(method, url) {
+  const { origin, pathname, search } = splitUrl(url);
+  return `${method.toUpperCase()} ${origin}${pathname}${
+    includeQuery ? search : ""
+  }`;
+}
+
+function underBasePath(pathname) {
+  if (!basePath || basePath === "/") return true;
+  const prefix = basePath.replace(/\/+$/, "");
+  return pathname === prefix || pathname.startsWith(`${prefix}/`);
+}
+
+// ---- JSONPath rules ----
+
+function parseJsonPath(expr) {
+  const src = expr.trim();
+  if (!src.startsWith("$"))
+    throw new Error(`JSONPath must start with $: ${expr}`);
+  const tokens = [];
+  let i = 1;
+  while (i < src.length) {
+    if (src.startsWith("..", i)) {
+      tokens.push({ type: "descend" });
+      i += 2;
+      if (src[i] === "[") continue;
+    } else if (src[i] === ".") {
+      i += 1;
+    } else if (src[i] !== "[") {
+      throw new Error(`Unexpected "${src[i]}" in JSONPath ${expr}`);
+    }
+
+    if (src[i] === "[") {
+      const end = src.indexOf("]", i);
+      if (end === -1) throw new Error(`Unclosed [ in JSONPath ${expr}`);
+      const inner = src.slice(i + 1, end).trim();
+      i = end + 1;
+      if (inner === "*") tokens.push({ type: "wild" });
+      else if (/^\d+$/.test(inner))
+        tokens.push({ type: "index", value: Number(inner) });
+      else if (/^(['"]).*\1$/.test(inner))
+        tokens.push({ type: "name", value: inner.slice(1, -1) });
+      else
+        throw new Error(`Unsupported selector [${inner}] in JSONPath ${expr}`);
+      continue;
+    }
+
+    const m = /^(\*|[^.[\]]+)/.exec(src.slice(i));
+    if (!m) throw new Error(`Missing name in JSONPath ${expr}`);
+    tokens.push(
+      m[1] === "*" ? { type: "wild" } : { type: "name", value: m[1] }
+    );
+    i += m[1].length;
+  }
+  return tokens;
+}
+
+// Prefix match: a rule that selects a node also covers its descendants
+function matchJsonPath(tokens, segments, ti = 0, si = 0) {
+  if (ti === tokens.length) return true;
+  const t = tokens[ti];
+  if (t.type === "descend") {
+    for (let k = si; k < segments.length; k++) {
+      if (matchJsonPath(tokens, segments, ti + 1, k)) return true;
+    }
+    return false;
+  }
+  if (si === segments.length) return false;
+  const seg = segments[si];
+  const ok =
+    t.type === "wild" ||
+    (t.type === "index" && seg === t.value) ||
+    (t.type === "name" && seg === t.value);
+  return ok && matchJsonPath(tokens, segments, ti + 1, si + 1);
+}
+
+function formatJsonPath(segments) {
+  return (
+    "$" +
+    segments
+      .map((s) =>
+        typeof s === "number"
+          ? `[${s}]`
+          : /^[A-Za-z_$][\w$]*$/.test(s)
+          ? `.${s}`
+          : `['${s.replace(/'/g, "\\'")}']`
+      )
+      .join("")
+  );
+}
+
+function keyPatternToRegExp(pattern) {
+  const src = pattern
+    .trim()
+    .split("*")
+    .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${src}$`, "i");
+}
+
+function loadRules(filePath) {
+  const rules = { ignore: [], headers: [], endpoints: [] };
+  if (filePath && typeof filePath === "string") {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new Error(`Invalid rules file ${filePath}: ${err.message}`);
+    }
+    rules.ignore = (parsed.ignore || []).map(parseJsonPath);
+    rules.headers = (parsed.headers || []).map((h) => String(h).toLowerCase());
+    rules.endpoints = Object.entries(parsed.endpoints || {}).map(
+      ([pattern, paths]) => ({
+        re: keyPatternToRegExp(pattern),
+        ignore: [].concat(paths).map(parseJsonPath),
+      })
+    );
+  }
+  rules.ignore.push(...extraIgnore.map(parseJsonPath));
+  if (headerList.length) rules.headers = headerList.map((h) => h.toLowerCase());
+  if (!rules.headers.length) rules.headers = ["content-type"];
+  return rules;
+}
+
+function ignoreRulesFor(rules, testName) {
+  return [
+    ...rules.ignore,
+    ...rules.endpoints
+      .filter((e) => e.re.test(testName))
+      .flatMap((e) => e.ignore),
+  ];
+}
+
+// ---- Recorded endpoints ----
+
+const NO_RESPONSE = "no recorded response";
+
+/**
+ * One replayable call:
+ *   { key, name, method, url, requestHeaders, requestBody,
+ *     status, headers, mimeType, body, skip }
+ * `body` is the recorded response text (undefined when not captured).
+ */
+function recordFromEntry(entry) {
+  const req = entry.request;
+  const res = entry.response || {};
+  const content = res.content || {};
+  let body = content.text;
+  if (typeof body === "string" && content.encoding === "base64") {
+    body = /json|text|xml/i.test(content.mimeType || "")
+      ? Buffer.from(body, "base64").toString("utf8")
+      : undefined;
+  }
+  const { pathname, search } = splitUrl(req.url);
+  return {
+    key: dedupeKey(req.method, req.url),
+    name: `${req.method.toUpperCase()} ${pathname}`,
+    method: req.method.toUpperCase(),
+    pathname,
+    search,
+    requestHeaders: (req.headers || []).filter(
+      (h) =>
+        h?.name &&
+        !h.name.startsWith(":") &&
+        !SKIP_REQUEST_HEADERS.has(h.name.toLowerCase())
+    ),
+    requestBody: req.postData?.text,
+    status: res.status ?? 0,
+    headers: res.headers || [],
+    mimeType: content.mimeType || headerValue(res.headers, "content-type"),
+    body: typeof body === "string" && body.length ? body : undefined,
+    ...(res.status ? {} : { skip: NO_RESPONSE }),
+  };
+}
+
+function recordFromBodies(item) {
+  const { pathname, search } = splitUrl(item.url);
+  const method = String(item.method || "GET").toUpperCase();
+  const headers = Array.isArray(item.responseHeaders)
+    ? item.responseHeaders
+    : [];
+  const rec = {
+    key: dedupeKey(method, item.url),
+    name: `${method} ${pathname}`,
+    method,
+    pathname,
+    search,
+    requestHeaders: [],
+    requestBody: undefined,
+    status: item.status ?? 0,
+    headers,
+    mimeType: headerValue(headers, "content-type"),
+    body: undefined,
+  };
+  if (item.requestBody !== null && item.requestBody !== undefined) {
+    const isText = typeof item.requestBody === "string";
+    rec.requestBody = isText
+      ? item.requestBody
+      : JSON.stringify(item.requestBody);
+    rec.requestHeaders.push({
+      name: "content-type",
+      value: isText ? "text/plain" : "application/json",
+    });
+  }
+  if (item.responseBody !== null && item.responseBody !== undefined) {
+    rec.body =
+      typeof item.responseBody === "string"
+        ? item.responseBody
+        : JSON.stringify(item.responseBody);
+  }
+  // Decoded payloads cannot be compared with what the server sends back
+  if (item.operation) rec.skip = "decoded payload (replay the HAR instead)";
+  else if (!rec.status) rec.skip = NO_RESPONSE;
+  return rec;
+}
+
+function looksLikeBodiesFile(filePath) {
+  if (/\.gz$/i.test(filePath)) return false;
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(4096);
+    const n = fs.readSync(fd, head, 0, head.length, 0);
+    const text = head
+      .slice(0, n)
+      .toString("utf8")
+      .replace(/^\uFEFF/, "");
+    return text.trimStart().startsWith("[");
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+async function loadRecorded(filePath) {
+  const unique = new Map();
+  let total = 0;
+  const add = (rec) => {
+    total++;
+    if (!underBasePath(rec.pathname)) return;
+    // First call wins, but one that got a response replaces one that did not
+    const prev = unique.get(rec.key);
+    if (prev && !(prev.skip === NO_RESPONSE && rec.status)) return;
+    unique.set(rec.key, rec);
+  };
+
+  if (looksLikeBodiesFile(filePath)) {
+    const items = JSON.parse(
+      fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "")
+    );
+    for (const item of items) {
+      if (item?.url && item?.method) add(recordFromBodies(item));
+    }
+    return { source: "bodies", total, records: [...unique.values()] };
+  }
+
+  const reader = createHarReader(filePath);
+  for await (const entry of reader.entries()) {
+    if (entry?.request?.url && entry?.request?.method)
+      add(recordFromEntry(entry));
+  }
+  return { source: "har", total, records: [...unique.values()] };
+}
+
+// ---- Comparison ----
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+function diffShape(expected, actual, segments, ctx) {
+  if (ctx.ignore.some((rule) => matchJsonPath(rule, segments))) return;
+  const where = formatJsonPath(segments);
+  const te = typeOf(expected);
+  const ta = typeOf(actual);
+  if (te !== ta) {
+    ctx.failures.push({
+      kind: "body",
+      path: where,
+      message: `expected ${te}, got ${ta}`,
+    });
+    return;
+  }
+
+  if (te === "object") {
+    for (const k of Object.keys(expected)) {
+      const child = [...segments, k];
+      if (!(k in actual)) {
+        if (!ctx.ignore.some((rule) => matchJsonPath(rule, child))) {
+          ctx.failures.push({
+            kind: "body",
+            path: formatJsonPath(child),
+            message: "missing property",
+          });
+        }
+        continue;
+      }
+      diffShape(expected[k], actual[k], child, ctx);
+    }
+    for (const k of Object.keys(actual)) {
+      const child = [...segments, k];
+      if (
+        k in expected ||
+        ctx.ignore.some((rule) => matchJsonPath(rule, child))
+      ) {
+        continue;
+      }
+      (strict ? ctx.failures : ctx.warnings).push({
+        kind: "body",
+        path: formatJsonPath(child),
+        message: "unexpected property",
+      });
+    }
+    return;
+  }
+
+  if (te === "array") {
+    // Items are checked against the recorded item at the same index, or the
+    // first recorded item when the live array is longer
+    if (!expected.length) return;
+    actual.forEach((item, i) =>
+      diffShape(
+        expected[Math.min(i, expected.length - 1)],
+        item,
+        [...segments, i],
+        ctx
+      )
+    );
+    return;
+  }
+
+  if (
+    compareValues &&
+    expected !== actual &&
+    !(typeof expected === "string" && REDACTED_RE.test(expected))
+  ) {
+    ctx.failures.push({
+      kind: "value",
+      path: where,
+      message: `expected ${JSON.stringify(expected)}, got ${JSON.stringify(
+        actual
+      )}`,
+    });
+  }
+}
+
+function compareResponse(rec, actual, rules) {
+  const ctx = {
+    ignore: ignoreRulesFor(rules, rec.name),
+    failures: [],
+    warnings: [],
+  };
+
+  if (actual.status !== rec.status) {
+    ctx.failures.push({
+      kind: "status",
+      message: `expected ${rec.status}, got ${actual.status}`,
+    });
+  }
+
+  for (const name of rules.headers) {
+    const want = headerValue(rec.headers, name);
+    if (want === undefined) continue;
+    const got = actual.headers.get(name);
+    const same =
+      name === "content-type"
+        ? baseMimeType(want) === baseMimeType(got)
+        : String(want).trim() === String(got ?? "").trim();
+    if (!same) {
+      ctx.failures.push({
+        kind: "header",
+        path: name,
+        message: `expected ${JSON.stringify(want)}, got ${JSON.stringify(
+          got ?? null
+        )}`,
+      });
+    }
+  }
+
+  if (rec.body !== undefined) {
+    const expected = safeJsonParse(rec.body);
+    const expectJson =
+      expected !== undefined && (isJsonMime(rec.mimeType) || !rec.mimeType);
+    if (expectJson) {
+      const parsed = safeJsonParse(actual.body);
+      if (parsed === undefined) {
+        ctx.failures.push({
+          kind: "body",
+          path: "$",
+          message: "response is not JSON",
+        });
+      } else {
+        diffShape(expected, parsed, [], ctx);
+      }
+    } else if (!actual.body && rec.body.trim()) {
+      ctx.failures.push({
+        kind: "body",
+        path: "$",
+        message: "response body is empty",
+      });
+    }
+  }
+  return ctx;
+}
+
+// ---- Replay ----
+
+function targetUrl(rec) {
+  return `${baseUrl.replace(/\/+$/, "")}${rec.pathname}${rec.search}`;
+}
+
+function requestHeadersFor(rec) {
+  const headers = new Headers();
+  for (const h of rec.requestHeaders) {
+    try {
+      headers.set(h.name, h.value ?? "");
+    } catch {
+      // Not a valid header for fetch (e.g. captured HTTP/2 oddities)
+    }
+  }
+  for (const line of extraHeaders) {
+    const i = line.indexOf(":");
+    if (i > 0) headers.set(line.slice(0, i).trim(), line.slice(i + 1).trim());
+  }
+  return headers;
+}
+
+async function replay(rec, rules) {
+  const started = Date.now();
+  const result = {
+    name: rec.name,
+    method: rec.method,
+    url: targetUrl(rec),
+    expected: { status: rec.status },
+    outcome: "passed",
+    failures: [],
+    warnings: [],
+  };
+  if (rec.skip) {
+    result.outcome = "skipped";
+    result.message = rec.skip;
+    result.durationMs = 0;
+    return result;
+  }
+
+  try {
+    const res = await fetch(result.url, {
+      method: rec.method,
+      headers: requestHeadersFor(rec),
+      body: ["GET", "HEAD"].includes(rec.method) ? undefined : rec.requestBody,
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const body = rec.method === "HEAD" ? "" : await res.text();
+    result.actual = { status: res.status };
+    const { failures, warnings } = compareResponse(
+      rec,
+      { status: res.status, headers: res.headers, body },
+      rules
+    );
+    result.failures = failures;
+    result.warnings = warnings;
+    if (failures.length) result.outcome = "failed";
+    if (rec.body === undefined && !rec.skip) {
+      result.warnings.push({
+        kind: "body",
+        message: "no recorded body to compare",
+      });
+    }
+  } catch (err) {
+    result.outcome = "error";
+    result.message =
+      err.name === "TimeoutError"
+        ? `timed out after ${timeoutMs}ms`
+        : err.cause?.message || err.message;
+  }
+  result.durationMs = Date.now() - started;
+  return result;
+}
+
+async function waitForServer(url, seconds) {
+  const deadline = Date.now() + seconds * 1000;
+  for (;;) {
+    try {
+      await fetch(url, { signal: AbortSignal.timeout(2000) });
+      return true;
+    } catch {
+      if (Date.now() >= deadline) return false;
+      await new Promise((r) => setTimeout(r, 500));
+    }
+  }
+}
+
+// ---- Reports ----
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+function describeFailure(f) {
+  return `${f.kind}${f.path ? ` ${f.path}` : ""}: ${f.message}`;
+}
+
+function buildJUnit(report) {
+  const s = report.summary;
+  const seconds = (ms) => (ms / 1000).toFixed(3);
+  const suiteName = escapeXml(path.basename(report.input));
+  const cases = report.results.map((r) => {
+    const attrs = `classname="${suiteName}" name="${escapeXml(
+      r.name
+    )}" time="${seconds(r.durationMs)}"`;
+    if (r.outcome === "passed") return `    <testcase ${attrs}/>`;
+    let inner;
+    if (r.outcome === "skipped") {
+      inner = `<skipped message="${escapeXml(r.message)}"/>`;
+    } else if (r.outcome === "error") {
+      inner = `<error message="${escapeXml(r.message)}" type="request"/>`;
+    } else {
+      const first = describeFailure(r.failures[0]);
+      const details = r.failures.map(describeFailure).join("\n");
+      inner = `<failure message="${escapeXml(
+        first
+      )}" type="mismatch">${escapeXml(details)}</failure>`;
+    }
+    return `    <testcase ${attrs}>\n      ${inner}\n    </testcase>`;
+  });
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="har-replay" tests="${s.total}" failures="${
+      s.failed
+    }" errors="${s.errors}" time="${seconds(report.durationMs)}">`,
+    `  <testsuite name="${suiteName}" tests="${s.total}" failures="${
+      s.failed
+    }" errors="${s.errors}" skipped="${s.skipped}" time="${seconds(
+      report.durationMs
+    )}" timestamp="${report.startedAt}">`,
+    ...cases,
+    `  </testsuite>`,
+    `</testsuites>`,
+    "",
+  ].join("\n");
+}
+
+// ---- Main ----
+async function main() {
+  const startTs = Date.now();
+  console.log(chalk.cyan("\nHAR Replay"));
+  console.log(`Input:    ${path.resolve(inputPath)}`);
+  console.log(`Base URL: ${baseUrl}`);
+
+  let rules;
+  try {
+    rules = loadRules(rulesPath);
+  } catch (err) {
+    console.error(chalk.red(`✖ ${err.message}`));
+    process.exit(1);
+  }
+
+  let recorded;
+  try {
+    recorded = await loadRecorded(inputPath);
+  } catch (err) {
+    console.error(chalk.red(`✖ Cannot read ${inputPath}: ${err.message}`));
+    process.exit(1);
+  }
+  console.log(
+    `Endpoints: ${recorded.records.length} unique of ${recorded.total} recorded (${recorded.source})`
+  );
+  if (
+    recorded.source === "bodies" &&
+    recorded.records.every((r) => r.body === undefined)
+  ) {
+    console.warn(
+      chalk.yellow(
+        "⚠ No recorded response bodies: only status and headers are compared (run har_to_bodies.js with --with-responses)"
+      )
+    );
+  }
+
+  if (waitSeconds > 0) {
+    console.log(chalk.gray(`Waiting up to ${waitSeconds}s for ${baseUrl} ...`));
+    if (!(await waitForServer(baseUrl, waitSeconds))) {
+      console.error(
+        chalk.red(`✖ ${baseUrl} did not answer within ${waitSeconds}s`)
+      );
+      process.exit(1);
+    }
+  }
+
+  const results = [];
+  for (const rec of recorded.records) {
+    const r = await replay(rec, rules);
+    results.push(r);
+    const label = {
+      passed: chalk.green("PASS"),
+      failed: chalk.red("FAIL"),
+      error: chalk.red("ERR "),
+      skipped: chalk.gray("SKIP"),
+    }[r.outcome];
+    console.log(`${label} ${r.name} ${chalk.gray(`${r.durationMs}ms`)}`);
+    for (const f of r.failures)
+      console.log(chalk.red(`     ${describeFailure(f)}`));
+    for (const w of r.warnings) {
+      console.log(chalk.yellow(`     ${describeFailure(w)}`));
+    }
+    if (r.message) console.log(chalk.gray(`     ${r.message}`));
+  }
+
+  const count = (o) => results.filter((r) => r.outcome === o).length;
+  const report = {
+    input: path.resolve(inputPath),
+    baseUrl,
+    startedAt: new Date(startTs).toISOString(),
+    durationMs: Date.now() - startTs,
+    summary: {
+      total: results.length,
+      passed: count("passed"),
+      failed: count("failed"),
+      errors: count("error"),
+      skipped: count("skipped"),
+    },
+    results,
+  };
+
+  try {
+    if (typeof reportPath === "string") {
+      fs.writeFileSync(
+        reportPath,
+        JSON.stringify(report, null, 2) + "\n",
+        "utf8"
+      );
+      console.log(`\nJSON report: ${chalk.magenta(reportPath)}`);
+    }
+    if (typeof junitPath === "string") {
+      fs.writeFileSync(junitPath, buildJUnit(report), "utf8");
+      console.log(`JUnit report: ${chalk.magenta(junitPath)}`);
+    }
+  } catch (err) {
+    console.error(chalk.red(`✖ Failed to write report: ${err.message}`));
+    process.exit(1);
+  }
+
+  const s = report.summary;
+  console.log(
+    `\n${s.failed || s.errors ? chalk.red("✖") : chalk.green("✔")} ${
+      s.passed
+    } passed, ${s.failed} failed, ${s.errors} errors, ${s.skipped} skipped (${(
+      report.durationMs / 1000
+    ).toFixed(2)}s)\n`
+  );
+  process.exit(s.failed || s.errors ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(chalk.red(`✖ ${err?.message || err}`));
+  process.exit(1);
+});
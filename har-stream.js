@@ -0,0 +1,212 @@
+/**
+ * Streaming HAR reader shared by har-to-openapi.js and har_to_bodies.js
+ *
+ * Yields `log.entries` one at a time instead of JSON.parse-ing the whole
+ * capture, so memory stays around the size of the largest single entry
+ * (plus whatever the caller keeps). Gzipped input (.har.gz, or any file
+ * starting with the gzip magic bytes) is decompressed on the fly.
+ *
+ *   const reader = createHarReader("./session.har.gz");
+ *   for await (const entry of reader.entries()) {
+ *     bar.update(reader.bytesRead); // progress against reader.totalBytes
+ *   }
+ *   console.log(reader.version, reader.count);
+ *
+ * bytesRead/totalBytes count bytes on disk, so progress is also accurate
+ * for compressed files.
+ */
+
+import fs from "fs";
+import zlib from "zlib";
+import { StringDecoder } from "string_decoder";
+
+const QUOTE = 34;
+const BACKSLASH = 92;
+const COMMA = 44;
+const OPEN_OBJECT = 123;
+const CLOSE_OBJECT = 125;
+const OPEN_ARRAY = 91;
+const CLOSE_ARRAY = 93;
+
+// Strings outside entries are only kept to read keys and log.version
+const MAX_META_STRING = 1024;
+
+/** Gzipped by name (.gz) or by its magic bytes. */
+export function isGzip(filePath) {
+  if (/\.gz$/i.test(filePath)) return true;
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(2);
+    const n = fs.readSync(fd, head, 0, 2, 0);
+    return n === 2 && head[0] === 0x1f && head[1] === 0x8b;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Incremental scanner: feed text chunks, get back the entries completed in
+ * each one. Only log.entries[] elements are materialised; everything else
+ * is walked past, keeping just the keys needed to know where we are.
+ */
+function createScanner(filePath, meta) {
+  const stack = []; // { array, key, expectKey }
+  let pendingKey = null; // key whose value comes next
+  let inString = false;
+  let escaped = false;
+  let str = null; // string being read outside an entry
+  let capture = null; // text of the entry being read
+  let depth = 0; // nesting inside the captured entry
+  let sawEntries = false;
+
+  const atEntries = () =>
+    stack.length === 3 &&
+    stack[1].key === "log" &&
+    stack[2].key === "entries" &&
+    stack[2].array;
+
+  function endString() {
+    const top = stack[stack.length - 1];
+    if (top && !top.array && top.expectKey) {
+      pendingKey = str;
+      top.expectKey = false;
+    } else {
+      if (stack.length === 2 && stack[1].key === "log") {
+        if (pendingKey === "version") meta.version = str;
+      }
+      pendingKey = null;
+    }
+    str = null;
+  }
+
+  function parseEntry(text) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(
+        `Invalid HAR entry #${meta.count + 1} in ${filePath}: ${err.message}`
+      );
+    }
+  }
+
+  function push(text) {
+    const out = [];
+    let start = capture !== null ? 0 : -1;
+    for (let i = 0; i < text.length; i++) {
+      const c = text.charCodeAt(i);
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === BACKSLASH) escaped = true;
+        else if (c === QUOTE) {
+          inString = false;
+          if (str !== null) endString();
+        } else if (str !== null && str.length < MAX_META_STRING) {
+          str += text[i];
+        }
+        continue;
+      }
+      if (c === QUOTE) {
+        inString = true;
+        if (capture === null) str = "";
+        continue;
+      }
+
+      if (capture !== null) {
+        if (c === OPEN_OBJECT || c === OPEN_ARRAY) depth++;
+        else if (c === CLOSE_OBJECT || c === CLOSE_ARRAY) {
+          depth--;
+          if (depth === 0) {
+            out.push(parseEntry(capture + text.slice(start, i + 1)));
+            meta.count++;
+            capture = null;
+            start = -1;
+          }
+        }
+        continue;
+      }
+
+      if (c === OPEN_OBJECT || c === OPEN_ARRAY) {
+        if (c === OPEN_OBJECT && atEntries()) {
+          capture = "";
+          start = i;
+          depth = 1;
+          continue;
+        }
+        stack.push({
+          array: c === OPEN_ARRAY,
+          key: pendingKey,
+          expectKey: c === OPEN_OBJECT,
+        });
+        pendingKey = null;
+        if (atEntries()) sawEntries = true;
+      } else if (c === CLOSE_OBJECT || c === CLOSE_ARRAY) {
+        stack.pop();
+        pendingKey = null;
+      } else if (c === COMMA) {
+        const top = stack[stack.length - 1];
+        if (top && !top.array) top.expectKey = true;
+      }
+    }
+    if (capture !== null) capture += text.slice(start);
+    return out;
+  }
+
+  function end() {
+    if (capture !== null || inString || stack.length) {
+      throw new Error(`HAR is truncated: ${filePath}`);
+    }
+    if (!sawEntries) {
+      throw new Error(`HAR does not contain log.entries[]: ${filePath}`);
+    }
+  }
+
+  return { push, end };
+}
+
+/**
+ * Open a HAR (or .har.gz) for streaming. `entries()` can be iterated once.
+ */
+export function createHarReader(filePath) {
+  const reader = {
+    path: filePath,
+    totalBytes: fs.statSync(filePath).size,
+    bytesRead: 0,
+    gzip: isGzip(filePath),
+    version: undefined,
+    count: 0,
+    entries,
+  };
+
+  async function* entries() {
+    const raw = fs.createReadStream(filePath);
+    const source = reader.gzip ? raw.pipe(zlib.createGunzip()) : raw;
+    raw.on("error", (err) => source.destroy(err));
+
+    const decoder = new StringDecoder("utf8");
+    const scanner = createScanner(filePath, reader);
+    let first = true;
+    try {
+      for await (const chunk of source) {
+        let text = decoder.write(chunk);
+        if (first) {
+          text = text.replace(/^\uFEFF/, "");
+          first = false;
+        }
+        reader.bytesRead = raw.bytesRead;
+        for (const entry of scanner.push(text)) yield entry;
+      }
+      for (const entry of scanner.push(decoder.end())) yield entry;
+      scanner.end();
+      reader.bytesRead = reader.totalBytes;
+    } catch (err) {
+      if (err.code === "Z_DATA_ERROR" || err.code === "Z_BUF_ERROR") {
+        throw new Error(`Cannot gunzip ${filePath}: ${err.message}`);
+      }
+      throw err;
+    } finally {
+      raw.destroy();
+    }
+  }
+
+  return reader;
+}
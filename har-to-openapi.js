@@ -3,26 +3,108 @@
  * HAR -> OpenAPI (YAML) generator
  *
  * Features:
- * - Reads HAR file from .env (HAR_FILE)
- * - Filters endpoints by BASE_PATH
+ * - Reads HAR file(s) from .env (HAR_FILE: a file, comma-separated files or a directory)
+ *   as a stream, entry by entry, aggregating as it goes (learned templating
+ *   and --review re-read the files first); .har.gz is decompressed on the fly
+ * - Also reads JSONL request logs, pasted curl commands, mitmproxy dumps and
+ *   access logs, detected from the file contents (capture-input.js); calls
+ *   captured without a response (status 0) document the request only
+ * - Filters endpoints by BASE_PATH, and optionally by host and path glob
+ *   (INCLUDE_HOSTS, EXCLUDE_HOSTS, INCLUDE_PATHS, EXCLUDE_PATHS)
+ * - Servers from SERVER_URL (comma-separated), else from the captured origins
+ *   (path-only URLs, as in access logs, have none); origins differing in one
+ *   host label/port become one server with a variable
  * - Dedupes by (method + normalizedPath) ignoring query differences
- * - Infers path params and query params
+ * - Infers path params (heuristic or learned from all captures) and query params
+ * - Explicit path templates from PATH_PATTERNS_FILE take precedence
  * - Adds request/response examples from HAR
- * - Generates OpenAPI 3.0 YAML with tags and schemas (best-effort)
+ * - Parses multipart/form-data into per-part schemas (file parts as binary)
+ *   and documents binary/base64 bodies by media type, without example bytes
+ * - Infers response schemas for SSE (per event), NDJSON, CSV and XML bodies;
+ *   base64 text content is decoded first (and so redacted like any text)
+ * - Generates OpenAPI 3.0 YAML with tags and schemas (best-effort), or 3.1
+ *   with OPENAPI_VERSION=3.1 (WEBHOOK_PATHS are then documented as webhooks)
+ * - Detects string formats and suggests enums for code-like fields
+ *   (INFER_FORMATS, ENUM_MAX_VALUES, ENUM_MIN_SAMPLES in .env)
+ * - Regenerates OUTPUT_SWAGGER from scratch; MERGE_EXISTING=true merges into
+ *   the existing one instead, keeping hand-edited summaries, descriptions and tags
+ * - Detects bearer/JWT, basic, API-key and cookie auth into securitySchemes
+ *   and marks operations called without credentials as public
+ * - Optionally documents request headers / cookies as parameters
+ *   (DOCUMENT_HEADERS, DOCUMENT_COOKIES, HEADER_DENY_LIST)
+ * - Documents meaningful response headers (rate limits, Location, ETag, x-*...)
+ *   (DOCUMENT_RESPONSE_HEADERS, RESPONSE_HEADER_DENY_LIST)
+ * - Decodes encrypted gateway payloads through a user module (DECODER_MODULE)
+ *   and splits them into oneOf variants on its discriminator
+ * - --review walks each endpoint in the terminal (accept/skip, rename, tag,
+ *   summary, deprecated, canonical example); decisions are kept in REVIEW_FILE
+ *   (default <output>.review.json) and replayed on every run
+ * - Exports a Postman v2.1 collection + environment (POSTMAN_OUTPUT) and an
+ *   Insomnia workspace (INSOMNIA_OUTPUT): a folder per tag, captured query and
+ *   bodies as examples, {{baseUrl}} and credentials as environment variables
+ * - Validates the result with swagger-parser before writing it (--strict
+ *   exits non-zero on errors and leaves the previous output untouched)
+ * - Masks secrets/PII in examples (REDACT, REDACT_HEADERS, REDACT_KEYS; --redact-report [file])
  * - Progress bar + single-line log updates (no terminal spam)
  * run this npm i fs path dotenv yaml chalk cli-progress
  * node har-to-openapi.js
  */
 
 import fs from "fs";
+import http from "http";
 import path from "path";
 import dotenv from "dotenv";
 import YAML from "yaml";
 import chalk from "chalk";
 import cliProgress from "cli-progress";
+import SwaggerParser from "@apidevtools/swagger-parser";
+import {
+  createRedactor,
+  formatRedactReport,
+  REDACTED_PLACEHOLDER_RE,
+} from "./redact.js";
+import { loadDecoder, decodeEntry } from "./decoder.js";
+import { isNdjsonMime, parseTextBody } from "./text-formats.js";
+import { createCaptureReader, detectCaptureFormat } from "./capture-input.js";
+import {
+  buildPostmanCollection,
+  buildPostmanEnvironment,
+  buildInsomniaExport,
+} from "./collections.js";
+import {
+  urlToObj,
+  isStaticEntry,
+  normalizePathname,
+  createRouteLearner,
+  extractPathParams,
+  buildTagFromPath,
+  endpointKey,
+  loadPathPatterns,
+  matchPathPattern,
+} from "./endpoints.js";
+import {
+  loadReviewDecisions,
+  saveReviewDecisions,
+  runReview,
+} from "./review.js";
 
 dotenv.config();
 
+// ---- CLI args ----
+const args = process.argv.slice(2);
+function getArg(flag, fallback = undefined) {
+  const i = args.indexOf(flag);
+  if (i !== -1) {
+    const next = args[i + 1];
+    if (!next || next.startsWith("-")) return true; // boolean flag
+    return next;
+  }
+  return fallback;
+}
+
+// --redact-report [file]: print what was masked, or write it as JSON
+const redactReport = getArg("--redact-report", false);
+
 const {
   HAR_FILE,
   BASE_PATH,
@@ -30,8 +112,43 @@ const {
   API_TITLE,
   API_VERSION,
   SERVER_URL,
+  INCLUDE_HOSTS = "",
+  EXCLUDE_HOSTS = "",
+  INCLUDE_PATHS = "",
+  EXCLUDE_PATHS = "",
+  MERGE_EXISTING = "false",
+  DECODER_MODULE,
+  DOCUMENT_HEADERS = "false",
+  DOCUMENT_COOKIES = "false",
+  HEADER_DENY_LIST = "",
+  DOCUMENT_RESPONSE_HEADERS = "true",
+  RESPONSE_HEADER_DENY_LIST = "",
+  REDACT = "true",
+  REDACT_HEADERS = "",
+  REDACT_KEYS = "",
+  PATH_PATTERNS_FILE,
+  REVIEW_FILE,
+  PATH_TEMPLATING = "heuristic",
+  LEARN_MIN_VARIANTS = "3",
+  INFER_FORMATS = "true",
+  ENUM_MAX_VALUES = "5",
+  ENUM_MIN_SAMPLES = "3",
+  OPENAPI_VERSION = "3.0",
+  WEBHOOK_PATHS = "",
+  POSTMAN_OUTPUT = "",
+  INSOMNIA_OUTPUT = "",
 } = process.env;
 
+const documentHeaders = DOCUMENT_HEADERS === "true";
+const documentCookies = DOCUMENT_COOKIES === "true";
+const documentResponseHeaders = DOCUMENT_RESPONSE_HEADERS !== "false";
+const learnMinVariants = Number(LEARN_MIN_VARIANTS) || 3;
+const inferFormats = INFER_FORMATS !== "false";
+const enumMaxValues = Number(ENUM_MAX_VALUES) || 0;
+const enumMinSamples = Number(ENUM_MIN_SAMPLES) || 1;
+const openApi31 = /^3\.1(\.\d+)?$/.test(OPENAPI_VERSION.trim());
+const openApiVersion = openApi31 ? "3.1.0" : "3.0.3";
+
 if (!HAR_FILE) {
   console.error("Missing HAR_FILE in .env");
   process.exit(1);
@@ -40,13 +157,34 @@ if (!BASE_PATH) {
   console.error("Missing BASE_PATH in .env");
   process.exit(1);
 }
+if (!openApi31 && !/^3\.0(\.\d+)?$/.test(OPENAPI_VERSION.trim())) {
+  console.error(
+    `Unsupported OPENAPI_VERSION: ${OPENAPI_VERSION} (use 3.0 or 3.1)`
+  );
+  process.exit(1);
+}
 
-const absHarPath = path.isAbsolute(HAR_FILE)
-  ? HAR_FILE
-  : path.resolve(process.cwd(), HAR_FILE);
-const absOutPath = path.isAbsolute(OUTPUT_SWAGGER)
-  ? OUTPUT_SWAGGER
-  : path.resolve(process.cwd(), OUTPUT_SWAGGER);
+const outputSwagger = OUTPUT_SWAGGER || "openapi.yaml";
+const absOutPath = path.isAbsolute(outputSwagger)
+  ? outputSwagger
+  : path.resolve(process.cwd(), outputSwagger);
+
+// --strict: exit non-zero, without writing anything, when the generated
+// document does not validate
+const strict = Boolean(getArg("--strict", false));
+
+// --review: decide endpoint by endpoint; REVIEW_FILE keeps the decisions
+const reviewMode = Boolean(getArg("--review", false));
+const reviewFile = REVIEW_FILE
+  ? path.resolve(process.cwd(), REVIEW_FILE)
+  : `${absOutPath.replace(/\.(ya?ml|json)$/i, "")}.review.json`;
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
 
 function safeJsonParse(str) {
   try {
@@ -56,170 +194,116 @@ function safeJsonParse(str) {
   }
 }
 
-function parseHar(filePath) {
-  const raw = fs.readFileSync(filePath, "utf8");
-  const parsed = safeJsonParse(raw);
-  if (!parsed?.log?.entries?.length) {
-    throw new Error("HAR does not contain log.entries[]");
-  }
-  return parsed;
-}
-
-function urlToObj(u) {
-  try {
-    return new URL(u);
-  } catch {
-    // Some HARs store partial URLs; try to repair minimally
-    return new URL(u, "http://har.local");
-  }
+function contentTypeOf(headers = []) {
+  const h = headers.find(
+    (x) => (x.name || "").toLowerCase() === "content-type"
+  );
+  return (h?.value || "").split(";")[0].trim() || "";
 }
 
-/**
- * Normalize a URL pathname into an OpenAPI-style path:
- * - Keeps BASE_PATH as a required prefix
- * - Converts "likely IDs" to {param} placeholders:
- *   - UUID, Mongo ObjectId, numeric segments
- * - Avoids converting short/common segments (heuristic)
- */
-// function normalizePathname(pathname) {
-//   const segments = pathname.split("/").filter(Boolean);
-
-//   const uuidRe =
-//     /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-//   const mongoIdRe = /^[0-9a-f]{24}$/i;
-//   const numRe = /^\d+$/;
-
-//   const normalized = segments.map((seg) => {
-//     // Heuristics: treat long identifiers as params
-//     if (uuidRe.test(seg)) return "{id}";
-//     if (mongoIdRe.test(seg)) return "{id}";
-//     if (numRe.test(seg)) return "{id}";
-//     // Also consider very long opaque tokens as IDs
-//     if (seg.length >= 16 && /^[A-Za-z0-9\-_]+$/.test(seg)) return "{id}";
-//     return seg;
-//   });
-
-//   return "/" + normalized.join("/");
-// }
-function normalizePathname(pathname) {
-  const segments = pathname.split("/").filter(Boolean);
-
-  const uuidRe =
-    /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-  const mongoIdRe = /^[0-9a-f]{24}$/i;
-  const numRe = /^\d+$/;
-
-  let idCount = 0;
-
-  const normalized = segments.map((seg) => {
-    const isId =
-      uuidRe.test(seg) ||
-      mongoIdRe.test(seg) ||
-      numRe.test(seg) ||
-      (seg.length >= 16 && /^[A-Za-z0-9\-_]+$/.test(seg));
-
-    if (isId) {
-      idCount += 1;
-      return idCount === 1 ? "{id}" : `{id${idCount}}`;
-    }
-    return seg;
-  });
-
-  return "/" + normalized.join("/");
-}
-
-/**
- * Extract path parameters from normalized path and original path:
- * - If normalized has {id}, create param name:
- *   - Prefer "id" or try to infer from previous segment (plural -> singular)
- */
-// function extractPathParams(normalizedPath, originalPathname) {
-//   const nSegs = normalizedPath.split("/").filter(Boolean);
-//   const oSegs = originalPathname.split("/").filter(Boolean);
-
-//   const params = [];
-//   for (let i = 0; i < nSegs.length; i++) {
-//     if (nSegs[i].startsWith("{") && nSegs[i].endsWith("}")) {
-//       // const prev = nSegs[i - 1] || "id";
-//       // let name = "id";
-//       // if (prev && prev !== "{id}") {
-//       //   // Try infer: "users" -> "userId", "orders" -> "orderId"
-//       //   const base = prev.endsWith("s") ? prev.slice(0, -1) : prev;
-//       //   name = `${base}Id`;
-//       const name = nSegs[i].replace(/[{}]/g, "");
-
-//       params.push({
-//         name,
-//         in: "path",
-//         required: true,
-//         schema: { type: "string" },
-//       });
-//     }
-//   }
-
-//   // Deduplicate path params by name
-//   const uniq = new Map();
-//   for (const p of params) {
-//     if (!uniq.has(p.name)) uniq.set(p.name, p);
-//   }
-//   return Array.from(uniq.values());
-// }
-function extractPathParams(normalizedPath, originalPathname) {
-  const nSegs = normalizedPath.split("/").filter(Boolean);
-  const oSegs = originalPathname.split("/").filter(Boolean);
+// Media types whose bodies are not text; documented as format: binary
+const BINARY_MIME_RE =
+  /^(image|audio|video|font)\/|^application\/(octet-stream|pdf|zip|x-zip-compressed|gzip|x-gzip|x-tar|x-7z-compressed|x-protobuf|protobuf|x-msgpack|msgpack|wasm|vnd\.ms-|vnd\.openxmlformats-)/i;
 
-  const params = [];
-  for (let i = 0; i < nSegs.length; i++) {
-    if (nSegs[i].startsWith("{") && nSegs[i].endsWith("}")) {
-      const name = nSegs[i].replace(/[{}]/g, "");
-      const exampleValue = oSegs[i]; // actual value from HAR URL path
+// Placeholder some capture tools/cleaners leave instead of the bytes,
+// e.g. "[Binary/Compressed Data Removed]"
+const BINARY_PLACEHOLDER_RE = /^\[Binary[^\]]*\]$/i;
 
-      params.push({
-        name,
-        in: "path",
-        required: true,
-        schema: { type: "string" },
-        example: exampleValue, // <-- keep it here for later emission
-      });
-    }
-  }
+// Access logs (and some HARs) store the path without scheme and host
+const ABSOLUTE_URL_RE = /^[a-z][a-z\d+.-]*:\/\//i;
 
-  // Deduplicate by name (now names are id, id2, id3... so they won't collide)
-  const uniq = new Map();
-  for (const p of params) {
-    if (!uniq.has(p.name)) uniq.set(p.name, p);
-  }
-  return Array.from(uniq.values());
+function baseMimeType(mimeType) {
+  return (mimeType || "").split(";")[0].trim().toLowerCase();
 }
 
-function buildTagFromPath(normalizedPath) {
-  // e.g. /api/users/{id}/roles -> "users"
-  const segs = normalizedPath.split("/").filter(Boolean);
-  // Skip base path segments
-  const baseSegs = BASE_PATH.split("/").filter(Boolean);
-  const remaining = segs.slice(baseSegs.length);
-  const first =
-    remaining.find((s) => s && !s.startsWith("{")) || remaining[0] || "default";
-  return first;
+function isBinaryMime(mimeType) {
+  const mime = baseMimeType(mimeType);
+  return BINARY_MIME_RE.test(mime) && !/\+(xml|json)$/.test(mime);
 }
 
-function contentTypeOf(headers = []) {
-  const h = headers.find(
-    (x) => (x.name || "").toLowerCase() === "content-type"
+/**
+ * Parts of a multipart/form-data body: [{ name, value, fileName, contentType }].
+ * Most HAR exporters fill postData.params; otherwise the raw text is split
+ * on its boundary. File contents are never kept, only their metadata.
+ */
+function parseMultipart(postData) {
+  if (Array.isArray(postData.params) && postData.params.length) {
+    return postData.params.map((p) => ({
+      name: p.name,
+      value: p.fileName === undefined ? p.value ?? "" : "",
+      fileName: p.fileName,
+      contentType: p.contentType,
+    }));
+  }
+
+  const text = postData.text || "";
+  const m = (postData.mimeType || "").match(
+    /boundary=(?:"([^"]+)"|([^;\s]+))/i
   );
-  return (h?.value || "").split(";")[0].trim() || "";
+  const boundary = m ? m[1] || m[2] : text.match(/^--([^\r\n]+)/)?.[1];
+  if (!boundary) return [];
+
+  const parts = [];
+  for (const chunk of text.split(`--${boundary}`)) {
+    const sep = chunk.search(/\r?\n\r?\n/);
+    if (sep === -1) continue;
+    const head = chunk.slice(0, sep);
+    const name = head.match(/\bname="([^"]*)"/i)?.[1];
+    if (name === undefined) continue;
+    const fileName = head.match(/\bfilename="([^"]*)"/i)?.[1];
+    const value = chunk
+      .slice(sep)
+      .replace(/^\r?\n\r?\n/, "")
+      .replace(/\r?\n$/, "");
+    parts.push({
+      name,
+      value: fileName === undefined ? value : "",
+      fileName,
+      contentType: head.match(/^content-type:\s*(.+)$/im)?.[1].trim(),
+    });
+  }
+  return parts;
 }
 
 function pickRequestBody(entry) {
   const postData = entry?.request?.postData;
   if (!postData) return null;
 
-  const mimeType =
+  const mimeType = baseMimeType(
     postData.mimeType ||
-    contentTypeOf(entry.request.headers) ||
-    "application/json";
+      contentTypeOf(entry.request.headers) ||
+      "application/json"
+  );
   const text = postData.text || "";
 
+  if (mimeType === "multipart/form-data") {
+    const example = {};
+    const files = {};
+    for (const part of parseMultipart(postData)) {
+      if (part.fileName !== undefined) {
+        files[part.name] = {
+          fileName: part.fileName,
+          contentType: part.contentType || "application/octet-stream",
+        };
+        example[part.name] = part.fileName;
+      } else {
+        example[part.name] = part.value;
+      }
+    }
+    return { mimeType, example, files };
+  }
+
+  // Binary uploads: document the media type, never the bytes
+  if (isBinaryMime(mimeType) || BINARY_PLACEHOLDER_RE.test(text.trim())) {
+    return {
+      mimeType: isBinaryMime(mimeType) ? mimeType : "application/octet-stream",
+      binary: true,
+    };
+  }
+
+  // A single NDJSON line is valid JSON, but it is still NDJSON on the wire
+  if (isNdjsonMime(mimeType)) return { mimeType, example: text };
+
   // Try JSON example
   const parsed = safeJsonParse(text);
   if (parsed) {
@@ -227,25 +311,87 @@ function pickRequestBody(entry) {
   }
 
   // If it's urlencoded, attempt to parse into object
-  if (mimeType.includes("application/x-www-form-urlencoded")) {
+  if (mimeType === "application/x-www-form-urlencoded") {
     const obj = {};
     (postData.params || []).forEach((p) => {
       obj[p.name] = p.value ?? "";
     });
-    return { mimeType: "application/x-www-form-urlencoded", example: obj };
+    return { mimeType, example: obj };
   }
 
-  // fallback
-  return { mimeType: mimeType || "text/plain", example: text };
+  // fallback; text that failed to parse is not JSON whatever it claims
+  return {
+    mimeType: mimeType && !/json$/.test(mimeType) ? mimeType : "text/plain",
+    example: text,
+  };
+}
+
+/**
+ * HAR exporters base64-encode some text responses. Decode those up front so
+ * the decoder, redaction and schema inference all see plain text; binary
+ * media types stay encoded.
+ */
+function decodeBase64Text(entry) {
+  const content = entry?.response?.content;
+  if (
+    content?.encoding !== "base64" ||
+    typeof content.text !== "string" ||
+    isBinaryMime(content.mimeType)
+  ) {
+    return entry;
+  }
+  const text = Buffer.from(content.text, "base64").toString("utf8");
+  // Not valid UTF-8 after all: leave it to be documented as binary
+  if (text.includes("\uFFFD")) return entry;
+  const { encoding, ...rest } = content;
+  return {
+    ...entry,
+    response: { ...entry.response, content: { ...rest, text } },
+  };
+}
+
+// Binary bodies count as captured even though they carry no example value
+function hasBodyExample(body) {
+  return Boolean(
+    body &&
+      (body.binary || (body.example !== undefined && body.example !== null))
+  );
 }
 
 function pickResponseBody(entry) {
   const res = entry?.response;
-  if (!res) return null;
+  // Status 0: aborted in the browser, or a capture (curl) with no response
+  if (!res?.status) return null;
 
-  const mimeType = res.content?.mimeType || contentTypeOf(res.headers) || "";
+  const mimeType = baseMimeType(
+    res.content?.mimeType || contentTypeOf(res.headers)
+  );
   const text = res.content?.text ?? "";
-  const status = res.status || 200;
+  const status = res.status;
+
+  if (BINARY_PLACEHOLDER_RE.test(text.trim())) {
+    return {
+      status,
+      mimeType: isBinaryMime(mimeType) ? mimeType : "application/octet-stream",
+      binary: true,
+    };
+  }
+  // Base64 content is not redacted, so it is never copied into an example
+  if (text && (isBinaryMime(mimeType) || res.content?.encoding === "base64")) {
+    return {
+      status,
+      mimeType: mimeType || "application/octet-stream",
+      binary: true,
+    };
+  }
+
+  // SSE / NDJSON / CSV / XML: the wire text is the example, the parsed
+  // value drives the schema. Checked before JSON so that a one-line NDJSON
+  // body keeps its media type.
+  const structured = parseTextBody(mimeType, text);
+  if (structured) {
+    return { status, mimeType, example: text, structured };
+  }
 
   const parsed = safeJsonParse(text);
   if (parsed) {
@@ -260,158 +406,1598 @@ function pickResponseBody(entry) {
 }
 
 /**
- * Basic schema inference from example value.
- * This is deliberately conservative.
+ * Basic schema inference from example value.
+ * This is deliberately conservative.
+ */
+function inferSchemaFromExample(example, components, suggestedName) {
+  const t = typeof example;
+
+  if (example === null) return { nullable: true };
+
+  if (Array.isArray(example)) {
+    // Every element contributes to the item schema, not just example[0]
+    const itemSchema = example.length
+      ? inferSchemaFromExamples(example, components, `${suggestedName}Item`)
+      : {};
+    return { type: "array", items: itemSchema };
+  }
+
+  if (t === "string") return inferStringSchema(example);
+  if (t === "number")
+    return Number.isInteger(example) ? { type: "integer" } : { type: "number" };
+  if (t === "boolean") return { type: "boolean" };
+
+  if (t === "object") {
+    const props = {};
+    const required = [];
+    for (const [k, v] of Object.entries(example)) {
+      props[k] = inferSchemaFromExample(
+        v,
+        components,
+        `${suggestedName}${capitalize(k)}`
+      );
+      required.push(k);
+    }
+    // OpenAPI 3.0 does not allow an empty required list
+    return {
+      type: "object",
+      properties: props,
+      ...(required.length ? { required } : {}),
+    };
+  }
+
+  return { type: "string" };
+}
+
+// Checked in order; the first match wins (date-time before date, etc.)
+const STRING_FORMATS = [
+  [
+    "date-time",
+    /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/,
+  ],
+  ["date", /^\d{4}-\d{2}-\d{2}$/],
+  ["uuid", /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ["email", /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ["uri", /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i],
+  ["ipv4", /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/],
+];
+
+// Values a string field took across samples, used to suggest an enum.
+// Stripped by finalizeSchema() before the schema is emitted.
+const SEEN_VALUES = Symbol("seenValues");
+
+// Only short code-like values (e.g. TICKET_STATUS, PRIORITY) are enum
+// candidates; redaction placeholders never are (the field is a secret)
+const ENUM_CANDIDATE_RE = /^[A-Za-z0-9_.-]{1,32}$/;
+
+function inferStringSchema(value) {
+  const schema = { type: "string" };
+  if (inferFormats) {
+    const match = STRING_FORMATS.find(([, re]) => re.test(value));
+    if (match) {
+      schema.format = match[0];
+      return schema;
+    }
+  }
+  if (
+    enumMaxValues > 0 &&
+    ENUM_CANDIDATE_RE.test(value) &&
+    !REDACTED_PLACEHOLDER_RE.test(value)
+  ) {
+    schema[SEEN_VALUES] = { values: new Set([value]), samples: 1 };
+  }
+  return schema;
+}
+
+function mergeSeenValues(a, b) {
+  if (!a || !b) return undefined;
+  const values = new Set([...a.values, ...b.values]);
+  // Too many distinct values: this is free text, stop tracking
+  if (values.size > enumMaxValues) return undefined;
+  return { values, samples: a.samples + b.samples };
+}
+
+/**
+ * Turn tracked string values into enums (when a field only ever took a
+ * handful of values, at least two, across enough samples) and drop the
+ * tracking data. A value that never changed is just what was captured.
+ */
+function finalizeSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(finalizeSchema);
+  if (!schema || typeof schema !== "object") return schema;
+
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    out[k] = finalizeSchema(v);
+  }
+  const seen = schema[SEEN_VALUES];
+  if (
+    seen &&
+    seen.samples >= enumMinSamples &&
+    seen.values.size >= 2 &&
+    seen.samples > seen.values.size
+  ) {
+    out.enum = Array.from(seen.values).sort();
+  }
+  // Only ever null: OpenAPI 3.0 needs a type next to nullable
+  if (isNullOnlySchema(out)) out.type = openApi31 ? "null" : "string";
+  return out;
+}
+
+/**
+ * Infer one schema from many examples of the same payload.
+ * Keys present in every sample stay required, keys seen only in some
+ * become optional, and a field that was sometimes null gets nullable.
+ */
+function inferSchemaFromExamples(examples, components, suggestedName) {
+  let merged = null;
+  for (const ex of examples) {
+    const s = inferSchemaFromExample(ex, components, suggestedName);
+    merged = merged ? mergeSchemas(merged, s) : s;
+  }
+  return merged || {};
+}
+
+function isNullOnlySchema(s) {
+  return s && s.nullable === true && !s.type && !s.oneOf;
+}
+
+function isEmptySchema(s) {
+  return s && Object.keys(s).length === 0;
+}
+
+/**
+ * Merge two inferred schemas into one that accepts both:
+ * - integer + number widens to number
+ * - objects union their properties, required = keys required on both sides
+ * - arrays merge their item schemas
+ * - anything else incompatible becomes oneOf
+ */
+function mergeSchemas(a, b) {
+  if (!a || isEmptySchema(a)) return b;
+  if (!b || isEmptySchema(b)) return a;
+
+  if (isNullOnlySchema(a) && isNullOnlySchema(b)) return { nullable: true };
+  if (isNullOnlySchema(a)) return { ...b, nullable: true };
+  if (isNullOnlySchema(b)) return { ...a, nullable: true };
+
+  const nullable = a.nullable || b.nullable ? { nullable: true } : {};
+
+  if (a.oneOf || b.oneOf) {
+    const variants = [...(a.oneOf || [a]), ...(b.oneOf || [b])].map(
+      ({ nullable: _n, ...rest }) => rest
+    );
+    const out = [];
+    for (const v of variants) {
+      const i = out.findIndex((o) => sameSchemaType(o, v));
+      if (i === -1) out.push(v);
+      else out[i] = mergeSchemas(out[i], v);
+    }
+    return out.length === 1
+      ? { ...out[0], ...nullable }
+      : { oneOf: out, ...nullable };
+  }
+
+  if (!sameSchemaType(a, b)) {
+    return mergeSchemas({ oneOf: [a], ...nullable }, b);
+  }
+
+  if (a.type === "object") {
+    const props = { ...a.properties };
+    for (const [k, v] of Object.entries(b.properties || {})) {
+      props[k] = props[k] ? mergeSchemas(props[k], v) : v;
+    }
+    const bRequired = new Set(b.required || []);
+    const required = (a.required || []).filter((k) => bRequired.has(k));
+    return {
+      type: "object",
+      properties: props,
+      ...(required.length ? { required } : {}),
+      ...nullable,
+    };
+  }
+
+  if (a.type === "array") {
+    return {
+      type: "array",
+      items: mergeSchemas(a.items || {}, b.items || {}),
+      ...nullable,
+    };
+  }
+
+  if (a.type === "string") {
+    const out = { type: "string", ...nullable };
+    // Conflicting formats across samples mean the field has no single format
+    if (a.format && a.format === b.format) out.format = a.format;
+    const seen = mergeSeenValues(a[SEEN_VALUES], b[SEEN_VALUES]);
+    if (seen) out[SEEN_VALUES] = seen;
+    return out;
+  }
+
+  if (a.type !== b.type) return { type: "number", ...nullable };
+  return { ...a, ...nullable };
+}
+
+function sameSchemaType(a, b) {
+  const numeric = ["integer", "number"];
+  if (numeric.includes(a.type) && numeric.includes(b.type)) return true;
+  return a.type === b.type;
+}
+
+function capitalize(s) {
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+}
+
+/**
+ * Stable structural fingerprint of a schema (key order independent).
+ */
+function schemaFingerprint(schema) {
+  if (Array.isArray(schema)) return `[${schema.map(schemaFingerprint)}]`;
+  if (schema && typeof schema === "object") {
+    return `{${Object.keys(schema)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${schemaFingerprint(schema[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(schema);
+}
+
+function schemaRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Register a component schema and return a $ref to it:
+ * - a structurally identical schema already registered is reused
+ * - a name clash with a different schema gets a numeric suffix (Name2, Name3...)
+ *   in registration order, so output is deterministic for a given HAR
+ */
+function ensureComponentSchema(components, name, schema) {
+  const fp = schemaFingerprint(schema);
+  for (const [existingName, existing] of Object.entries(components.schemas)) {
+    if (schemaFingerprint(existing) === fp) return schemaRef(existingName);
+  }
+
+  let unique = name;
+  for (let n = 2; components.schemas[unique]; n++) unique = `${name}${n}`;
+  components.schemas[unique] = schema;
+  return schemaRef(unique);
+}
+
+/**
+ * Hoist nested object schemas that appear more than once across components
+ * (e.g. the shared envelope/pagination wrapper) into their own component
+ * and replace every occurrence with a $ref.
+ */
+function hoistSharedSchemas(components) {
+  const isHoistable = (s) =>
+    s?.type === "object" && Object.keys(s.properties || {}).length >= 2;
+
+  // Count nested occurrences and remember where each shape was first seen
+  const counts = new Map();
+  const firstSeen = new Map();
+  const visit = (schema, name, nested) => {
+    if (!schema || typeof schema !== "object") return;
+    if (nested && isHoistable(schema)) {
+      const fp = schemaFingerprint(schema);
+      counts.set(fp, (counts.get(fp) || 0) + 1);
+      if (!firstSeen.has(fp)) firstSeen.set(fp, name);
+    }
+    for (const [k, v] of Object.entries(schema.properties || {})) {
+      visit(v, `${name}${capitalize(k)}`, true);
+    }
+    if (schema.items) visit(schema.items, `${name}Item`, true);
+    for (const v of schema.oneOf || []) visit(v, name, true);
+  };
+  for (const [name, schema] of Object.entries(components.schemas)) {
+    visit(schema, name, false);
+  }
+
+  // Top-level components that equal a nested shape count as a use too
+  const topLevel = new Map(
+    Object.entries(components.schemas).map(([n, s]) => [
+      schemaFingerprint(s),
+      n,
+    ])
+  );
+
+  const replace = (schema) => {
+    if (!schema || typeof schema !== "object") return schema;
+    if (isHoistable(schema)) {
+      const fp = schemaFingerprint(schema);
+      if (topLevel.has(fp)) return schemaRef(topLevel.get(fp));
+      if (counts.get(fp) > 1) {
+        const hoisted = replaceChildren(schema);
+        return ensureComponentSchema(components, firstSeen.get(fp), hoisted);
+      }
+    }
+    return replaceChildren(schema);
+  };
+  const replaceChildren = (schema) => {
+    const out = { ...schema };
+    if (schema.properties) {
+      out.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([k, v]) => [k, replace(v)])
+      );
+    }
+    if (schema.items) out.items = replace(schema.items);
+    if (schema.oneOf) out.oneOf = schema.oneOf.map(replace);
+    return out;
+  };
+
+  for (const name of Object.keys(components.schemas)) {
+    components.schemas[name] = replaceChildren(components.schemas[name]);
+  }
+}
+
+// The only response of an operation whose calls all came without one
+const NO_RESPONSE_DESCRIPTION = "No response captured";
+
+function describeStatus(status) {
+  const text = http.STATUS_CODES[status];
+  return text ? `${text} (captured from HAR)` : "Response captured from HAR";
+}
+
+function mergeQueryParams(existingParams, newParams) {
+  const map = new Map(existingParams.map((p) => [`${p.in}:${p.name}`, p]));
+  for (const p of newParams) {
+    const k = `${p.in}:${p.name}`;
+    if (!map.has(k)) map.set(k, p);
+  }
+  return Array.from(map.values());
+}
+
+const API_KEY_HEADER_RE =
+  /^(x-)?(api[-_]?key|auth[-_]?token|access[-_]?token)$/i;
+const API_KEY_QUERY_RE = /^(api[-_]?key|access[-_]?token|auth[-_]?token)$/i;
+const SESSION_COOKIE_RE = /sess|^sid$|token|auth|jwt/i;
+// Anti-forgery cookies (csrftoken, XSRF-TOKEN) are echoed back, not credentials
+const CSRF_COOKIE_RE = /csrf|xsrf/i;
+
+/**
+ * Credentials a captured request carried, as [schemeName, securityScheme]
+ * pairs. All of them applied to the same call (AND in OpenAPI terms).
+ */
+function detectSecurity(entry) {
+  const req = entry?.request || {};
+  const found = [];
+
+  const auth = headerValue(req.headers, "authorization");
+  if (auth) {
+    const [scheme, credential = ""] = auth.trim().split(/\s+/, 2);
+    if (/^bearer$/i.test(scheme)) {
+      // Redaction keeps the kind in the placeholder (__REDACTED_JWT_n__)
+      const jwt =
+        /^eyJ[\w-]+\.[\w-]+\./.test(credential) ||
+        credential.startsWith("__REDACTED_JWT_");
+      found.push([
+        "bearerAuth",
+        {
+          type: "http",
+          scheme: "bearer",
+          ...(jwt ? { bearerFormat: "JWT" } : {}),
+        },
+      ]);
+    } else if (/^basic$/i.test(scheme)) {
+      found.push(["basicAuth", { type: "http", scheme: "basic" }]);
+    } else {
+      found.push([
+        "authorizationHeader",
+        { type: "apiKey", in: "header", name: "Authorization" },
+      ]);
+    }
+  }
+
+  for (const h of req.headers || []) {
+    if (API_KEY_HEADER_RE.test(h.name || "")) {
+      found.push([
+        `${camelCase(h.name)}Header`,
+        { type: "apiKey", in: "header", name: h.name },
+      ]);
+    }
+  }
+
+  const url = urlToObj(req.url || "");
+  for (const name of new Set(url.searchParams.keys())) {
+    if (API_KEY_QUERY_RE.test(name)) {
+      found.push([
+        `${camelCase(name)}Query`,
+        { type: "apiKey", in: "query", name },
+      ]);
+    }
+  }
+
+  // Session cookies (analytics cookies such as _ga and CSRF cookies are not
+  // credentials)
+  const cookieNames = new Set((req.cookies || []).map((c) => c.name));
+  for (const pair of (headerValue(req.headers, "cookie") || "").split(";")) {
+    const name = pair.split("=")[0].trim();
+    if (name) cookieNames.add(name);
+  }
+  for (const name of cookieNames) {
+    if (SESSION_COOKIE_RE.test(name) && !CSRF_COOKIE_RE.test(name)) {
+      found.push([
+        `${camelCase(name)}Cookie`,
+        { type: "apiKey", in: "cookie", name },
+      ]);
+    }
+  }
+
+  return found;
+}
+
+function headerValue(headers = [], name) {
+  const h = headers.find((x) => (x.name || "").toLowerCase() === name);
+  return h?.value;
+}
+
+function camelCase(s) {
+  const words = String(s)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  return (
+    words
+      .map((w, i) => (i ? capitalize(w.toLowerCase()) : w.toLowerCase()))
+      .join("") || "credential"
+  );
+}
+
+/**
+ * Security requirements for an operation from every call seen:
+ * - no call carried credentials -> [] (public)
+ * - some calls had none -> the observed schemes plus {} (optional auth)
+ */
+function buildOperationSecurity(combos) {
+  const requirements = [];
+  let anonymous = false;
+  for (const names of combos.values()) {
+    if (!names.length) {
+      anonymous = true;
+      continue;
+    }
+    requirements.push(Object.fromEntries(names.map((n) => [n, []])));
+  }
+  if (!requirements.length) return [];
+  if (anonymous) requirements.push({});
+  return requirements;
+}
+
+// Browser / transport noise never worth documenting as header parameters.
+// Entries ending in "*" match as prefixes; HEADER_DENY_LIST adds more.
+const DEFAULT_HEADER_DENY_LIST = [
+  ":*",
+  "sec-*",
+  "accept",
+  "accept-*",
+  "user-agent",
+  "connection",
+  "host",
+  "origin",
+  "referer",
+  "content-length",
+  "content-type",
+  "cache-control",
+  "pragma",
+  "priority",
+  "dnt",
+  "te",
+  "upgrade-insecure-requests",
+  "if-none-match",
+  "if-modified-since",
+  "cookie",
+  "authorization",
+];
+
+const headerDenyList = [
+  ...DEFAULT_HEADER_DENY_LIST,
+  ...splitList(HEADER_DENY_LIST).map((h) => h.toLowerCase()),
+];
+
+function matchesHeaderList(name, list) {
+  const n = name.toLowerCase();
+  return list.some((d) =>
+    d.endsWith("*") ? n.startsWith(d.slice(0, -1)) : n === d
+  );
+}
+
+// Transport noise left out of documented response headers.
+// Entries ending in "*" match as prefixes; RESPONSE_HEADER_DENY_LIST adds more.
+const DEFAULT_RESPONSE_HEADER_DENY_LIST = [
+  ":*",
+  "date",
+  "content-length",
+  "content-type",
+  "content-encoding",
+  "transfer-encoding",
+  "connection",
+  "keep-alive",
+  "vary",
+  "strict-transport-security",
+  "server",
+  "via",
+  "alt-svc",
+  "age",
+  "accept-ranges",
+  "access-control-*",
+  "cf-*",
+  "x-content-type-options",
+  "x-frame-options",
+  "x-xss-protection",
+  "referrer-policy",
+  "content-security-policy*",
+  "report-to",
+  "nel",
+];
+
+const responseHeaderDenyList = [
+  ...DEFAULT_RESPONSE_HEADER_DENY_LIST,
+  ...splitList(RESPONSE_HEADER_DENY_LIST).map((h) => h.toLowerCase()),
+];
+
+function extractResponseHeaders(res) {
+  if (!documentResponseHeaders) return [];
+  return (res?.headers || [])
+    .filter(
+      (h) => h?.name && !matchesHeaderList(h.name, responseHeaderDenyList)
+    )
+    .map((h) => ({ name: h.name.toLowerCase(), value: h.value ?? "" }));
+}
+
+/**
+ * OpenAPI `headers` map for one response status, from every value seen.
+ * Set-Cookie is documented by cookie name (values are session secrets).
+ */
+function buildResponseHeaders(seen, responseCount) {
+  if (!seen?.size) return undefined;
+  const headers = {};
+  for (const [name, { values, count }] of seen) {
+    const integers = values.every((v) => /^-?\d+$/.test(v));
+    const schema = integers
+      ? { type: "integer" }
+      : finalizeSchema(inferSchemaFromExamples(values));
+    const header = {};
+    if (name === "set-cookie") {
+      const cookies = new Set(values.map((v) => v.split("=")[0].trim()));
+      header.description = `Sets cookie(s): ${Array.from(cookies).join(", ")}`;
+    }
+    if (count === responseCount) header.required = true;
+    header.schema = schema;
+    header.example = integers ? Number(values[0]) : values[0];
+    headers[name] = header;
+  }
+  return headers;
+}
+
+/**
+ * Non-standard request headers (DOCUMENT_HEADERS=true) and cookies
+ * (DOCUMENT_COOKIES=true) as parameters. Credentials already covered by a
+ * security scheme are left out.
+ */
+function extractHeaderParams(req, security) {
+  const covered = new Set(
+    security.map(([, s]) => `${s.in}:${String(s.name).toLowerCase()}`)
+  );
+  const params = [];
+
+  if (documentHeaders) {
+    for (const h of req.headers || []) {
+      const name = h.name || "";
+      if (!name || matchesHeaderList(name, headerDenyList)) continue;
+      if (covered.has(`header:${name.toLowerCase()}`)) continue;
+      // Header names are case-insensitive; HTTP/2 lowercases them anyway
+      params.push({
+        name: name.toLowerCase(),
+        in: "header",
+        schema: { type: "string" },
+        example: h.value ?? "",
+      });
+    }
+  }
+
+  if (documentCookies) {
+    for (const c of req.cookies || []) {
+      if (!c?.name || covered.has(`cookie:${c.name.toLowerCase()}`)) continue;
+      params.push({
+        name: c.name,
+        in: "cookie",
+        schema: { type: "string" },
+        example: c.value ?? "",
+      });
+    }
+  }
+
+  // Same header twice in one request counts once
+  return mergeQueryParams([], params);
+}
+
+/**
+ * Glob -> RegExp. In paths "*" stays within one segment and "**" spans any
+ * number of them ("/v3/signin/**" also matches "/v3/signin"); in host names
+ * "*" matches anything ("*.google.com").
+ */
+function globToRegExp(glob, { path: isPath = false } = {}) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (isPath && c === "/" && glob.startsWith("**", i + 1)) {
+      const end = i + 3;
+      if (end === glob.length || glob[end] === "/") {
+        re += "(?:/.*)?";
+        i += 2;
+        continue;
+      }
+    }
+    if (c === "*") {
+      if (isPath && glob[i + 1] === "*") {
+        re += ".*";
+        i++;
+      } else {
+        re += isPath ? "[^/]*" : ".*";
+      }
+    } else if (c === "?") {
+      re += isPath ? "[^/]" : ".";
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`, isPath ? "" : "i");
+}
+
+const hostFilter = {
+  include: splitList(INCLUDE_HOSTS).map((g) => globToRegExp(g)),
+  exclude: splitList(EXCLUDE_HOSTS).map((g) => globToRegExp(g)),
+};
+const pathFilter = {
+  include: splitList(INCLUDE_PATHS).map((g) => globToRegExp(g, { path: true })),
+  exclude: splitList(EXCLUDE_PATHS).map((g) => globToRegExp(g, { path: true })),
+};
+
+function passesFilter(filter, values) {
+  const hit = (list) => list.some((re) => values.some((v) => re.test(v)));
+  if (hit(filter.exclude)) return false;
+  return !filter.include.length || hit(filter.include);
+}
+
+/**
+ * Why an entry is left out before anything else looks at it, or null.
+ * Exclude lists win over include lists; hosts match with or without port.
+ */
+function filterReason(urlObj) {
+  if (!(urlObj.pathname || "").startsWith(BASE_PATH)) return "basePath";
+  if (!passesFilter(hostFilter, [urlObj.hostname, urlObj.host])) return "host";
+  if (!passesFilter(pathFilter, [urlObj.pathname])) return "path";
+  return null;
+}
+
+/**
+ * servers[] from the origins seen. Origins that differ in exactly one host
+ * label (or the port) are folded into one templated server, e.g.
+ * https://{subdomain}.adya.ai with enum [vanij, vanijprod]; the rest get an
+ * entry each. Most-used first.
+ */
+function buildServers(originCounts) {
+  const groups = [];
+  const sorted = Array.from(originCounts.entries()).sort((a, b) => b[1] - a[1]);
+  for (const [origin, count] of sorted) {
+    const u = urlToObj(origin);
+    const parts = [...u.hostname.split("."), u.port];
+    const group = groups.find((g) => {
+      if (g.protocol !== u.protocol || g.parts.length !== parts.length) {
+        return false;
+      }
+      const diff = parts
+        .map((p, i) => (g.values[i].has(p) ? -1 : i))
+        .filter((i) => i !== -1);
+      const open = g.values.findIndex((v) => v.size > 1);
+      if (diff.length === 0) return true;
+      if (diff.length !== 1 || (open !== -1 && open !== diff[0])) return false;
+      // An empty (default) port cannot be an enum value
+      return (
+        diff[0] !== parts.length - 1 ||
+        (Boolean(u.port) && !g.values[diff[0]].has(""))
+      );
+    });
+    if (group) {
+      parts.forEach((p, i) => group.values[i].add(p));
+      group.counts.set(origin, count);
+      group.total += count;
+    } else {
+      groups.push({
+        protocol: u.protocol,
+        parts,
+        values: parts.map((p) => new Set([p])),
+        counts: new Map([[origin, count]]),
+        total: count,
+      });
+    }
+  }
+
+  return groups
+    .sort((a, b) => b.total - a.total)
+    .map((g) => {
+      const at = g.values.findIndex((v) => v.size > 1);
+      const portAt = g.parts.length - 1;
+      const name =
+        at === portAt ? "port" : at === 0 ? "subdomain" : `host${at}`;
+      const parts = g.parts.map((p, i) => (i === at ? `{${name}}` : p));
+      const port = parts[portAt];
+      const url = `${g.protocol}//${parts.slice(0, portAt).join(".")}${
+        port ? `:${port}` : ""
+      }`;
+      const description = `Captured from HAR (${g.total} request${
+        g.total === 1 ? "" : "s"
+      })`;
+      if (at === -1) return { url, description };
+      return {
+        url,
+        description,
+        variables: {
+          [name]: {
+            default: g.parts[at],
+            enum: Array.from(g.values[at]),
+          },
+        },
+      };
+    });
+}
+
+/**
+ * Apply a saved review decision to an endpoint before it is aggregated.
+ * A renamed template keeps the segment count, so parameters take their new
+ * names by position and keep any schema a path pattern gave them.
+ */
+function applyReviewDecision(ep, decision) {
+  if (decision.path && decision.path !== ep.normalizedPath) {
+    const oldSegs = ep.normalizedPath.split("/").filter(Boolean);
+    const newSegs = decision.path.split("/").filter(Boolean);
+    const byName = new Map(ep.pathParams.map((p) => [p.name, p]));
+    ep.pathParams = extractPathParams(decision.path, ep.pathname).map((p) => {
+      const i = newSegs.indexOf(`{${p.name}}`);
+      const old = byName.get((oldSegs[i] || "").replace(/[{}]/g, ""));
+      return old ? { ...old, name: p.name, example: p.example } : p;
+    });
+    ep.normalizedPath = decision.path;
+    ep.tag = buildTagFromPath(decision.path, BASE_PATH);
+  }
+  if (decision.tag) ep.tag = decision.tag;
+  ep.review = decision;
+}
+
+/**
+ * One dry pass for --review: every detected endpoint with its call count
+ * and a few distinct captured examples to choose from.
+ */
+async function previewEndpoints(candidates, routes, patterns) {
+  const found = new Map();
+  for await (const entry of candidates) {
+    const ep = harEntryToEndpoint(entry, routes, patterns);
+    if (!ep) continue;
+    const key = endpointKey(ep.method, ep.normalizedPath);
+    if (!found.has(key)) {
+      found.set(key, {
+        key,
+        method: ep.method,
+        normalizedPath: ep.normalizedPath,
+        tag: ep.tag,
+        summary: `${ep.method} ${ep.normalizedPath}`,
+        count: 0,
+        examples: [],
+        seen: new Set(),
+      });
+    }
+    const item = found.get(key);
+    item.count++;
+    const body = ep.responseBody?.example ?? ep.requestBody?.example;
+    const fingerprint = `${ep.status} ${JSON.stringify(body)}`;
+    if (
+      entry.startedDateTime &&
+      !item.seen.has(fingerprint) &&
+      item.examples.length < 9
+    ) {
+      item.seen.add(fingerprint);
+      item.examples.push({
+        id: entry.startedDateTime,
+        status: ep.status,
+        body,
+      });
+    }
+  }
+  return Array.from(found.values()).map(({ seen, ...rest }) => rest);
+}
+
+function harEntryToEndpoint(entry, routes, patterns = []) {
+  const req = entry.request;
+  const method = (req.method || "GET").toUpperCase();
+  const urlObj = urlToObj(req.url || "");
+  const pathname = urlObj.pathname || "/";
+  // ---- SKIP STATIC / NON-API ENDPOINTS ----
+  if (isStaticEntry(entry, pathname)) return null;
+  if (!pathname.startsWith(BASE_PATH)) return null;
+
+  // Explicit templates win over heuristics
+  const pattern = matchPathPattern(patterns, method, pathname);
+  const normalizedPath = pattern
+    ? pattern.template
+    : normalizePathname(pathname, routes);
+  const tag = pattern?.tag || buildTagFromPath(normalizedPath, BASE_PATH);
+
+  // Query params (from URLSearchParams + HAR params if present)
+  const queryParams = [];
+  urlObj.searchParams.forEach((value, name) => {
+    queryParams.push({
+      name,
+      in: "query",
+      required: false,
+      schema: { type: "string" },
+      example: value,
+    });
+  });
+  // HAR might include request.queryString
+  (req.queryString || []).forEach((q) => {
+    if (!queryParams.find((p) => p.name === q.name)) {
+      queryParams.push({
+        name: q.name,
+        in: "query",
+        required: false,
+        schema: { type: "string" },
+        example: q.value ?? "",
+      });
+    }
+  });
+
+  const security = detectSecurity(entry);
+  const headerParams = extractHeaderParams(req, security);
+
+  const pathParams = extractPathParams(normalizedPath, pathname).map((p) => {
+    const override = pattern?.parameters?.[p.name];
+    if (!override) return p;
+    return {
+      ...p,
+      schema: override.schema || p.schema,
+      ...(override.description ? { description: override.description } : {}),
+      ...(override.example !== undefined ? { example: override.example } : {}),
+    };
+  });
+
+  const requestBody = pickRequestBody(entry);
+  const responseBody = pickResponseBody(entry);
+
+  return {
+    method,
+    pathname,
+    normalizedPath,
+    tag,
+    queryParams,
+    pathParams,
+    requestBody,
+    responseBody,
+    status: entry?.response?.status || 0,
+    operationId: pattern?.operationId,
+    matchedPattern: Boolean(pattern),
+    security,
+    headerParams,
+    responseHeaders: extractResponseHeaders(entry.response),
+    variant: entry._variant,
+  };
+}
+
+function buildOpenApiDoc() {
+  return {
+    openapi: openApiVersion,
+    info: {
+      // Both are required by OpenAPI, so never leave them empty
+      title: API_TITLE || "API captured from HAR",
+      version: API_VERSION || "1.0.0",
+    },
+    jsonSchemaDialect: openApi31 ? JSON_SCHEMA_DIALECT_31 : undefined,
+    servers: undefined, // filled from SERVER_URL or the captured origins
+    tags: [],
+    paths: {},
+    webhooks: openApi31 ? {} : undefined,
+    components: { schemas: {}, securitySchemes: {} },
+  };
+}
+
+/**
+ * WEBHOOK_PATHS lists paths (relative to BASE_PATH) that receive callbacks
+ * rather than serve the client; a trailing "*" matches as a prefix.
+ * Returns the webhook name, or null for a regular path.
+ */
+function webhookNameFor(normalizedPath) {
+  const rel = normalizedPath.startsWith(BASE_PATH)
+    ? normalizedPath.slice(BASE_PATH.length)
+    : normalizedPath;
+  const p = `/${rel.replace(/^\/+/, "")}`;
+  const hit = splitList(WEBHOOK_PATHS).some((w) => {
+    const pat = `/${w.replace(/^\/+/, "")}`;
+    return pat.endsWith("*") ? p.startsWith(pat.slice(0, -1)) : p === pat;
+  });
+  if (!hit) return null;
+  return p === "/" ? "root" : camelCase(p.replace(/[{}]/g, ""));
+}
+
+/**
+ * Create a stable operationId
+ */
+function makeOperationId(method, normalizedPath) {
+  const clean = normalizedPath
+    .replace(/^\//, "")
+    .replace(/[{}]/g, "")
+    .split("/")
+    .filter(Boolean)
+    .map((s) => s.replace(/[^A-Za-z0-9]/g, "_"))
+    .join("_");
+  return `${method.toLowerCase()}_${clean || "root"}`;
+}
+
+/**
+ * Base name for an operation's component schemas, e.g.
+ * POST {BASE_PATH}/backend/user/refresh_token -> PostBackendUserRefreshToken
+ */
+function makeSchemaBaseName(method, normalizedPath) {
+  const baseSegs = BASE_PATH.split("/").filter(Boolean);
+  let segs = normalizedPath.split("/").filter(Boolean);
+  if (baseSegs.every((b, i) => segs[i] === b))
+    segs = segs.slice(baseSegs.length);
+  const words = segs
+    .flatMap((s) => s.replace(/[{}]/g, "").split(/[^A-Za-z0-9]+/))
+    .filter(Boolean)
+    .map(capitalize);
+  return `${capitalize(method.toLowerCase())}${words.join("") || "Root"}`;
+}
+
+// Operation fields a human is expected to edit; never overwritten on merge
+const HUMAN_OPERATION_FIELDS = [
+  "summary",
+  "description",
+  "tags",
+  "deprecated",
+  "externalDocs",
+];
+const HTTP_METHODS = [
+  "get",
+  "put",
+  "post",
+  "delete",
+  "options",
+  "head",
+  "patch",
+  "trace",
+];
+
+function sameValue(a, b) {
+  return schemaFingerprint(a) === schemaFingerprint(b);
+}
+
+/**
+ * Carry description/title from an existing (hand-edited) schema over to a
+ * regenerated one, recursing through properties and items.
+ */
+function preserveSchemaDocs(existing, generated) {
+  if (!existing || !generated || typeof generated !== "object") {
+    return generated;
+  }
+  const out = { ...generated };
+  for (const k of ["title", "description"]) {
+    if (existing[k] !== undefined) out[k] = existing[k];
+  }
+  if (generated.properties && existing.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(generated.properties).map(([k, v]) => [
+        k,
+        preserveSchemaDocs(existing.properties[k], v),
+      ])
+    );
+  }
+  if (generated.items && existing.items) {
+    out.items = preserveSchemaDocs(existing.items, generated.items);
+  }
+  return out;
+}
+
+/**
+ * Merge media-type maps: take the regenerated schema, keep every existing
+ * example and add captured ones whose value is not already documented.
+ */
+function mergeContent(existing = {}, generated = {}) {
+  const out = { ...existing };
+  for (const [mime, media] of Object.entries(generated)) {
+    const prev = existing[mime];
+    if (!prev) {
+      out[mime] = media;
+      continue;
+    }
+    const examples = { ...(prev.examples || {}) };
+    for (const [name, ex] of Object.entries(media.examples || {})) {
+      if (Object.values(examples).some((e) => sameValue(e.value, ex.value))) {
+        continue;
+      }
+      let unique = name;
+      for (let n = 2; examples[unique]; n++) unique = `${name}${n}`;
+      examples[unique] = ex;
+    }
+    out[mime] = {
+      ...prev,
+      schema: media.schema,
+      ...(media.encoding ? { encoding: media.encoding } : {}),
+      ...(Object.keys(examples).length ? { examples } : {}),
+    };
+  }
+  return out;
+}
+
+function mergeOperation(existing, generated) {
+  const merged = { ...generated };
+  for (const k of HUMAN_OPERATION_FIELDS) {
+    if (existing[k] !== undefined) merged[k] = existing[k];
+  }
+
+  // Parameters: existing ones win (they may carry descriptions), new ones append
+  const params = [...(existing.parameters || [])];
+  for (const p of generated.parameters || []) {
+    if (!params.some((x) => x.in === p.in && x.name === p.name)) params.push(p);
+  }
+  if (params.length) merged.parameters = params;
+
+  if (existing.requestBody || generated.requestBody) {
+    merged.requestBody = {
+      ...(generated.requestBody || {}),
+      ...(existing.requestBody || {}),
+      content: mergeContent(
+        existing.requestBody?.content,
+        generated.requestBody?.content
+      ),
+    };
+  }
+
+  const responses = { ...(existing.responses || {}) };
+  for (const [status, res] of Object.entries(generated.responses || {})) {
+    const prev = responses[status];
+    responses[status] = prev
+      ? {
+          ...res,
+          ...prev,
+          ...(prev.content || res.content
+            ? { content: mergeContent(prev.content, res.content) }
+            : {}),
+        }
+      : res;
+  }
+  if (
+    responses.default?.description === NO_RESPONSE_DESCRIPTION &&
+    Object.keys(responses).length > 1
+  ) {
+    delete responses.default;
+  }
+  merged.responses = responses;
+
+  // Keep any other hand-added fields (x-*, security...) the generator does not emit
+  for (const [k, v] of Object.entries(existing)) {
+    if (merged[k] === undefined) merged[k] = v;
+  }
+
+  // Keep the generator's key order, with description next to summary
+  const ordered = {};
+  for (const k of [
+    "tags",
+    "summary",
+    "description",
+    "deprecated",
+    "operationId",
+  ]) {
+    if (merged[k] !== undefined) ordered[k] = merged[k];
+  }
+  return Object.assign(ordered, merged);
+}
+
+/**
+ * Merge a freshly generated document into an existing spec. Human-edited
+ * fields (info, summaries, descriptions, tags) survive; operations,
+ * parameters, responses and examples from the new captures are added.
+ * Both must be the same OpenAPI version (3.0 or 3.1): their schemas differ.
+ */
+function mergeIntoExistingSpec(existing, generated) {
+  const minor = (v) =>
+    String(v || "")
+      .split(".")
+      .slice(0, 2)
+      .join(".");
+  if (minor(existing.openapi) !== minor(generated.openapi)) {
+    throw new Error(
+      `Cannot merge OpenAPI ${generated.openapi} into the existing ${
+        existing.openapi || existing.swagger || "unversioned"
+      } spec ${absOutPath}: set OPENAPI_VERSION to match, or regenerate ` +
+        `it without MERGE_EXISTING`
+    );
+  }
+  const doc = {
+    ...generated,
+    ...existing,
+    openapi: generated.openapi,
+    paths: { ...(existing.paths || {}) },
+    webhooks: { ...(existing.webhooks || {}) },
+    components: {
+      ...(existing.components || {}),
+      schemas: { ...(existing.components?.schemas || {}) },
+      securitySchemes: {
+        ...(generated.components?.securitySchemes || {}),
+        ...(existing.components?.securitySchemes || {}),
+      },
+    },
+  };
+  const report = { added: [], changed: [], untouched: [] };
+  const seen = new Set();
+
+  for (const section of ["paths", "webhooks"]) {
+    // Webhooks are keyed by name, so label them apart from real paths
+    const prefix = section === "webhooks" ? "webhook " : "";
+    for (const [p, item] of Object.entries(generated[section] || {})) {
+      const prevItem = doc[section][p] || {};
+      const nextItem = { ...prevItem };
+      for (const [method, op] of Object.entries(item)) {
+        const label = `${method.toUpperCase()} ${prefix}${p}`;
+        seen.add(label);
+        const prev = prevItem[method];
+        if (!prev) {
+          nextItem[method] = op;
+          report.added.push(label);
+          continue;
+        }
+        const merged = mergeOperation(prev, op);
+        nextItem[method] = merged;
+        (sameValue(prev, merged) ? report.untouched : report.changed).push(
+          label
+        );
+      }
+      doc[section][p] = nextItem;
+    }
+
+    // Operations that exist only in the spec are left as they were
+    for (const [p, item] of Object.entries(existing[section] || {})) {
+      for (const method of Object.keys(item)) {
+        const label = `${method.toUpperCase()} ${prefix}${p}`;
+        if (HTTP_METHODS.includes(method) && !seen.has(label)) {
+          report.untouched.push(label);
+        }
+      }
+    }
+  }
+  if (!Object.keys(doc.webhooks).length) delete doc.webhooks;
+  if (!doc.jsonSchemaDialect) delete doc.jsonSchemaDialect;
+
+  for (const [name, schema] of Object.entries(
+    generated.components?.schemas || {}
+  )) {
+    doc.components.schemas[name] = preserveSchemaDocs(
+      doc.components.schemas[name],
+      schema
+    );
+  }
+
+  const tagNames = new Set((existing.tags || []).map((t) => t.name));
+  doc.tags = [...(existing.tags || [])];
+  for (const t of generated.tags || []) {
+    if (!tagNames.has(t.name)) doc.tags.push(t);
+  }
+
+  return { doc, report };
+}
+
+/**
+ * HAR_FILE may name one file, several comma-separated files, or a
+ * directory (every capture inside, optionally .gz, in name order). In a
+ * directory, this run's own outputs are left out and files that are not a
+ * recognised capture (a README, a spec) are skipped with a warning.
+ */
+function resolveHarFiles(spec) {
+  const files = [];
+  for (const part of spec
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)) {
+    const abs = path.isAbsolute(part)
+      ? part
+      : path.resolve(process.cwd(), part);
+    if (fs.existsSync(abs) && fs.statSync(abs).isDirectory()) {
+      const inDir = fs
+        .readdirSync(abs)
+        .filter((f) =>
+          /\.(har|json|jsonl|ndjson|log|curl|txt|flows?|mitm)(\.gz)?$/i.test(f)
+        )
+        .sort()
+        .map((f) => path.join(abs, f))
+        .filter((f) => f !== absOutPath && f !== reviewFile)
+        .filter((f) => {
+          try {
+            detectCaptureFormat(f);
+            return true;
+          } catch (err) {
+            console.log(chalk.yellow(`Skipping ${f}: ${err.message}`));
+            return false;
+          }
+        });
+      if (!inDir.length) throw new Error(`No capture files in ${abs}`);
+      files.push(...inDir);
+    } else {
+      files.push(abs);
+    }
+  }
+  return files;
+}
+
+const FORM_MIME_TYPES = [
+  "application/x-www-form-urlencoded",
+  "multipart/form-data",
+];
+
+// Bodies kept per request / response status, for examples. Schemas do not
+// need them: they are merged from every call as it is read, so memory does
+// not grow with the size of the capture
+const MAX_KEPT_EXAMPLES = 10;
+const MAX_FILE_NAMES = 3;
+
+/**
+ * Running summary of the bodies seen for one request or response status:
+ * a few examples plus, per media type, the merged schema of object bodies,
+ * the file parts of forms, decoder variants and parsed SSE / NDJSON / CSV /
+ * XML values.
  */
-function inferSchemaFromExample(example, components, suggestedName) {
-  const t = typeof example;
+function createBodySummary() {
+  return {
+    kept: [],
+    objects: new Map(), // mime -> merged schema
+    files: new Map(), // mime -> part name -> { fileNames, contentTypes }
+    variants: new Map(), // mime -> variant -> { schema, example }
+    structured: new Map(), // "mime kind" -> { kind, schema, root, events }
+  };
+}
 
-  if (example === null) return { nullable: true };
+function mergeVariantSample(byVariant, variant, example) {
+  const schema = inferSchemaFromExample(example);
+  const prev = byVariant.get(variant);
+  byVariant.set(
+    variant,
+    prev
+      ? { ...prev, schema: mergeSchemas(prev.schema, schema) }
+      : { schema, example }
+  );
+}
 
-  if (Array.isArray(example)) {
-    const itemSchema = example.length
-      ? inferSchemaFromExample(example[0], components, `${suggestedName}Item`)
-      : { type: "string" };
-    return { type: "array", items: itemSchema };
+function addBodySample(summary, body) {
+  const mime = body.mimeType;
+  // The canonical example and the first one of each media type are always
+  // kept, since they are the ones an operation's example is picked from
+  if (
+    body.canonical ||
+    summary.kept.length < MAX_KEPT_EXAMPLES ||
+    !summary.kept.some((x) => x.mimeType === mime)
+  ) {
+    summary.kept.push(body);
   }
 
-  if (t === "string") return { type: "string" };
-  if (t === "number")
-    return Number.isInteger(example) ? { type: "integer" } : { type: "number" };
-  if (t === "boolean") return { type: "boolean" };
-
-  if (t === "object") {
-    const props = {};
-    const required = [];
-    for (const [k, v] of Object.entries(example)) {
-      props[k] = inferSchemaFromExample(
-        v,
-        components,
-        `${suggestedName}${capitalize(k)}`
+  if (typeof body.example === "object") {
+    const schema = inferSchemaFromExample(body.example);
+    const prev = summary.objects.get(mime);
+    summary.objects.set(mime, prev ? mergeSchemas(prev, schema) : schema);
+    if (body.variant) {
+      if (!summary.variants.has(mime)) summary.variants.set(mime, new Map());
+      mergeVariantSample(
+        summary.variants.get(mime),
+        body.variant,
+        body.example
       );
-      required.push(k);
     }
-    return { type: "object", properties: props, required };
   }
 
-  return { type: "string" };
-}
+  for (const [part, f] of Object.entries(body.files || {})) {
+    if (!summary.files.has(mime)) summary.files.set(mime, new Map());
+    const files = summary.files.get(mime);
+    if (!files.has(part)) {
+      files.set(part, { fileNames: new Set(), contentTypes: new Set() });
+    }
+    const seen = files.get(part);
+    if (f.fileName && seen.fileNames.size < MAX_FILE_NAMES) {
+      seen.fileNames.add(f.fileName);
+    }
+    seen.contentTypes.add(f.contentType);
+  }
 
-function capitalize(s) {
-  return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+  if (body.structured) {
+    const { kind, value } = body.structured;
+    const key = `${mime} ${kind}`;
+    if (!summary.structured.has(key)) {
+      summary.structured.set(key, {
+        kind,
+        schema: null,
+        root: kind === "xml" ? value.root : undefined,
+        events: new Map(),
+      });
+    }
+    const acc = summary.structured.get(key);
+    if (kind === "sse") {
+      for (const ev of value) mergeVariantSample(acc.events, ev.event, ev);
+    } else {
+      const schema = inferSchemaFromExample(
+        kind === "xml" ? value.value : value
+      );
+      acc.schema = acc.schema ? mergeSchemas(acc.schema, schema) : schema;
+    }
+  }
 }
 
-function ensureComponentSchema(components, name, schema) {
-  if (!components.schemas[name]) {
-    components.schemas[name] = schema;
-  }
-  return { $ref: `#/components/schemas/${name}` };
+/** The example an operation shows: canonical, else JSON, else the first. */
+function pickBestExample(summary) {
+  return (
+    summary.kept.find((x) => x.canonical) ||
+    summary.kept.find((x) => x.mimeType === "application/json") ||
+    summary.kept[0]
+  );
 }
 
 /**
- * Dedup key ignores query differences:
- * method + normalizedPath
+ * Schema for form bodies. Fields are inferred like JSON; multipart file
+ * parts become format: binary, with the filenames seen and an `encoding`
+ * entry recording each part's content type.
  */
-function endpointKey(method, normalizedPath) {
-  return `${method.toUpperCase()} ${normalizedPath}`;
+function buildFormSchema(merged, files = new Map(), components, name) {
+  const schema = finalizeSchema(merged || {});
+  if (!files.size) return { schema };
+
+  const encoding = {};
+  for (const [part, f] of files) {
+    schema.properties ||= {};
+    schema.properties[part] = {
+      type: "string",
+      format: "binary",
+      description: `File part, e.g. ${
+        Array.from(f.fileNames).join(", ") || "(no filename)"
+      }`,
+    };
+    encoding[part] = { contentType: Array.from(f.contentTypes).join(", ") };
+  }
+  return { schema, encoding };
 }
 
-function mergeQueryParams(existingParams, newParams) {
-  const map = new Map(existingParams.map((p) => [`${p.in}:${p.name}`, p]));
-  for (const p of newParams) {
-    const k = `${p.in}:${p.name}`;
-    if (!map.has(k)) map.set(k, p);
+/**
+ * Schema for a decoded payload whose shape depends on the request's
+ * discriminator (DECODER_MODULE): one component per variant combined with
+ * oneOf, plus a discriminator mapping when the field is in this payload.
+ */
+function buildVariantSchema(byVariant, components, baseName, suffix, property) {
+  const refs = [];
+  const mapping = {};
+  const examples = {};
+  for (const [variant, { schema: merged, example }] of byVariant) {
+    const inferred = finalizeSchema(merged);
+    if (property && inferred.properties?.[property]) {
+      inferred.properties[property] = { type: "string", enum: [variant] };
+    }
+    const ref = ensureComponentSchema(
+      components,
+      `${baseName}${capitalize(camelCase(variant))}${suffix}`,
+      inferred
+    );
+    if (!refs.some((r) => r.$ref === ref.$ref)) refs.push(ref);
+    mapping[variant] = ref.$ref;
+    examples[camelCase(variant)] = { value: example };
   }
-  return Array.from(map.values());
+
+  const schema =
+    refs.length === 1
+      ? refs[0]
+      : {
+          oneOf: refs,
+          ...(property
+            ? { discriminator: { propertyName: property, mapping } }
+            : {}),
+        };
+  return { schema, examples };
 }
 
-function harEntryToEndpoint(entry) {
-  const req = entry.request;
-  const method = (req.method || "GET").toUpperCase();
-  const urlObj = urlToObj(req.url || "");
-  const pathname = urlObj.pathname || "/";
-  // ---- SKIP STATIC / NON-API ENDPOINTS ----
-  if (
-    /\.(js|css|map|png|jpg|jpeg|gif|svg|ico|woff2?|woff|ttf|eot)$/i.test(
-      pathname
-    ) ||
-    (entry._resourceType && entry._resourceType !== "xhr")
-  ) {
-    return null;
+/**
+ * Schema for parsed SSE / NDJSON / CSV / XML responses (see text-formats.js).
+ * Streams and tables are arrays; SSE items get one component per event name,
+ * told apart by `event`. XML keeps its root element name.
+ */
+function buildStructuredSchema(summary, components, name) {
+  const { kind } = summary;
+  if (kind === "sse") {
+    const { schema: items } = buildVariantSchema(
+      summary.events,
+      components,
+      name,
+      "Event",
+      "event"
+    );
+    return {
+      type: "array",
+      description: "Server-sent events, one item per event",
+      items,
+    };
   }
-  if (!pathname.startsWith(BASE_PATH)) return null;
 
-  const normalizedPath = normalizePathname(pathname);
-  const tag = buildTagFromPath(normalizedPath);
+  const inferred = finalizeSchema(summary.schema);
+  if (kind === "xml") inferred.xml = { name: summary.root };
+  return ensureComponentSchema(components, name, inferred);
+}
 
-  // Query params (from URLSearchParams + HAR params if present)
-  const queryParams = [];
-  urlObj.searchParams.forEach((value, name) => {
-    queryParams.push({
-      name,
-      in: "query",
-      required: false,
-      schema: { type: "string" },
-      example: value,
-    });
-  });
-  // HAR might include request.queryString
-  (req.queryString || []).forEach((q) => {
-    if (!queryParams.find((p) => p.name === q.name)) {
-      queryParams.push({
-        name: q.name,
-        in: "query",
-        required: false,
-        schema: { type: "string" },
-        example: q.value ?? "",
-      });
+const JSON_SCHEMA_DIALECT_31 = "https://spec.openapis.org/oas/3.1/dialect/base";
+
+/**
+ * Rewrite one schema for OpenAPI 3.1 / JSON Schema 2020-12: `nullable`
+ * becomes a "null" type (or a null branch of oneOf), `example` becomes
+ * `examples` and binary strings use contentMediaType / contentEncoding.
+ * Already-converted schemas pass through unchanged.
+ */
+function toSchema31(schema) {
+  if (Array.isArray(schema)) return schema.map(toSchema31);
+  if (!schema || typeof schema !== "object" || schema.$ref) return schema;
+
+  const { nullable, example, ...out } = schema;
+  for (const key of ["properties", "patternProperties"]) {
+    if (out[key]) {
+      out[key] = Object.fromEntries(
+        Object.entries(out[key]).map(([k, v]) => [k, toSchema31(v)])
+      );
     }
-  });
+  }
+  for (const key of [
+    "items",
+    "additionalProperties",
+    "not",
+    "oneOf",
+    "anyOf",
+    "allOf",
+  ]) {
+    if (out[key] && typeof out[key] === "object") {
+      out[key] = toSchema31(out[key]);
+    }
+  }
 
-  const pathParams = extractPathParams(normalizedPath, pathname);
+  if (example !== undefined && out.examples === undefined) {
+    out.examples = [example];
+  }
+  if (out.format === "binary") {
+    delete out.format;
+    out.contentMediaType ??= "application/octet-stream";
+  } else if (out.format === "byte") {
+    delete out.format;
+    out.contentEncoding ??= "base64";
+  }
+  if (nullable === true) {
+    if (Array.isArray(out.type)) {
+      if (!out.type.includes("null")) out.type = [...out.type, "null"];
+    } else if (out.type && out.type !== "null") {
+      out.type = [out.type, "null"];
+    } else if (out.oneOf || out.anyOf) {
+      const key = out.oneOf ? "oneOf" : "anyOf";
+      if (!out[key].some((s) => s?.type === "null")) {
+        out[key] = [...out[key], { type: "null" }];
+      }
+    } else if (!out.type) {
+      out.type = "null";
+    }
+    if (Array.isArray(out.enum) && !out.enum.includes(null)) {
+      out.enum = [...out.enum, null];
+    }
+  }
+  return out;
+}
 
-  const requestBody = pickRequestBody(entry);
-  const responseBody = pickResponseBody(entry);
+/**
+ * Convert every schema in a document (components, parameters, bodies,
+ * headers, webhooks) to 3.1. Example payloads are copied untouched.
+ */
+function toOpenApi31(node, key) {
+  if (key === "example" || key === "examples") return node;
+  if (key === "schema") return toSchema31(node);
+  if (Array.isArray(node)) return node.map((v) => toOpenApi31(v));
+  if (!node || typeof node !== "object") return node;
+  const out = {};
+  for (const [k, v] of Object.entries(node)) {
+    out[k] =
+      k === "schemas" && key === "components"
+        ? Object.fromEntries(
+            Object.entries(v || {}).map(([n, sch]) => [n, toSchema31(sch)])
+          )
+        : toOpenApi31(v, k);
+  }
+  return out;
+}
 
-  return {
-    method,
-    pathname,
-    normalizedPath,
-    tag,
-    queryParams,
-    pathParams,
-    requestBody,
-    responseBody,
-    status: entry?.response?.status || 200,
-  };
+/**
+ * Dereference and validate the document. Returns one problem per failing
+ * location: { pointer, operationId, message }.
+ */
+async function validateSpec(doc) {
+  try {
+    // validate() dereferences in place, so give it a copy
+    await SwaggerParser.validate(structuredClone(doc));
+    return [];
+  } catch (err) {
+    const details = Array.isArray(err.details) ? err.details : null;
+    const raw = details
+      ? details.map((d) => ({
+          pointer: d.instancePath || "/",
+          message: `${d.message}${
+            d.params?.additionalProperty
+              ? ` (${d.params.additionalProperty})`
+              : ""
+          }`,
+        }))
+      : [{ pointer: "/", message: err.message }];
+
+    const seen = new Set();
+    const problems = [];
+    for (const p of raw) {
+      const k = `${p.pointer} ${p.message}`;
+      if (seen.has(k)) continue;
+      seen.add(k);
+      problems.push({ ...p, operationId: operationIdAt(doc, p.pointer) });
+    }
+    return problems;
+  }
 }
 
-function buildOpenApiDoc() {
-  return {
-    openapi: "3.0.3",
-    info: {
-      title: API_TITLE,
-      version: API_VERSION,
-    },
-    servers: [{ url: SERVER_URL }],
-    tags: [],
-    paths: {},
-    components: { schemas: {} },
-  };
+function operationIdAt(doc, pointer) {
+  const segs = pointer
+    .split("/")
+    .slice(1)
+    .map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"));
+  if (segs[0] !== "paths" || segs.length < 3) return undefined;
+  return doc.paths?.[segs[1]]?.[segs[2]]?.operationId;
 }
 
 /**
- * Create a stable operationId
+ * Write the Postman collection + environment (POSTMAN_OUTPUT) and the
+ * Insomnia export (INSOMNIA_OUTPUT). The first server, with its variables at
+ * their defaults, becomes baseUrl.
  */
-function makeOperationId(method, normalizedPath) {
-  const clean = normalizedPath
-    .replace(/^\//, "")
-    .replace(/[{}]/g, "")
-    .split("/")
-    .filter(Boolean)
-    .map((s) => s.replace(/[^A-Za-z0-9]/g, "_"))
-    .join("_");
-  return `${method.toLowerCase()}_${clean || "root"}`;
+function writeCollections(operations, schemes, servers) {
+  const written = [];
+  if (!POSTMAN_OUTPUT && !INSOMNIA_OUTPUT) return written;
+
+  const server = servers[0];
+  const baseUrl = server
+    ? server.url
+        .replace(
+          /\{(\w+)\}/g,
+          (m, name) => server.variables?.[name]?.default ?? m
+        )
+        .replace(/\/$/, "")
+    : "http://localhost";
+  const options = {
+    name: API_TITLE || "API captured from HAR",
+    baseUrl,
+    schemes,
+    operations,
+  };
+  const write = (kind, file, data) => {
+    const abs = path.resolve(process.cwd(), file);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, JSON.stringify(data, null, 2), "utf8");
+    written.push({ kind, path: abs });
+  };
+
+  if (POSTMAN_OUTPUT) {
+    write(
+      "Postman collection",
+      POSTMAN_OUTPUT,
+      buildPostmanCollection(options)
+    );
+    // vanij.postman_collection.json -> vanij.postman_environment.json
+    const envFile = /\.postman_collection\.json$/.test(POSTMAN_OUTPUT)
+      ? POSTMAN_OUTPUT.replace(
+          /\.postman_collection\.json$/,
+          ".postman_environment.json"
+        )
+      : POSTMAN_OUTPUT.replace(/(\.json)?$/, ".postman_environment.json");
+    write("Postman environment", envFile, buildPostmanEnvironment(options));
+  }
+  if (INSOMNIA_OUTPUT) {
+    write("Insomnia export", INSOMNIA_OUTPUT, buildInsomniaExport(options));
+  }
+  return written;
 }
 
 function printInlineStatus(line) {
@@ -425,66 +2011,193 @@ function finalizeInlineStatus() {
   process.stdout.write("\n");
 }
 
-function main() {
+/**
+ * Stream every capture in `files` once, yielding the entries that pass the
+ * BASE_PATH / host / path filters, decoded and redacted. With a `tally`, the
+ * pass also counts what it read: entries, filtered-out entries by reason,
+ * origins of non-static calls (or how many had none) and in-scope candidates.
+ */
+async function* readCandidates({ files, label, decoder, redactor, tally }) {
+  for (const harPath of files) {
+    const reader = createCaptureReader(harPath);
+    console.log(
+      chalk.cyan(
+        reader.format === "har"
+          ? `${label} HAR: ${harPath}`
+          : `${label} ${reader.format} capture: ${harPath}`
+      )
+    );
+    const readBar = new cliProgress.SingleBar(
+      {
+        format: `${label.padEnd(9)}|{bar}| {percentage}% | {status}`,
+        hideCursor: true,
+        barsize: 24,
+        clearOnComplete: true,
+      },
+      cliProgress.Presets.shades_classic
+    );
+    const mb = (n) => (n / 1048576).toFixed(1);
+    readBar.start(reader.totalBytes || 1, 0, { status: "starting" });
+
+    try {
+      for await (const e of reader.entries()) {
+        readBar.update(reader.bytesRead, {
+          status: `${mb(reader.bytesRead)}/${mb(reader.totalBytes)} MB, ${
+            reader.count
+          } entries`,
+        });
+        const u = urlToObj(e?.request?.url || "");
+        const reason = filterReason(u);
+        if (reason) {
+          if (tally) tally.skipped[reason]++;
+          continue;
+        }
+        if (tally && !isStaticEntry(e, u.pathname)) {
+          // Access logs record the path only: no origin to describe
+          if (ABSOLUTE_URL_RE.test(e.request.url)) {
+            tally.origins.set(u.origin, (tally.origins.get(u.origin) || 0) + 1);
+          } else {
+            tally.relative++;
+          }
+        }
+        if (tally) tally.candidates++;
+        // Decode first so decrypted payloads are redacted too
+        const decoded = await decodeEntry(decodeBase64Text(e), decoder);
+        yield redactor ? redactor.redactEntry(decoded) : decoded;
+      }
+    } finally {
+      readBar.stop();
+    }
+    if (tally) tally.entries += reader.count;
+  }
+}
+
+async function main() {
   const startedAt = Date.now();
 
-  console.log(chalk.cyan(`Reading HAR: ${absHarPath}`));
-  const har = parseHar(absHarPath);
-  const entries = har.log.entries || [];
+  const decoder = await loadDecoder(DECODER_MODULE);
+  if (decoder) console.log(chalk.cyan(`Decoder: ${decoder.path}`));
+
+  // Secrets and PII are masked before anything reaches an example
+  const makeRedactor = () =>
+    REDACT === "false"
+      ? null
+      : createRedactor({
+          headers: splitList(REDACT_HEADERS),
+          keys: splitList(REDACT_KEYS),
+        });
+  const redactor = makeRedactor();
+
+  // Learned mode compares every captured URL before templating any of them,
+  // and --review previews the endpoints before deciding: each takes its own
+  // pass over the captures, so no pass has to keep the entries in memory
+  const harFiles = resolveHarFiles(HAR_FILE);
+  const pass = (label, tally) =>
+    readCandidates({
+      files: harFiles,
+      label,
+      decoder,
+      // Same settings, same order: the placeholders match the final pass
+      redactor: tally ? redactor : makeRedactor(),
+      tally,
+    });
 
-  // Pre-filter entries by BASE_PATH to size progress bar accurately
-  const candidate = [];
-  for (const e of entries) {
-    const u = urlToObj(e?.request?.url || "");
-    if ((u.pathname || "").startsWith(BASE_PATH)) candidate.push(e);
+  let routes = null;
+  if (PATH_TEMPLATING === "learned") {
+    const learner = createRouteLearner(learnMinVariants);
+    for await (const e of pass("Scanning")) {
+      if (!isStaticEntry(e, urlToObj(e.request.url || "").pathname)) {
+        learner.add(e);
+      }
+    }
+    routes = learner.routes();
   }
-
-  console.log(chalk.cyan(`BASE_PATH: ${BASE_PATH}`));
-  console.log(chalk.cyan(`SERVER_URL: ${SERVER_URL}`));
-  console.log(chalk.cyan(`Candidate requests: ${candidate.length}`));
-
-  const bar = new cliProgress.SingleBar(
-    {
-      format: "Progress |{bar}| {percentage}% | {value}/{total} | {status}",
-      hideCursor: true,
-      barsize: 24,
-      clearOnComplete: true,
-    },
-    cliProgress.Presets.shades_classic
+  console.log(
+    chalk.cyan(`Path templating: ${routes ? "learned" : "heuristic"}`)
   );
+  console.log(chalk.cyan(`OpenAPI version: ${openApiVersion}`));
+  if (WEBHOOK_PATHS && !openApi31) {
+    console.log(
+      chalk.yellow("WEBHOOK_PATHS needs OPENAPI_VERSION=3.1; kept under paths")
+    );
+  }
+
+  const patterns = loadPathPatterns(PATH_PATTERNS_FILE, BASE_PATH);
+  if (patterns.length) {
+    console.log(chalk.cyan(`Path patterns: ${patterns.length}`));
+  }
 
-  bar.start(candidate.length || 1, 0, { status: "starting" });
+  let reviewDecisions = loadReviewDecisions(reviewFile);
+  if (reviewMode) {
+    reviewDecisions = await runReview(
+      await previewEndpoints(pass("Scanning"), routes, patterns),
+      reviewDecisions,
+      { output: reviewFile }
+    );
+    saveReviewDecisions(reviewFile, reviewDecisions);
+  }
+  if (Object.keys(reviewDecisions).length) {
+    console.log(
+      chalk.cyan(
+        `Review decisions: ${
+          Object.keys(reviewDecisions).length
+        } (${reviewFile})`
+      )
+    );
+  }
 
   const doc = buildOpenApiDoc();
   const tagSet = new Set();
 
   const endpoints = new Map(); // key -> aggregate
-  let skippedNoMatch = entries.length - candidate.length;
+  let skippedReview = 0;
+  const reviewedFields = []; // { section, itemKey, method, fields }
 
   // Track stats
   let withRequestBody = 0;
   let withResponseExample = 0;
   let dedupedCount = 0;
-
-  for (let i = 0; i < candidate.length; i++) {
-    const entry = candidate[i];
-
-    const ep = harEntryToEndpoint(entry);
-    if (!ep) {
-      bar.increment(1, { status: "skipping" });
-      continue;
+  const unmatched = new Map(); // endpoint key -> entries with no template
+
+  // Fold one in-scope entry into its endpoint's aggregate
+  const aggregate = (entry) => {
+    const ep = harEntryToEndpoint(entry, routes, patterns);
+    if (!ep) return;
+
+    // Replay --review decisions before the endpoint is aggregated
+    const decision = reviewDecisions[endpointKey(ep.method, ep.normalizedPath)];
+    if (decision?.action === "skip") {
+      skippedReview++;
+      return;
     }
+    if (decision) applyReviewDecision(ep, decision);
+    const canonical =
+      ep.review?.example !== undefined &&
+      ep.review.example === entry.startedDateTime;
 
     const key = endpointKey(ep.method, ep.normalizedPath);
+    if (patterns.length && !ep.matchedPattern) {
+      unmatched.set(key, (unmatched.get(key) || 0) + 1);
+    }
     if (!endpoints.has(key)) {
       endpoints.set(key, {
         ...ep,
         // keep lists mutable to merge
         queryParams: [...ep.queryParams],
         pathParams: [...ep.pathParams],
-        // keep "best" examples we see
-        requestExamples: [],
-        responseExamples: [],
+        headerParams: [...ep.headerParams],
+        // how many calls carried each header/cookie, to decide "required"
+        headerCounts: new Map(),
+        callCount: 0,
+        // a few examples plus schemas merged as calls are read
+        requestBodies: createBodySummary(),
+        responseBodies: new Map(), // status -> body summary
+        statuses: new Set(),
+        // status -> header name -> { values, count }, plus responses per status
+        responseHeaders: new Map(),
+        responseCounts: new Map(),
+        securityCombos: new Map(), // sorted scheme names -> names
+        samples: new Map(), // status -> one captured call, for collections
       });
       dedupedCount++;
     } else {
@@ -498,31 +2211,122 @@ function main() {
         existing.pathParams,
         ep.pathParams
       );
+      existing.headerParams = mergeQueryParams(
+        existing.headerParams,
+        ep.headerParams
+      );
     }
 
     const agg = endpoints.get(key);
+    // Status 0 means no response was captured: the call documents the
+    // request only
+    if (ep.status) {
+      agg.statuses.add(ep.status);
+      agg.responseCounts.set(
+        ep.status,
+        (agg.responseCounts.get(ep.status) || 0) + 1
+      );
+      if (!agg.responseHeaders.has(ep.status)) {
+        agg.responseHeaders.set(ep.status, new Map());
+      }
+      const statusHeaders = agg.responseHeaders.get(ep.status);
+      for (const name of new Set(ep.responseHeaders.map((h) => h.name))) {
+        if (!statusHeaders.has(name)) {
+          statusHeaders.set(name, { values: [], count: 0 });
+        }
+        const seenHeader = statusHeaders.get(name);
+        seenHeader.count++;
+        for (const h of ep.responseHeaders) {
+          // A few samples are enough for schema inference
+          if (h.name === name && seenHeader.values.length < 20) {
+            seenHeader.values.push(h.value);
+          }
+        }
+      }
+    }
+    agg.callCount++;
+    for (const p of ep.headerParams) {
+      const k = `${p.in}:${p.name}`;
+      agg.headerCounts.set(k, (agg.headerCounts.get(k) || 0) + 1);
+    }
 
-    if (
-      ep.requestBody?.example !== undefined &&
-      ep.requestBody?.example !== null
-    ) {
-      agg.requestExamples.push(ep.requestBody);
+    const schemeNames = ep.security.map(([name]) => name).sort();
+    agg.securityCombos.set(schemeNames.join("+"), schemeNames);
+    for (const [name, scheme] of ep.security) {
+      doc.components.securitySchemes[name] ||= scheme;
+    }
+
+    if (hasBodyExample(ep.requestBody)) {
+      addBodySample(agg.requestBodies, {
+        ...ep.requestBody,
+        variant: ep.variant,
+        canonical,
+      });
       withRequestBody++;
     }
-    if (
-      ep.responseBody?.example !== undefined &&
-      ep.responseBody?.example !== null
-    ) {
-      agg.responseExamples.push(ep.responseBody);
+    if (hasBodyExample(ep.responseBody)) {
+      if (!agg.responseBodies.has(ep.status)) {
+        agg.responseBodies.set(ep.status, createBodySummary());
+      }
+      addBodySample(agg.responseBodies.get(ep.status), {
+        ...ep.responseBody,
+        variant: ep.variant,
+        canonical,
+      });
       withResponseExample++;
     }
 
+    // One call per status (the canonical one wins) for Postman examples
+    if (!agg.samples.has(ep.status) || canonical) {
+      agg.samples.set(ep.status, {
+        status: ep.status,
+        canonical,
+        query: ep.queryParams.map((q) => ({ name: q.name, value: q.example })),
+        pathParams: ep.pathParams.map((p) => ({
+          name: p.name,
+          value: p.example,
+        })),
+        body: ep.requestBody,
+        response: ep.responseBody,
+      });
+    }
+
     tagSet.add(ep.tag);
+  };
 
-    bar.increment(1, { status: `${ep.method} ${ep.normalizedPath}` });
+  // Final pass: out-of-scope entries are counted and dropped as they are
+  // read, in-scope ones are aggregated straight away
+  const tally = {
+    skipped: { basePath: 0, host: 0, path: 0 },
+    origins: new Map(), // origin -> request count, for servers[]
+    relative: 0, // calls captured without an origin
+    entries: 0,
+    candidates: 0,
+  };
+  if (decoder) decoder.stats = { decoded: 0, failed: 0 };
+  for await (const entry of pass("Reading", tally)) aggregate(entry);
+  const { skipped, origins } = tally;
+  const totalEntries = tally.entries;
+  const skippedNoMatch = skipped.basePath;
+
+  // Explicit SERVER_URL wins; otherwise describe where the traffic went
+  const servers = SERVER_URL
+    ? splitList(SERVER_URL).map((url) => ({ url }))
+    : buildServers(origins);
+  if (servers.length) doc.servers = servers;
+  if (!SERVER_URL && tally.relative) {
+    console.log(
+      chalk.yellow(
+        `${tally.relative} call(s) were captured without an origin; set SERVER_URL to document their server`
+      )
+    );
   }
 
-  bar.stop();
+  console.log(chalk.cyan(`BASE_PATH: ${BASE_PATH}`));
+  console.log(
+    chalk.cyan(`Servers: ${servers.map((x) => x.url).join(", ") || "-"}`)
+  );
+  console.log(chalk.cyan(`Candidate requests: ${tally.candidates}`));
 
   // Add tags
   for (const t of Array.from(tagSet).sort()) {
@@ -530,9 +2334,32 @@ function main() {
   }
 
   // Build paths and schemas
+  const collectionOps = [];
   for (const [key, ep] of endpoints.entries()) {
-    if (!doc.paths[ep.normalizedPath]) doc.paths[ep.normalizedPath] = {};
-    const opId = makeOperationId(ep.method, ep.normalizedPath);
+    // 3.1 only: callbacks into the app are listed under webhooks, by name
+    const webhook = openApi31 ? webhookNameFor(ep.normalizedPath) : null;
+    const section = webhook ? doc.webhooks : doc.paths;
+    const itemKey = webhook || ep.normalizedPath;
+    if (!section[itemKey]) section[itemKey] = {};
+
+    // Reviewed fields must survive a merge that keeps hand-edited ones
+    if (ep.review) {
+      reviewedFields.push({
+        section: webhook ? "webhooks" : "paths",
+        itemKey,
+        method: ep.method.toLowerCase(),
+        fields: {
+          ...(ep.review.tag ? { tags: [ep.review.tag] } : {}),
+          ...(ep.review.summary ? { summary: ep.review.summary } : {}),
+          ...(ep.review.deprecated ? { deprecated: true } : {}),
+        },
+      });
+    }
+    const opId =
+      ep.operationId || makeOperationId(ep.method, ep.normalizedPath);
+    const schemaBase = ep.operationId
+      ? capitalize(ep.operationId)
+      : makeSchemaBaseName(ep.method, ep.normalizedPath);
 
     const parameters = [];
 
@@ -551,6 +2378,7 @@ function main() {
         in: "path",
         required: true,
         schema: p.schema || { type: "string" },
+        ...(p.description ? { description: p.description } : {}),
         ...(p.example !== undefined ? { example: p.example } : {}),
       });
     }
@@ -565,26 +2393,63 @@ function main() {
       });
     }
 
+    // Header / cookie params: required when present on every call
+    for (const h of ep.headerParams) {
+      const count = ep.headerCounts.get(`${h.in}:${h.name}`);
+      parameters.push({
+        name: h.name,
+        in: h.in,
+        required: count === ep.callCount,
+        schema: h.schema || { type: "string" },
+        ...(h.example !== undefined ? { example: h.example } : {}),
+      });
+    }
+
     // Request body schema + examples
     let requestBody = undefined;
-    if (ep.requestExamples.length) {
-      const best =
-        ep.requestExamples.find((x) => x.mimeType === "application/json") ||
-        ep.requestExamples[0];
+    const bodies = ep.requestBodies;
+    if (bodies.kept.length) {
+      const best = pickBestExample(bodies);
       const mime = best.mimeType || "application/json";
 
-      // Build schema and component
+      // The schema comes from every sample, not just "best"
       let schema = { type: "string" };
-      if (mime === "application/json" && typeof best.example === "object") {
-        const inferred = inferSchemaFromExample(
-          best.example,
+      let examples = { fromHar: { value: best.example } };
+      let encoding;
+      const variants = bodies.variants.get(mime);
+      if (best.binary) {
+        schema = { type: "string", format: "binary" };
+        examples = undefined;
+      } else if (variants) {
+        ({ schema, examples } = buildVariantSchema(
+          variants,
           doc.components,
-          `${capitalize(ep.tag)}Request`
-        );
-        const compName = `${capitalize(ep.tag)}${capitalize(
-          ep.method.toLowerCase()
-        )}Request`;
+          schemaBase,
+          "Request",
+          decoder?.discriminator
+        ));
+      } else if (
+        mime === "application/json" &&
+        typeof best.example === "object"
+      ) {
+        const inferred = finalizeSchema(bodies.objects.get(mime));
+        const compName = `${schemaBase}Request`;
         schema = ensureComponentSchema(doc.components, compName, inferred);
+      } else if (
+        FORM_MIME_TYPES.includes(mime) &&
+        typeof best.example === "object"
+      ) {
+        ({ schema, encoding } = buildFormSchema(
+          bodies.objects.get(mime),
+          bodies.files.get(mime),
+          doc.components,
+          `${schemaBase}Request`
+        ));
+        schema = ensureComponentSchema(
+          doc.components,
+          `${schemaBase}Request`,
+          schema
+        );
       }
 
       requestBody = {
@@ -592,59 +2457,120 @@ function main() {
         content: {
           [mime]: {
             schema,
-            examples: {
-              fromHar: { value: best.example },
-            },
+            examples,
+            encoding,
           },
         },
       };
     }
 
-    // Responses schema + examples
+    // Responses schema + examples: one entry per distinct status observed
     const responses = {};
-    const respBest =
-      ep.responseExamples.find((x) => x.mimeType === "application/json") ||
-      ep.responseExamples[0];
+    const statuses = Array.from(ep.statuses).sort((a, b) => a - b);
+
+    for (const status of statuses) {
+      const seen = ep.responseBodies.get(status);
+      const respBest = seen && pickBestExample(seen);
+      const headers = buildResponseHeaders(
+        ep.responseHeaders.get(status),
+        ep.responseCounts.get(status)
+      );
+
+      if (!respBest) {
+        responses[String(status)] = {
+          description: describeStatus(status),
+          headers,
+        };
+        continue;
+      }
 
-    if (respBest) {
       const mime = respBest.mimeType || "application/json";
+      const suffix = `Response${status === 200 ? "" : status}`;
       let schema = { type: "string" };
-
-      if (mime === "application/json" && typeof respBest.example === "object") {
-        const inferred = inferSchemaFromExample(
-          respBest.example,
+      let examples = { fromHar: { value: respBest.example } };
+      const variants = seen.variants.get(mime);
+
+      if (respBest.binary) {
+        schema = { type: "string", format: "binary" };
+        examples = undefined;
+      } else if (respBest.structured) {
+        schema = buildStructuredSchema(
+          seen.structured.get(`${mime} ${respBest.structured.kind}`),
           doc.components,
-          `${capitalize(ep.tag)}Response`
+          `${schemaBase}${suffix}`
         );
-        const compName = `${capitalize(ep.tag)}Response`;
+      } else if (variants) {
+        ({ schema, examples } = buildVariantSchema(
+          variants,
+          doc.components,
+          schemaBase,
+          suffix
+        ));
+      } else if (
+        mime === "application/json" &&
+        typeof respBest.example === "object"
+      ) {
+        const inferred = finalizeSchema(seen.objects.get(mime));
+        const compName = `${schemaBase}${suffix}`;
         schema = ensureComponentSchema(doc.components, compName, inferred);
       }
 
-      responses[String(respBest.status || 200)] = {
-        description: "Response captured from HAR",
+      responses[String(status)] = {
+        description: describeStatus(status),
+        headers,
         content: {
           [mime]: {
             schema,
-            examples: {
-              fromHar: { value: respBest.example },
-            },
+            examples,
           },
         },
       };
-    } else {
-      responses["200"] = { description: "Success" };
+    }
+
+    // OpenAPI needs at least one response; say none was captured rather
+    // than guess a status
+    if (!statuses.length) {
+      responses.default = { description: NO_RESPONSE_DESCRIPTION };
     }
 
     // Operation
-    doc.paths[ep.normalizedPath][ep.method.toLowerCase()] = {
+    section[itemKey][ep.method.toLowerCase()] = {
       tags: [ep.tag],
-      summary: `${ep.method} ${ep.normalizedPath}`,
+      summary: ep.review?.summary || `${ep.method} ${ep.normalizedPath}`,
+      deprecated: ep.review?.deprecated || undefined,
       operationId: opId,
       parameters: parameters.length ? parameters : undefined,
       requestBody,
       responses,
+      security: buildOperationSecurity(ep.securityCombos),
     };
+
+    collectionOps.push({
+      name: ep.review?.summary || `${ep.method} ${ep.normalizedPath}`,
+      tag: ep.tag,
+      method: ep.method,
+      path: ep.normalizedPath,
+      operationId: opId,
+      // The fullest set of credentials seen; public if none ever were
+      security:
+        Array.from(ep.securityCombos.values())
+          .filter((names) => names.length)
+          .sort((a, b) => b.length - a.length)[0] || [],
+      // Canonical first, then by status so a 2xx call builds the request
+      // (calls without a response last)
+      samples: Array.from(ep.samples.values()).sort(
+        (a, b) =>
+          b.canonical - a.canonical || (a.status || 1000) - (b.status || 1000)
+      ),
+    });
   }
+  const collectionSchemes = { ...doc.components.securitySchemes };
+
+  hoistSharedSchemas(doc.components);
+  if (!Object.keys(doc.components.securitySchemes).length) {
+    delete doc.components.securitySchemes;
+  }
+  if (doc.webhooks && !Object.keys(doc.webhooks).length) delete doc.webhooks;
 
   // Clean undefined fields for nicer YAML
   function deepClean(obj) {
@@ -662,29 +2588,77 @@ function main() {
     return obj;
   }
 
-  const cleaned = deepClean(doc);
+  let cleaned = deepClean(doc);
+
+  // Incremental update: merge into the existing spec instead of replacing it
+  let mergeReport = null;
+  if (MERGE_EXISTING === "true" && fs.existsSync(absOutPath)) {
+    const existing = YAML.parse(fs.readFileSync(absOutPath, "utf8"));
+    if (existing?.paths || existing?.webhooks) {
+      const merged = mergeIntoExistingSpec(existing, cleaned);
+      cleaned = merged.doc;
+      mergeReport = merged.report;
+      for (const { section, itemKey, method, fields } of reviewedFields) {
+        const op = cleaned[section]?.[itemKey]?.[method];
+        if (op) Object.assign(op, fields);
+      }
+    }
+  }
+
+  // Same inference either way; 3.1 rewrites the 3.0 schema constructs
+  if (openApi31) cleaned = toOpenApi31(cleaned);
 
-  // Ensure output directory exists
-  fs.mkdirSync(path.dirname(absOutPath), { recursive: true });
+  // Validate before writing: under --strict an invalid document must not
+  // replace the previous spec (or the collections built alongside it)
+  const problems = await validateSpec(cleaned);
+  const rejected = strict && problems.length > 0;
 
-  // Write YAML
-  const yamlText = YAML.stringify(cleaned, {
-    noRefs: true,
-    lineWidth: 120,
-    sortKeys: false,
-  });
-  fs.writeFileSync(absOutPath, yamlText, "utf8");
+  let collectionFiles = [];
+  if (!rejected) {
+    // Ensure output directory exists
+    fs.mkdirSync(path.dirname(absOutPath), { recursive: true });
+
+    // Write YAML
+    const yamlText = YAML.stringify(cleaned, {
+      noRefs: true,
+      lineWidth: 120,
+      sortKeys: false,
+    });
+    fs.writeFileSync(absOutPath, yamlText, "utf8");
+
+    collectionFiles = writeCollections(
+      collectionOps,
+      collectionSchemes,
+      servers
+    );
+  }
 
   // Summary
   const elapsedMs = Date.now() - startedAt;
   const totalUnique = endpoints.size;
 
   console.log("");
-  console.log(chalk.green(`OpenAPI YAML written to: ${absOutPath}`));
+  if (rejected) {
+    console.log(chalk.red(`Not written (--strict): ${absOutPath}`));
+  } else {
+    console.log(chalk.green(`OpenAPI YAML written to: ${absOutPath}`));
+  }
+  for (const file of collectionFiles) {
+    console.log(chalk.green(`${file.kind} written to: ${file.path}`));
+  }
   console.log(chalk.white("Summary"));
   console.log(chalk.white("-------"));
-  console.log(`Total HAR entries:         ${entries.length}`);
+  console.log(`Total HAR entries:         ${totalEntries}`);
   console.log(`Skipped (BASE_PATH mismatch): ${skippedNoMatch}`);
+  if (skippedReview) {
+    console.log(`Skipped (review):          ${skippedReview}`);
+  }
+  if (hostFilter.include.length || hostFilter.exclude.length) {
+    console.log(`Skipped (host filter):     ${skipped.host}`);
+  }
+  if (pathFilter.include.length || pathFilter.exclude.length) {
+    console.log(`Skipped (path filter):     ${skipped.path}`);
+  }
   console.log(`Unique endpoints:          ${totalUnique}`);
   console.log(`Request examples captured: ${withRequestBody}`);
   console.log(`Response examples captured:${withResponseExample}`);
@@ -694,12 +2668,75 @@ function main() {
       Object.keys(doc.components.schemas || {}).length
     }`
   );
+  console.log(
+    `Security schemes:          ${
+      Object.keys(doc.components.securitySchemes || {}).length
+    }`
+  );
+  if (patterns.length) {
+    const unmatchedEntries = Array.from(unmatched.values()).reduce(
+      (a, b) => a + b,
+      0
+    );
+    console.log(`Entries matching no pattern: ${unmatchedEntries}`);
+    for (const [key, count] of unmatched) {
+      console.log(chalk.yellow(`  ${key} (${count})`));
+    }
+  }
+  if (mergeReport) {
+    console.log("");
+    console.log(chalk.white(`Merged into existing spec`));
+    for (const op of mergeReport.added) console.log(chalk.green(`  + ${op}`));
+    for (const op of mergeReport.changed)
+      console.log(chalk.yellow(`  ~ ${op}`));
+    console.log(
+      `Added: ${mergeReport.added.length}, changed: ${mergeReport.changed.length}, untouched: ${mergeReport.untouched.length}`
+    );
+  }
+  if (decoder) {
+    console.log(`Payloads decoded:          ${decoder.stats.decoded}`);
+    if (decoder.stats.failed) {
+      console.log(
+        chalk.yellow(`Decode failures:           ${decoder.stats.failed}`)
+      );
+    }
+  }
+  if (redactor) {
+    console.log(`Values redacted:           ${redactor.findings.length}`);
+  }
+  if (problems.length) {
+    console.log("");
+    console.log(chalk.red(`Validation problems: ${problems.length}`));
+    for (const p of problems) {
+      const op = p.operationId ? ` [${p.operationId}]` : "";
+      console.log(chalk.red(`  ${p.pointer}${op}: ${p.message}`));
+    }
+  } else {
+    console.log(chalk.green("Spec is valid OpenAPI"));
+  }
   console.log(`Elapsed:                   ${(elapsedMs / 1000).toFixed(2)}s`);
+
+  if (redactReport && redactor) {
+    if (typeof redactReport === "string") {
+      fs.writeFileSync(
+        redactReport,
+        JSON.stringify(redactor.findings, null, 2),
+        "utf8"
+      );
+      console.log(chalk.cyan(`Redaction report written to: ${redactReport}`));
+    } else {
+      console.log("");
+      console.log(formatRedactReport(redactor.findings));
+    }
+  }
+
+  if (rejected) {
+    console.error(chalk.red("--strict: generated spec failed validation"));
+    process.exit(1);
+  }
 }
 
-try {
-  main();
-} catch (err) {
+main().catch((err) => {
   console.error(chalk.red(`Error: ${err?.message || err}`));
   process.exit(1);
-}
+});
@@ -4,20 +4,36 @@
 /**
  * HAR Unique Endpoints Extractor
  * --------------------------------
- * Reads a .har (or JSON) file, de-duplicates network entries by METHOD + URL path (query string ignored by default),
+ * Streams a .har (or JSON, or gzipped .har.gz) file entry by entry, de-duplicates network entries by METHOD + URL path (query string ignored by default),
  * prints counts for total vs. unique endpoints, and writes a `har_bodies.json` file with one object per unique endpoint.
  *
  * Usage:
  *   node har_extract.js -i ./traffic.har               # writes ./har_bodies.json
  *   node har_extract.js -i ./traffic.har -o ./out.json  # custom output path
  *   node har_extract.js -i ./traffic.har --include-query # consider query string in uniqueness key
+ *   node har_extract.js -i ./traffic.har --redact-report  # list every masked value (or --redact-report ./report.json)
+ *   node har_extract.js -i ./traffic.har --no-redact      # keep raw values (do not commit the output!)
+ *   node har_extract.js -i ./traffic.har --redact-headers x-tenant-id --redact-keys pin,ssn
+ *   node har_extract.js -i ./traffic.har --decoder ./secure-api-decoder.js # decrypt gateway payloads (see decoder.js)
+ *   node har_extract.js -i ./traffic.har.gz             # gzipped captures are read as-is
+ *   node har_extract.js -i ./traffic.har --with-responses # also write responseBody (for har-replay.js)
+ *   node har_extract.js -i ./requests.jsonl             # JSONL logs, curl commands, mitmproxy dumps, access logs
  *
  * Notes:
  * - "Unique" is determined by default as: `${METHOD} ${origin}${pathname}` (no query string). Use --include-query to include query.
  * - "type" prefers Chrome's `_resourceType` (maps `xhr` -> `xmlhttprequest`). Falls back to `sec-fetch-dest` header.
  * - `timeStamp` is derived from `startedDateTime` (epoch ms).
  * - `requestBody` attempts JSON.parse when `postData.text` looks like JSON; otherwise returns raw text or a params object.
- * - Adds a simple progress counter and meaningful logs.
+ * - Adds a simple progress counter (by bytes read, so it starts immediately) and meaningful logs.
+ * - Memory stays bounded by the unique entries kept, not by the size of the capture (har-stream.js).
+ * - Input other than HAR (JSONL request logs, pasted `curl` commands, mitmproxy dumps, Common/Combined
+ *   access logs) is detected from the file contents and read as HAR entries (capture-input.js).
+ * - With --decoder, bodies are decoded first; decoded responses are written as `responseBody` and
+ *   each discriminator value (`operation`) counts as its own unique endpoint.
+ * - With --with-responses every record gets `responseBody` (base64 content is left out), so
+ *   har-replay.js can compare body shapes against it.
+ * - Secrets and PII (auth headers, token/password keys, JWTs, emails, card numbers) are masked
+ *   with stable placeholders before writing, using the same rules as har-to-openapi.js (redact.js).
  * node har_to_bodies.js -i ./har_veeclinic_22_oct.json -o ./out.json
  * node har_to_bodies.js -i ./Inventory_HAR_24_oct.json -o ./Inventory_request_bodies.json
  * node har_to_bodies.js -i ./CRM_HAR_24_oct.json -o ./CRM_request_bodies.json
@@ -29,6 +45,9 @@
 
 import fs from "fs";
 import path from "path";
+import { createRedactor, formatRedactReport } from "./redact.js";
+import { loadDecoder, decodeEntry } from "./decoder.js";
+import { createCaptureReader } from "./capture-input.js";
 
 // ---- CLI args ----
 const args = process.argv.slice(2);
@@ -45,6 +64,12 @@ function getArg(flag, fallback = undefined) {
 const inputPath = getArg("-i") || getArg("--in") || getArg("--input");
 const outputPath = getArg("-o") || getArg("--out") || "har_bodies.json";
 const includeQuery = Boolean(getArg("--include-query", false));
+const redact = !getArg("--no-redact", false);
+const redactHeaders = getArg("--redact-headers", "");
+const redactKeys = getArg("--redact-keys", "");
+const redactReport = getArg("--redact-report", false);
+const decoderPath = getArg("--decoder");
+const withResponses = Boolean(getArg("--with-responses", false));
 
 if (!inputPath) {
   console.error("\x1b[31m✖ Error:\x1b[0m Please provide an input file with -i ./file.har");
@@ -132,14 +157,16 @@ function dedupeKey(method, urlStr, includeQuery) {
   }
 }
 
-function drawProgress(current, total, width = 28) {
+function drawProgress(current, total, width = 28, label = `${current}/${total}`) {
   const ratio = total ? current / total : 1;
   const filled = Math.round(ratio * width);
   const bar = "#".repeat(filled) + "-".repeat(Math.max(0, width - filled));
   const pct = String(Math.floor(ratio * 100)).padStart(3, " ");
-  return `[${bar}] ${pct}% (${current}/${total})`;
+  return `[${bar}] ${pct}% (${label})`;
 }
 
+const toMB = n => (n / 1048576).toFixed(1);
+
 // ---- Main ----
 (async function main() {
   const startTs = Date.now();
@@ -148,73 +175,96 @@ function drawProgress(current, total, width = 28) {
   console.log(`Output: ${path.resolve(outputPath)}`);
   console.log(`Uniqueness key: METHOD + URL ${includeQuery ? "(with query)" : "(no query)"}`);
 
-  let raw;
+  let reader;
   try {
-    raw = fs.readFileSync(inputPath, "utf8");
+    reader = createCaptureReader(inputPath);
   } catch (err) {
     console.error("\x1b[31m✖ Failed to read file:\x1b[0m", err.message);
     process.exit(1);
   }
+  console.log(`Size: ${toMB(reader.totalBytes)} MB${reader.gzip ? " (gzip)" : ""}`);
+  console.log(`Format: ${reader.format}`);
+
+  const listArg = v => (typeof v === "string" ? v.split(",").map(s => s.trim()).filter(Boolean) : []);
+  const redactor = redact
+    ? createRedactor({ headers: listArg(redactHeaders), keys: listArg(redactKeys) })
+    : null;
 
-  let har;
+  let decoder = null;
   try {
-    har = JSON.parse(raw);
+    decoder = await loadDecoder(typeof decoderPath === "string" ? decoderPath : undefined);
   } catch (err) {
-    console.error("\x1b[31m✖ Not valid JSON/HAR:\x1b[0m", err.message);
+    console.error("\x1b[31m✖ Failed to load decoder:\x1b[0m", err.message);
     process.exit(1);
   }
+  if (decoder) console.log(`Decoder: ${decoder.path}`);
 
-  const version = har?.log?.version || "unknown";
-  const entries = Array.isArray(har?.log?.entries) ? har.log.entries : [];
-  console.log(`HAR version: ${version}`);
-  console.log(`Entries found: ${entries.length}`);
-  if (entries.length === 0) {
-    console.warn("\x1b[33mNo entries to process. Exiting.\x1b[0m");
-    process.exit(0);
-  }
-
-  // De-duplicate
+  // De-duplicate while streaming; only unique entries are kept in memory
   const uniqueMap = new Map();
-  const total = entries.length;
-  const progressEvery = Math.max(1, Math.floor(total / 100)); // ~100 updates max
+  const progressStep = Math.max(1, Math.floor(reader.totalBytes / 100)); // ~100 updates max
+  let nextProgress = 0;
 
   let considered = 0;
-  for (let i = 0; i < total; i++) {
-    const e = entries[i];
-    const req = e?.request;
-    const res = e?.response;
+  try {
+    for await (const e of reader.entries()) {
+      const req = e?.request;
+      const res = e?.response;
 
-    if (!req?.url || !req?.method) continue; // ignore malformed
+      if (!req?.url || !req?.method) continue; // ignore malformed
 
-    considered++;
-    const key = dedupeKey(req.method, req.url, includeQuery);
-    if (uniqueMap.has(key)) {
-      // already captured; skip
-    } else {
-      const obj = {
-        id: String(uniqueMap.size + 1),
-        url: req.url,
-        method: String(req.method || "").toUpperCase(),
-        type: normalizeType(e),
-        timeStamp: toEpochMs(e?.startedDateTime),
-        requestBody: parseRequestBody(req),
-        status: res?.status ?? 0,
-        statusText: buildStatusText(res),
-        responseHeaders: Array.isArray(res?.headers)
-          ? res.headers
-              .filter(h => h && typeof h.name === "string")
-              .map(h => ({ name: h.name, value: h.value }))
-          : []
-      };
-      uniqueMap.set(key, obj);
-    }
+      considered++;
+      // Decoded sub-operations of one physical endpoint are unique on their own
+      const decoded = await decodeEntry(e, decoder);
+      const variantKey = decoded._variant ? ` #${decoded._variant}` : "";
+      const key = dedupeKey(req.method, req.url, includeQuery) + variantKey;
+      if (uniqueMap.has(key)) {
+        // already captured; skip
+      } else {
+        // Only unique entries are written, so only they need masking
+        const safe = redactor ? redactor.redactEntry(decoded) : decoded;
+        const obj = {
+          id: String(uniqueMap.size + 1),
+          url: safe.request.url,
+          method: String(req.method || "").toUpperCase(),
+          type: normalizeType(safe),
+          timeStamp: toEpochMs(safe?.startedDateTime),
+          requestBody: parseRequestBody(safe.request),
+          status: res?.status ?? 0,
+          statusText: buildStatusText(res),
+          responseHeaders: Array.isArray(safe.response?.headers)
+            ? safe.response.headers
+                .filter(h => h && typeof h.name === "string")
+                .map(h => ({ name: h.name, value: h.value }))
+            : []
+        };
+        if (decoded._variant) obj.operation = decoded._variant;
+        if (decoded.response !== e.response) obj.responseBody = safeParseJSON(safe.response?.content?.text);
+        else if (withResponses) {
+          const content = safe.response?.content;
+          obj.responseBody = content?.encoding === "base64" ? null : safeParseJSON(content?.text);
+        }
+        uniqueMap.set(key, obj);
+      }
 
-    if (i % progressEvery === 0 || i === total - 1) {
-      const line = drawProgress(i + 1, total);
-      process.stdout.write("\r" + line);
+      if (reader.bytesRead >= nextProgress) {
+        nextProgress = reader.bytesRead + progressStep;
+        const line = drawProgress(reader.bytesRead, reader.totalBytes, 28, `${toMB(reader.bytesRead)}/${toMB(reader.totalBytes)} MB, ${reader.count} entries`);
+        process.stdout.write("\r" + line);
+      }
     }
+  } catch (err) {
+    process.stdout.write("\n");
+    console.error(`\x1b[31m✖ Not a valid ${reader.format === "har" ? "JSON/HAR" : reader.format} capture:\x1b[0m`, err.message);
+    process.exit(1);
+  }
+  process.stdout.write("\r" + drawProgress(1, 1, 28, `${toMB(reader.totalBytes)} MB, ${reader.count} entries`) + "\n");
+
+  const total = reader.count;
+  if (reader.format === "har") console.log(`HAR version: ${reader.version || "unknown"}`);
+  if (total === 0) {
+    console.warn("\x1b[33mNo entries to process. Exiting.\x1b[0m");
+    process.exit(0);
   }
-  process.stdout.write("\n");
 
   const unique = Array.from(uniqueMap.values());
 
@@ -223,6 +273,9 @@ function drawProgress(current, total, width = 28) {
   console.log(`Total entries scanned: ${total}`);
   console.log(`Entries considered (valid requests): ${considered}`);
   console.log(`Unique endpoints: ${unique.length}`);
+  if (decoder) console.log(`Payloads decoded: ${decoder.stats.decoded} (failed: ${decoder.stats.failed})`);
+  if (redactor) console.log(`Values redacted: ${redactor.findings.length}`);
+  else console.warn("\x1b[33m⚠ Redaction disabled (--no-redact): output may contain secrets\x1b[0m");
 
   // Write file
   try {
@@ -234,6 +287,19 @@ function drawProgress(current, total, width = 28) {
     process.exit(1);
   }
 
+  if (redactReport && redactor) {
+    if (typeof redactReport === "string") {
+      fs.writeFileSync(redactReport, JSON.stringify(redactor.findings, null, 2), "utf8");
+      console.log(`Redaction report written to \x1b[35m${redactReport}\x1b[0m`);
+    } else {
+      console.log(`\n${formatRedactReport(redactor.findings)}`);
+    }
+  }
+
   const dur = ((Date.now() - startTs) / 1000).toFixed(2);
   console.log(`Elapsed: ${dur}s\n`);
-})();
+})().catch(err => {
+  process.stdout.write("\n");
+  console.error("\x1b[31m✖ Failed:\x1b[0m", err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,793 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI / HAR diff with breaking-change classification
+ *
+ * Compares a base and a revised API description and lists what changed:
+ * - operations added / removed (paths and 3.1 webhooks)
+ * - parameters added / removed / made required / retyped
+ * - request bodies and response statuses added or removed
+ * - schema changes: properties added or removed, required fields, types,
+ *   nullability and enum values, reported once per component schema
+ *
+ * Each change is breaking or non-breaking for existing clients. Whether a
+ * schema change breaks depends on the direction it flows: a new required
+ * field breaks requests, a removed field breaks responses.
+ *
+ * Either side may be a HAR (or .har.gz): it is turned into a spec with
+ * har-to-openapi.js first, using the same .env (BASE_PATH, PATH_TEMPLATING,
+ * PATH_PATTERNS_FILE, REVIEW_FILE...) so both captures are normalized alike.
+ * Path parameter names are ignored when pairing operations.
+ *
+ * Usage:
+ *   node openapi-diff.js ./old.yaml ./vanij_adya.yaml       # Markdown on stdout
+ *   node openapi-diff.js ./before.har ./after.har.gz
+ *   node openapi-diff.js old.yaml new.yaml --md ./changes.md --json ./changes.json
+ *   node openapi-diff.js old.yaml new.yaml --fail-on-breaking # exit 1 on breaking changes (CI)
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import YAML from "yaml";
+import chalk from "chalk";
+
+dotenv.config({ quiet: true }); // stdout may carry the Markdown report
+
+// ---- CLI args ----
+const args = process.argv.slice(2);
+function getArg(flag, fallback = undefined) {
+  const i = args.indexOf(flag);
+  if (i !== -1) {
+    const next = args[i + 1];
+    if (!next || next.startsWith("-")) return true; // boolean flag
+    return next;
+  }
+  return fallback;
+}
+
+const FLAGS_WITH_VALUE = new Set(["--md", "--json"]);
+const positional = args.filter(
+  (a, i) => !a.startsWith("-") && !FLAGS_WITH_VALUE.has(args[i - 1])
+);
+const [basePath, revisionPath] = positional;
+const mdPath = getArg("--md");
+const jsonPath = getArg("--json");
+const failOnBreaking = Boolean(getArg("--fail-on-breaking", false));
+
+if (!basePath || !revisionPath) {
+  console.error(
+    chalk.red(
+      "✖ Usage: node openapi-diff.js <base> <revision> [--md file] [--json file]"
+    )
+  );
+  process.exit(1);
+}
+
+const HTTP_METHODS = [
+  "get",
+  "put",
+  "post",
+  "delete",
+  "options",
+  "head",
+  "patch",
+  "trace",
+];
+const HAR_TO_OPENAPI = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "har-to-openapi.js"
+);
+
+// ---- Loading ----
+
+function isHarFile(filePath) {
+  if (/\.har(\.gz)?$/i.test(filePath) || /\.gz$/i.test(filePath)) return true;
+  if (!/\.json$/i.test(filePath)) return false;
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(4096);
+    const n = fs.readSync(fd, head, 0, head.length, 0);
+    const text = head.slice(0, n).toString("utf8");
+    return /"log"\s*:/.test(text) && !/"openapi"\s*:/.test(text);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Generate a spec from a HAR with har-to-openapi.js into a temp file.
+ * Review decisions still come from the configured (or default) REVIEW_FILE,
+ * not from next to the temp output. No side outputs (Postman / Insomnia
+ * exports, redaction reports) are written.
+ */
+function specFromHar(harPath, label) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "openapi-diff-"));
+  const out = path.join(dir, `${label}.yaml`);
+  const configured = path.resolve(
+    process.cwd(),
+    process.env.OUTPUT_SWAGGER || "openapi.yaml"
+  );
+  const reviewFile = process.env.REVIEW_FILE
+    ? path.resolve(process.cwd(), process.env.REVIEW_FILE)
+    : `${configured.replace(/\.(ya?ml|json)$/i, "")}.review.json`;
+
+  try {
+    const run = spawnSync(process.execPath, [HAR_TO_OPENAPI], {
+      cwd: process.cwd(),
+      env: {
+        ...process.env,
+        HAR_FILE: path.resolve(harPath),
+        OUTPUT_SWAGGER: out,
+        MERGE_EXISTING: "false",
+        REVIEW_FILE: reviewFile,
+        BASE_PATH: process.env.BASE_PATH || "/",
+        // Only the spec is wanted: the user's collections stay untouched.
+        // Set, even if empty, so the child's .env cannot turn them back on.
+        POSTMAN_OUTPUT: "",
+        INSOMNIA_OUTPUT: "",
+      },
+      encoding: "utf8",
+    });
+    if (run.status !== 0 || !fs.existsSync(out)) {
+      const detail = (run.stderr || run.stdout || "").trim().split("\n").pop();
+      throw new Error(`har-to-openapi.js failed for ${harPath}: ${detail}`);
+    }
+    return YAML.parse(fs.readFileSync(out, "utf8"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function loadSide(filePath, label) {
+  if (!fs.existsSync(filePath)) throw new Error(`Not found: ${filePath}`);
+  if (isHarFile(filePath)) return specFromHar(filePath, label);
+  let spec;
+  try {
+    spec = YAML.parse(fs.readFileSync(filePath, "utf8")); // JSON is YAML too
+  } catch (err) {
+    throw new Error(`Cannot parse ${filePath}: ${err.message}`);
+  }
+  if (!spec?.openapi && !spec?.swagger) {
+    throw new Error(`${filePath} is not an OpenAPI document`);
+  }
+  return spec;
+}
+
+// ---- Helpers ----
+
+function resolve(spec, node) {
+  let cur = node;
+  let component = null;
+  for (let guard = 0; cur?.$ref && guard < 20; guard++) {
+    const m = /^#\/components\/schemas\/(.+)$/.exec(cur.$ref);
+    if (m) component = m[1];
+    if (!cur.$ref.startsWith("#/")) return { node: {}, component };
+    cur = cur.$ref
+      .slice(2)
+      .split("/")
+      .map((p) => p.replace(/~1/g, "/").replace(/~0/g, "~"))
+      .reduce((o, k) => o?.[k], spec);
+  }
+  return { node: cur || {}, component };
+}
+
+// Path parameter names do not matter for pairing: /a/{id} == /a/{tenantId}
+function pathShape(route) {
+  return route.replace(/\{[^}]+\}/g, "{}");
+}
+
+function collectOperations(spec) {
+  const ops = new Map();
+  for (const section of ["paths", "webhooks"]) {
+    for (const [route, item] of Object.entries(spec[section] || {})) {
+      for (const method of HTTP_METHODS) {
+        const op = item?.[method];
+        if (!op) continue;
+        const prefix = section === "webhooks" ? "webhook " : "";
+        const key = `${prefix}${method.toUpperCase()} ${pathShape(route)}`;
+        ops.set(key, {
+          key,
+          label: `${prefix}${method.toUpperCase()} ${route}`,
+          route,
+          item,
+          op,
+        });
+      }
+    }
+  }
+  return ops;
+}
+
+function schemaTypes(schema) {
+  const types = [].concat(schema?.type ?? []);
+  const nullable =
+    schema?.nullable === true ||
+    types.includes("null") ||
+    (schema?.enum || []).includes(null);
+  let list = types.filter((t) => t !== "null");
+  if (!list.length) {
+    if (schema?.properties) list = ["object"];
+    else if (schema?.items) list = ["array"];
+  }
+  return { types: list.sort(), nullable };
+}
+
+function describeType(schema) {
+  const { types, nullable } = schemaTypes(schema);
+  const base = types.join("|") || "any";
+  return nullable ? `${base}|null` : base;
+}
+
+function pointer(parts) {
+  return parts.join(".");
+}
+
+// ---- Comparison ----
+
+function createCollector() {
+  const changes = [];
+  const seen = new Map(); // location + message -> change (component changes are shared)
+
+  function add(change) {
+    const id = `${change.location}\u0000${change.message}`;
+    const prev = seen.get(id);
+    if (prev) {
+      if (change.operation && !prev.operations.includes(change.operation)) {
+        prev.operations.push(change.operation);
+      }
+      prev.breaking = prev.breaking || change.breaking;
+      return;
+    }
+    const entry = {
+      kind: change.kind,
+      breaking: change.breaking,
+      location: change.location,
+      message: change.message,
+      operations: change.operation ? [change.operation] : [],
+    };
+    seen.set(id, entry);
+    changes.push(entry);
+  }
+  return { add, changes };
+}
+
+/**
+ * Compare two schemas flowing in `dir` ("request" | "response" | "component").
+ * Locations inside a $ref'd schema are reported against the component, so a
+ * schema shared by several operations shows up once.
+ */
+function compareSchemas(ctx, a, b, where, dir, operation, visited = new Set()) {
+  const ra = resolve(ctx.base, a);
+  const rb = resolve(ctx.revision, b);
+  let loc = where;
+  if (rb.component || ra.component) {
+    loc = [`components.schemas.${rb.component || ra.component}`];
+  }
+  const pairId = `${ra.component || ""}|${rb.component || ""}|${pointer(
+    loc
+  )}|${dir}`;
+  if (visited.has(pairId)) return;
+  visited.add(pairId);
+
+  const sa = ra.node;
+  const sb = rb.node;
+  const add = (kind, breaking, message, at = loc) =>
+    ctx.collector.add({
+      kind,
+      breaking,
+      message,
+      location: pointer(at),
+      operation,
+    });
+
+  const ta = schemaTypes(sa);
+  const tb = schemaTypes(sb);
+  const typeA = ta.types.join("|");
+  const typeB = tb.types.join("|");
+  if (typeA && typeB && typeA !== typeB) {
+    // integer -> number widens what a request may send; the reverse narrows a response
+    const widened = typeA === "integer" && typeB === "number";
+    const narrowed = typeA === "number" && typeB === "integer";
+    const breaking =
+      (dir === "request" && !widened) ||
+      (dir === "response" && !narrowed) ||
+      dir === "component";
+    add(
+      "type",
+      breaking,
+      `type changed ${describeType(sa)} → ${describeType(sb)}`
+    );
+    return;
+  }
+  if (ta.nullable !== tb.nullable) {
+    const breaking =
+      (dir === "response" && tb.nullable) ||
+      (dir === "request" && !tb.nullable);
+    add(
+      "nullable",
+      breaking,
+      tb.nullable ? "became nullable" : "no longer nullable"
+    );
+  }
+
+  const ea = (sa.enum || []).filter((v) => v !== null);
+  const eb = (sb.enum || []).filter((v) => v !== null);
+  if (ea.length && eb.length) {
+    const removed = ea.filter((v) => !eb.includes(v));
+    const added = eb.filter((v) => !ea.includes(v));
+    if (removed.length) {
+      add(
+        "enum",
+        dir !== "response",
+        `enum values removed: ${removed.map(String).join(", ")}`
+      );
+    }
+    if (added.length) {
+      add(
+        "enum",
+        dir === "response",
+        `enum values added: ${added.map(String).join(", ")}`
+      );
+    }
+  }
+
+  if (typeB === "array" || (sa.items && sb.items)) {
+    if (sa.items && sb.items) {
+      compareSchemas(
+        ctx,
+        sa.items,
+        sb.items,
+        [...loc, "items"],
+        dir,
+        operation,
+        visited
+      );
+    }
+    return;
+  }
+
+  const pa = sa.properties || {};
+  const pb = sb.properties || {};
+  const reqA = new Set(sa.required || []);
+  const reqB = new Set(sb.required || []);
+
+  for (const name of Object.keys(pa)) {
+    if (name in pb) continue;
+    add("property", dir !== "request", `property removed: ${name}`, [
+      ...loc,
+      "properties",
+      name,
+    ]);
+  }
+  for (const name of Object.keys(pb)) {
+    if (name in pa) continue;
+    const required = reqB.has(name);
+    add(
+      "property",
+      required && dir !== "response",
+      `${required ? "required " : ""}property added: ${name}`,
+      [...loc, "properties", name]
+    );
+  }
+  for (const name of Object.keys(pb)) {
+    if (!(name in pa)) continue;
+    if (!reqA.has(name) && reqB.has(name)) {
+      add("required", dir !== "response", `became required: ${name}`, [
+        ...loc,
+        "properties",
+        name,
+      ]);
+    } else if (reqA.has(name) && !reqB.has(name)) {
+      add("required", dir !== "request", `no longer required: ${name}`, [
+        ...loc,
+        "properties",
+        name,
+      ]);
+    }
+    compareSchemas(
+      ctx,
+      pa[name],
+      pb[name],
+      [...loc, "properties", name],
+      dir,
+      operation,
+      visited
+    );
+  }
+
+  for (const keyword of ["oneOf", "anyOf"]) {
+    const va = sa[keyword]?.length || 0;
+    const vb = sb[keyword]?.length || 0;
+    if (va !== vb) {
+      add(
+        "variants",
+        vb < va ? dir !== "request" : dir === "response",
+        `${keyword} variants ${va} → ${vb}`
+      );
+    }
+  }
+}
+
+function parameterMap(spec, entry) {
+  const map = new Map();
+  for (const p of [
+    ...(entry.item.parameters || []),
+    ...(entry.op.parameters || []),
+  ]) {
+    const param = resolve(spec, p).node;
+    if (!param.name || !param.in) continue;
+    // Path parameters pair by position, since their names may differ
+    const key =
+      param.in === "path"
+        ? `path:${entry.route.split("/").indexOf(`{${param.name}}`)}`
+        : `${param.in}:${param.name.toLowerCase()}`;
+    map.set(key, param);
+  }
+  return map;
+}
+
+function compareParameters(ctx, a, b, label) {
+  const pa = parameterMap(ctx.base, a);
+  const pb = parameterMap(ctx.revision, b);
+  const at = (p) => [label, "parameters", `${p.in}.${p.name}`];
+  const add = (kind, breaking, message, loc) =>
+    ctx.collector.add({
+      kind,
+      breaking,
+      message,
+      location: pointer(loc),
+      operation: label,
+    });
+
+  for (const [key, p] of pa) {
+    if (pb.has(key) || p.in === "cookie") continue;
+    add("parameter", false, `${p.in} parameter removed: ${p.name}`, at(p));
+  }
+  for (const [key, p] of pb) {
+    if (pa.has(key)) continue;
+    add(
+      "parameter",
+      Boolean(p.required),
+      `${p.required ? "required" : "optional"} ${p.in} parameter added: ${
+        p.name
+      }`,
+      at(p)
+    );
+  }
+  for (const [key, p] of pb) {
+    const old = pa.get(key);
+    if (!old) continue;
+    if (old.name !== p.name) {
+      add(
+        "parameter",
+        false,
+        `path parameter renamed: ${old.name} → ${p.name}`,
+        at(p)
+      );
+    }
+    if (!old.required && p.required) {
+      add(
+        "parameter",
+        true,
+        `${p.in} parameter became required: ${p.name}`,
+        at(p)
+      );
+    } else if (old.required && !p.required) {
+      add(
+        "parameter",
+        false,
+        `${p.in} parameter became optional: ${p.name}`,
+        at(p)
+      );
+    }
+    if (old.schema && p.schema) {
+      compareSchemas(ctx, old.schema, p.schema, at(p), "request", label);
+    }
+  }
+}
+
+function firstJsonLike(content = {}) {
+  const types = Object.keys(content);
+  return types.find((t) => /json/i.test(t)) || types[0];
+}
+
+function compareContent(ctx, ca = {}, cb = {}, loc, dir, label) {
+  const add = (breaking, message) =>
+    ctx.collector.add({
+      kind: "media-type",
+      breaking,
+      message,
+      location: pointer(loc),
+      operation: label,
+    });
+  for (const type of Object.keys(ca)) {
+    if (!(type in cb)) add(true, `media type removed: ${type}`);
+  }
+  for (const type of Object.keys(cb)) {
+    if (!(type in ca)) add(false, `media type added: ${type}`);
+  }
+  const shared = Object.keys(cb).filter((t) => t in ca);
+  const type = shared.includes(firstJsonLike(cb))
+    ? firstJsonLike(cb)
+    : shared[0];
+  if (type && ca[type]?.schema && cb[type]?.schema) {
+    compareSchemas(
+      ctx,
+      ca[type].schema,
+      cb[type].schema,
+      [...loc, type],
+      dir,
+      label
+    );
+  }
+}
+
+function compareOperation(ctx, a, b) {
+  const label = b.label;
+  const add = (kind, breaking, message, loc = [label]) =>
+    ctx.collector.add({
+      kind,
+      breaking,
+      message,
+      location: pointer(loc),
+      operation: label,
+    });
+
+  if (!a.op.deprecated && b.op.deprecated)
+    add("deprecated", false, "operation deprecated");
+
+  compareParameters(ctx, a, b, label);
+
+  const ba = a.op.requestBody && resolve(ctx.base, a.op.requestBody).node;
+  const bb = b.op.requestBody && resolve(ctx.revision, b.op.requestBody).node;
+  if (!ba && bb) {
+    add(
+      "request-body",
+      Boolean(bb.required),
+      `${bb.required ? "required " : ""}request body added`
+    );
+  } else if (ba && !bb) {
+    add("request-body", false, "request body removed");
+  } else if (ba && bb) {
+    if (!ba.required && bb.required)
+      add("request-body", true, "request body became required");
+    compareContent(
+      ctx,
+      ba.content,
+      bb.content,
+      [label, "requestBody"],
+      "request",
+      label
+    );
+  }
+
+  const ra = a.op.responses || {};
+  const rb = b.op.responses || {};
+  for (const status of Object.keys(ra)) {
+    if (status in rb) continue;
+    add("response", /^2/.test(status), `response ${status} removed`, [
+      label,
+      "responses",
+      status,
+    ]);
+  }
+  for (const status of Object.keys(rb)) {
+    if (status in ra) continue;
+    add("response", false, `response ${status} added`, [
+      label,
+      "responses",
+      status,
+    ]);
+  }
+  for (const status of Object.keys(rb)) {
+    if (!(status in ra)) continue;
+    const resA = resolve(ctx.base, ra[status]).node;
+    const resB = resolve(ctx.revision, rb[status]).node;
+    compareContent(
+      ctx,
+      resA.content,
+      resB.content,
+      [label, "responses", status],
+      "response",
+      label
+    );
+  }
+}
+
+function diffSpecs(base, revision) {
+  const ctx = { base, revision, collector: createCollector() };
+  const opsA = collectOperations(base);
+  const opsB = collectOperations(revision);
+
+  for (const [key, a] of opsA) {
+    if (!opsB.has(key)) {
+      ctx.collector.add({
+        kind: "operation",
+        breaking: true,
+        message: "operation removed",
+        location: a.label,
+        operation: a.label,
+      });
+    }
+  }
+  for (const [key, b] of opsB) {
+    if (!opsA.has(key)) {
+      ctx.collector.add({
+        kind: "operation",
+        breaking: false,
+        message: "operation added",
+        location: b.label,
+        operation: b.label,
+      });
+    }
+  }
+  for (const [key, b] of opsB) {
+    if (opsA.has(key)) compareOperation(ctx, opsA.get(key), b);
+  }
+
+  // Components no operation reaches (or not yet compared) still get a type check
+  const sa = base.components?.schemas || {};
+  const sb = revision.components?.schemas || {};
+  const touched = new Set(
+    ctx.collector.changes
+      .map((c) => /^components\.schemas\.([^.]+)/.exec(c.location)?.[1])
+      .filter(Boolean)
+  );
+  for (const name of Object.keys(sa)) {
+    if (!(name in sb)) {
+      ctx.collector.add({
+        kind: "schema",
+        breaking: false,
+        message: "component schema removed",
+        location: `components.schemas.${name}`,
+      });
+    }
+  }
+  for (const name of Object.keys(sb)) {
+    if (!(name in sa)) {
+      ctx.collector.add({
+        kind: "schema",
+        breaking: false,
+        message: "component schema added",
+        location: `components.schemas.${name}`,
+      });
+    } else if (!touched.has(name)) {
+      compareSchemas(
+        ctx,
+        { $ref: `#/components/schemas/${name}` },
+        { $ref: `#/components/schemas/${name}` },
+        [`components.schemas.${name}`],
+        "component",
+        undefined
+      );
+    }
+  }
+  return ctx.collector.changes;
+}
+
+// ---- Output ----
+
+function buildReport(changes, meta) {
+  const breaking = changes.filter((c) => c.breaking);
+  return {
+    base: meta.base,
+    revision: meta.revision,
+    summary: {
+      breaking: breaking.length,
+      nonBreaking: changes.length - breaking.length,
+      operationsAdded: changes.filter((c) => c.message === "operation added")
+        .length,
+      operationsRemoved: changes.filter(
+        (c) => c.message === "operation removed"
+      ).length,
+    },
+    changes,
+  };
+}
+
+function mdEscape(text) {
+  return String(text).replace(/\|/g, "\\|");
+}
+
+function toMarkdown(report) {
+  const s = report.summary;
+  const lines = [
+    "# API changes",
+    "",
+    `Base: \`${report.base}\`  `,
+    `Revision: \`${report.revision}\``,
+    "",
+    `**${s.breaking} breaking**, ${s.nonBreaking} non-breaking ` +
+      `(${s.operationsAdded} operation(s) added, ${s.operationsRemoved} removed)`,
+    "",
+  ];
+  const section = (title, list) => {
+    if (!list.length) return;
+    lines.push(
+      `## ${title}`,
+      "",
+      "| Change | Where | Operations |",
+      "| --- | --- | --- |"
+    );
+    for (const c of list) {
+      const ops =
+        c.operations.length > 3
+          ? `${c.operations.slice(0, 3).join("<br>")}<br>+${
+              c.operations.length - 3
+            } more`
+          : c.operations.join("<br>");
+      lines.push(
+        `| ${mdEscape(c.message)} | \`${mdEscape(c.location)}\` | ${mdEscape(
+          ops
+        )} |`
+      );
+    }
+    lines.push("");
+  };
+  section(
+    "Breaking changes",
+    report.changes.filter((c) => c.breaking)
+  );
+  section(
+    "Non-breaking changes",
+    report.changes.filter((c) => !c.breaking)
+  );
+  if (!report.changes.length) lines.push("No changes.", "");
+  return lines.join("\n");
+}
+
+// ---- Main ----
+function main() {
+  let base;
+  let revision;
+  try {
+    base = loadSide(basePath, "base");
+    revision = loadSide(revisionPath, "revision");
+  } catch (err) {
+    console.error(chalk.red(`✖ ${err.message}`));
+    process.exit(1);
+  }
+
+  const changes = diffSpecs(base, revision);
+  const report = buildReport(changes, {
+    base: basePath,
+    revision: revisionPath,
+  });
+  const md = toMarkdown(report);
+
+  try {
+    if (typeof mdPath === "string") fs.writeFileSync(mdPath, md, "utf8");
+    if (typeof jsonPath === "string") {
+      fs.writeFileSync(
+        jsonPath,
+        JSON.stringify(report, null, 2) + "\n",
+        "utf8"
+      );
+    }
+  } catch (err) {
+    console.error(chalk.red(`✖ Failed to write report: ${err.message}`));
+    process.exit(1);
+  }
+
+  if (typeof mdPath !== "string" && typeof jsonPath !== "string") {
+    process.stdout.write(md);
+  } else {
+    const s = report.summary;
+    console.log(
+      `${s.breaking ? chalk.red("✖") : chalk.green("✔")} ${
+        s.breaking
+      } breaking, ${s.nonBreaking} non-breaking change(s)`
+    );
+    if (typeof mdPath === "string")
+      console.log(`Markdown: ${chalk.magenta(mdPath)}`);
+    if (typeof jsonPath === "string")
+      console.log(`JSON: ${chalk.magenta(jsonPath)}`);
+  }
+
+  if (failOnBreaking && report.summary.breaking) process.exit(1);
+}
+
+main();
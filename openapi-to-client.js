@@ -0,0 +1,906 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI -> JavaScript client generator
+ *
+ * Reads the spec written by har-to-openapi.js (OUTPUT_SWAGGER in .env, or
+ * -i) and writes a dependency-free ES module client:
+ * - index.js: createClient() with one method per operationId, grouped by tag
+ *   (client.keyVault.listKeyVault(...)), JSDoc on every method
+ * - index.d.ts: TypeScript declarations for the component schemas and the
+ *   path/query/header parameters, request body and response of each operation
+ *
+ * Methods take (params, body, options) - body only when the operation has a
+ * request body. params holds path, query and header parameters by name;
+ * options can add headers and an AbortSignal. Non-2xx responses throw
+ * ApiError (status, body, response).
+ *
+ * Auth is a pluggable hook ({ headers(op), refresh(error, op) }): headers()
+ * runs before every request and a 401 calls refresh() once before retrying.
+ * bearerAuth() builds one from the spec; when it documents a refresh
+ * operation (like POST .../backend/user/refresh_token) that takes the
+ * refresh token in its body, query or headers and returns an access token,
+ * the hook calls it with the stored refresh token and keeps the new access
+ * token. Otherwise bearerAuth() takes a refresh() callback instead.
+ *
+ * Usage:
+ *   node openapi-to-client.js                         # OUTPUT_SWAGGER -> ./client
+ *   node openapi-to-client.js -i ./vanij_adya.yaml -o ./src/api
+ *   node openapi-to-client.js -i ./vanij_adya.yaml --base-url http://127.0.0.1:4010
+ *
+ *   import { createClient, bearerAuth } from "./client/index.js";
+ *   const api = createClient({
+ *     auth: bearerAuth({ accessToken, refreshToken, onTokens: save }),
+ *   });
+ *   const vault = await api.keyVault.listKeyVault({ tenant });
+ */
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import YAML from "yaml";
+import chalk from "chalk";
+
+dotenv.config();
+
+// ---- CLI args ----
+const args = process.argv.slice(2);
+function getArg(flag, fallback = undefined) {
+  const i = args.indexOf(flag);
+  if (i !== -1) {
+    const next = args[i + 1];
+    if (!next || next.startsWith("-")) return true; // boolean flag
+    return next;
+  }
+  return fallback;
+}
+
+const { OUTPUT_SWAGGER } = process.env;
+
+const inputPath =
+  getArg("-i") || getArg("--in") || OUTPUT_SWAGGER || "openapi.yaml";
+const outDir = getArg("-o") || getArg("--out") || "client";
+const baseUrlArg = getArg("--base-url");
+
+const HTTP_METHODS = [
+  "get",
+  "put",
+  "post",
+  "delete",
+  "options",
+  "head",
+  "patch",
+];
+
+// Client fields that a tag group must not shadow
+const RESERVED_GROUPS = new Set(["request", "config", "constructor"]);
+
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+function words(s) {
+  return String(s)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+function camelCase(s) {
+  const w = words(s);
+  const out = w
+    .map((x, i) =>
+      i ? x.charAt(0).toUpperCase() + x.slice(1).toLowerCase() : x.toLowerCase()
+    )
+    .join("");
+  return /^\d/.test(out) ? `_${out}` : out || "_";
+}
+
+function pascalCase(s) {
+  const c = camelCase(s).replace(/^_/, "");
+  return c.charAt(0).toUpperCase() + c.slice(1);
+}
+
+// operationIds that are already identifiers are kept as they are
+function methodName(operationId) {
+  return IDENTIFIER_RE.test(operationId) && !operationId.includes("_")
+    ? operationId
+    : camelCase(operationId);
+}
+
+function propKey(name) {
+  return IDENTIFIER_RE.test(name) ? name : JSON.stringify(name);
+}
+
+function docText(s) {
+  return String(s || "")
+    .replace(/\*\//g, "*\\/")
+    .split(/\r?\n/)
+    .map((l) => l.trimEnd());
+}
+
+function resolveRef(spec, node) {
+  let cur = node;
+  for (let guard = 0; cur?.$ref && guard < 20; guard++) {
+    if (!cur.$ref.startsWith("#/")) return {};
+    cur = cur.$ref
+      .slice(2)
+      .split("/")
+      .map((p) => p.replace(/~1/g, "/").replace(/~0/g, "~"))
+      .reduce((o, k) => o?.[k], spec);
+  }
+  return cur || {};
+}
+
+// ---- Types ----
+
+function createTypeWriter(spec) {
+  const schemas = spec.components?.schemas || {};
+  const names = new Map(); // component name -> TS identifier
+  const used = new Set();
+  const uniqueName = (base) => {
+    let name = base || "Type";
+    for (let n = 2; used.has(name); n++) name = `${base}${n}`;
+    used.add(name);
+    return name;
+  };
+  for (const name of Object.keys(schemas)) {
+    names.set(
+      name,
+      uniqueName(IDENTIFIER_RE.test(name) ? name : pascalCase(name))
+    );
+  }
+
+  const refName = (ref) => {
+    const m = /^#\/components\/schemas\/(.+)$/.exec(ref);
+    return m ? names.get(m[1].replace(/~1/g, "/").replace(/~0/g, "~")) : null;
+  };
+
+  function toType(schema, indent = "") {
+    if (!schema || typeof schema !== "object") return "unknown";
+    if (schema.$ref) return refName(schema.$ref) || "unknown";
+
+    const nullable = schema.nullable === true;
+    const withNull = (t) => (nullable && t !== "unknown" ? `${t} | null` : t);
+
+    if (schema.oneOf || schema.anyOf) {
+      const parts = (schema.oneOf || schema.anyOf).map((s) =>
+        toType(s, indent)
+      );
+      return withNull([...new Set(parts)].join(" | ") || "unknown");
+    }
+    if (schema.allOf) {
+      return withNull(
+        schema.allOf.map((s) => toType(s, indent)).join(" & ") || "unknown"
+      );
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length) {
+      return withNull(
+        schema.enum
+          .map((v) => (v === null ? "null" : JSON.stringify(v)))
+          .join(" | ")
+      );
+    }
+    if (schema.const !== undefined) return JSON.stringify(schema.const);
+
+    // 3.1: type may be a list such as ["string", "null"]
+    const types = [].concat(schema.type ?? []);
+    if (types.length > 1) {
+      return withNull(
+        types.map((t) => toType({ ...schema, type: t }, indent)).join(" | ")
+      );
+    }
+
+    switch (types[0]) {
+      case "null":
+        return "null";
+      case "string":
+        return withNull(
+          schema.format === "binary" || schema.contentMediaType
+            ? "Blob"
+            : "string"
+        );
+      case "integer":
+      case "number":
+        return withNull("number");
+      case "boolean":
+        return withNull("boolean");
+      case "array": {
+        const item = toType(schema.items, indent);
+        return withNull(/^[\w.]+$/.test(item) ? `${item}[]` : `Array<${item}>`);
+      }
+      case "object":
+      case undefined:
+        if (!schema.properties && !schema.additionalProperties) {
+          return withNull(
+            types[0] === "object" ? "Record<string, unknown>" : "unknown"
+          );
+        }
+        return withNull(objectType(schema, indent));
+      default:
+        return "unknown";
+    }
+  }
+
+  function objectType(schema, indent) {
+    const inner = `${indent}  `;
+    const required = new Set(schema.required || []);
+    const lines = [];
+    for (const [name, prop] of Object.entries(schema.properties || {})) {
+      const p = prop || {};
+      if (p.description || p.deprecated) {
+        const text = [
+          ...(p.description ? docText(p.description) : []),
+          ...(p.deprecated ? ["@deprecated"] : []),
+        ];
+        lines.push(`${inner}/** ${text.join(" ")} */`);
+      }
+      lines.push(
+        `${inner}${propKey(name)}${required.has(name) ? "" : "?"}: ${toType(
+          p,
+          inner
+        )};`
+      );
+    }
+    if (schema.additionalProperties) {
+      const value =
+        schema.additionalProperties === true
+          ? "unknown"
+          : toType(schema.additionalProperties, inner);
+      lines.push(`${inner}[key: string]: ${value};`);
+    }
+    return lines.length ? `{\n${lines.join("\n")}\n${indent}}` : "{}";
+  }
+
+  function declarations() {
+    return Object.entries(schemas).map(([name, schema]) => {
+      const doc = schema?.description
+        ? `/** ${docText(schema.description).join(" ")} */\n`
+        : "";
+      const type = toType(schema);
+      return type.startsWith("{")
+        ? `${doc}export interface ${names.get(name)} ${type}`
+        : `${doc}export type ${names.get(name)} = ${type};`;
+    });
+  }
+
+  return { toType, declarations, uniqueName };
+}
+
+// ---- Operations ----
+
+const JSON_MIME_RE = /^application\/([\w.+-]+\+)?json$/i;
+
+function pickContent(content = {}) {
+  const types = Object.keys(content);
+  const json = types.find((t) => JSON_MIME_RE.test(t.split(";")[0].trim()));
+  const mime = json || types[0];
+  return mime ? { mime, media: content[mime] || {} } : null;
+}
+
+function bodyKind(mime) {
+  const m = mime.split(";")[0].trim().toLowerCase();
+  if (JSON_MIME_RE.test(m)) return "json";
+  if (m === "multipart/form-data") return "multipart";
+  if (m === "application/x-www-form-urlencoded") return "form";
+  return "raw";
+}
+
+function responseKind(mime) {
+  if (!mime) return "void";
+  const m = mime.split(";")[0].trim().toLowerCase();
+  if (JSON_MIME_RE.test(m)) return "json";
+  if (/^text\/|xml|csv|event-stream|ndjson|jsonl/.test(m)) return "text";
+  return "blob";
+}
+
+function collectOperations(spec, types) {
+  const ops = [];
+  const usedMethods = new Map(); // group -> Set of method names
+
+  for (const [route, item] of Object.entries(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const op = item?.[method];
+      if (!op) continue;
+
+      const operationId =
+        op.operationId || `${method}_${route.replace(/[{}]/g, "")}`;
+      const tag = op.tags?.[0] || "default";
+      let group = camelCase(tag);
+      if (RESERVED_GROUPS.has(group)) group = `${group}Api`;
+
+      if (!usedMethods.has(group)) usedMethods.set(group, new Set());
+      let name = methodName(operationId);
+      for (let n = 2; usedMethods.get(group).has(name); n++) {
+        name = `${methodName(operationId)}${n}`;
+      }
+      usedMethods.get(group).add(name);
+
+      // Operation-level parameters override path-level ones with the same name
+      const byKey = new Map();
+      for (const p of [...(item.parameters || []), ...(op.parameters || [])]) {
+        const param = resolveRef(spec, p);
+        if (!param.name || !["path", "query", "header"].includes(param.in)) {
+          continue;
+        }
+        byKey.set(`${param.in}:${param.name}`, param);
+      }
+      const params = [...byKey.values()];
+
+      const reqBody = op.requestBody ? resolveRef(spec, op.requestBody) : null;
+      const reqContent = reqBody ? pickContent(reqBody.content) : null;
+
+      const codes = Object.keys(op.responses || {});
+      const success =
+        codes.filter((c) => /^2\d\d$/.test(c)).sort()[0] ||
+        (codes.includes("2XX")
+          ? "2XX"
+          : codes.includes("default")
+          ? "default"
+          : null);
+      const res = success ? resolveRef(spec, op.responses[success]) : null;
+      const resContent =
+        success === "204"
+          ? null
+          : res?.content
+          ? pickContent(res.content)
+          : null;
+
+      const base = pascalCase(name);
+      ops.push({
+        id: operationId,
+        name,
+        group,
+        tag,
+        method: method.toUpperCase(),
+        route,
+        summary: op.summary,
+        description: op.description,
+        deprecated: Boolean(op.deprecated),
+        params,
+        paramsType: params.length ? types.uniqueName(`${base}Params`) : null,
+        body: reqContent && {
+          kind: bodyKind(reqContent.mime),
+          mime: reqContent.mime,
+          required: Boolean(reqBody.required),
+          schema: reqContent.media.schema,
+          type: types.uniqueName(`${base}Body`),
+        },
+        response: {
+          kind: responseKind(resContent?.mime),
+          schema: resContent?.media.schema,
+          type: types.uniqueName(`${base}Response`),
+        },
+        security: (op.security || spec.security || []).flatMap((s) =>
+          Object.keys(s)
+        ),
+      });
+    }
+  }
+  return ops;
+}
+
+/**
+ * The operation a bearer token is refreshed with: a POST whose path ends in
+ * refresh_token / refresh-token / refresh, plus where it takes the refresh
+ * token (a body field, query or header parameter) and the response fields
+ * with the new tokens. When the spec shows no way to send the token or to
+ * read a new access token back, the operation comes with `unusable` (why)
+ * and no auto-refresh is generated for it.
+ */
+function findRefreshOperation(spec, ops) {
+  const op = ops.find(
+    (o) => o.method === "POST" && /\/refresh[-_]?(token)?$/i.test(o.route)
+  );
+  if (!op) return null;
+
+  const fields = (schema) =>
+    Object.keys(resolveRef(spec, schema || {}).properties || {});
+  const isRefresh = (name) => /refresh/i.test(name);
+
+  const bodyField =
+    ["json", "form", "multipart"].includes(op.body?.kind) &&
+    fields(op.body.schema).find(isRefresh);
+  const param = op.params.find(
+    (p) => (p.in === "query" || p.in === "header") && isRefresh(p.name)
+  );
+  const token = bodyField
+    ? { in: "body", name: bodyField }
+    : param
+    ? { in: param.in, name: param.name }
+    : null;
+  if (!token) {
+    return {
+      op,
+      unusable:
+        "it documents no request field or parameter for the refresh token",
+    };
+  }
+
+  const resSchema = resolveRef(spec, op.response.schema || {});
+  // Tokens are often wrapped in a `data` envelope
+  const envelope = resSchema.properties?.data ? "data" : null;
+  const resFields =
+    op.response.kind === "json"
+      ? fields(envelope ? resSchema.properties.data : op.response.schema)
+      : [];
+  const accessField =
+    resFields.find((f) => /^access[-_]?token$/i.test(f)) ||
+    resFields.find((f) => /token/i.test(f) && !isRefresh(f));
+  if (!accessField) {
+    return {
+      op,
+      unusable: "its documented response carries no access token",
+    };
+  }
+
+  return {
+    op,
+    token,
+    accessField,
+    refreshField: resFields.find(isRefresh) || null,
+    envelope,
+  };
+}
+
+function defaultBaseUrl(spec) {
+  if (typeof baseUrlArg === "string") return baseUrlArg;
+  const server = spec.servers?.[0];
+  if (!server?.url) return "";
+  return server.url.replace(
+    /\{([^}]+)\}/g,
+    (_, v) => server.variables?.[v]?.default ?? ""
+  );
+}
+
+// ---- Emit ----
+
+function operationDoc(op) {
+  const lines = [`${op.method} ${op.route}`];
+  if (op.summary && op.summary !== lines[0])
+    lines.unshift(...docText(op.summary), "");
+  if (op.description) lines.push("", ...docText(op.description));
+  if (op.deprecated) lines.push("@deprecated");
+  return lines;
+}
+
+// Arguments for the refresh call, sending the token where the spec takes it
+function refreshArgs({ op, token }) {
+  const value = `{ ${propKey(token.name)}: refreshToken }`;
+  if (token.in === "body") return `{}, ${value}`;
+  return op.body ? `${value}, undefined` : value;
+}
+
+function emitJs(spec, ops, refresh) {
+  const table = ops.map((op) => {
+    const entry = {
+      id: op.id,
+      method: op.method,
+      path: op.route,
+      tag: op.tag,
+      params: op.params.map((p) => [p.in, p.name]),
+      body: op.body ? [op.body.kind, op.body.mime] : null,
+      response: op.response.kind,
+      security: op.security,
+    };
+    return `  ${JSON.stringify(`${op.group}.${op.name}`)}: ${JSON.stringify(
+      entry
+    )},`;
+  });
+
+  const groups = new Map();
+  for (const op of ops) {
+    if (!groups.has(op.group)) groups.set(op.group, []);
+    groups.get(op.group).push(op);
+  }
+
+  const groupCode = [...groups.entries()].map(([group, list]) => {
+    const methods = list.map((op) => {
+      const ref = (t) => `import("./index.js").${t}`;
+      const doc = operationDoc(op);
+      // A required argument cannot follow an optional one
+      const paramsRequired = op.params.some((p) => p.required);
+      doc.push(
+        `@param {${op.paramsType ? ref(op.paramsType) : "{}"}} ${
+          paramsRequired ? "params" : "[params]"
+        }`
+      );
+      if (op.body) {
+        doc.push(
+          `@param {${ref(op.body.type)}} ${
+            op.body.required && paramsRequired ? "body" : "[body]"
+          }`
+        );
+      }
+      doc.push(`@param {${ref("RequestOptions")}} [options]`);
+      doc.push(`@returns {Promise<${ref(op.response.type)}>}`);
+      const key = JSON.stringify(`${op.group}.${op.name}`);
+      const sig = op.body ? "params, body, options" : "params, options";
+      const call = op.body
+        ? `request(OPERATIONS[${key}], params, body, options)`
+        : `request(OPERATIONS[${key}], params, undefined, options)`;
+      return [
+        `      /**`,
+        ...doc.map((l) => (l ? `       * ${l}` : `       *`)),
+        `       */`,
+        `      ${propKey(op.name)}: (${sig}) => ${call},`,
+      ].join("\n");
+    });
+    return `    ${propKey(group)}: {\n${methods.join("\n")}\n    },`;
+  });
+
+  const refreshCode = refresh
+    ? `
+/**
+ * Bearer token auth. On a 401 the refresh token is exchanged through
+ * ${refresh.op.method} ${refresh.op.route}
+ * (one refresh at a time; parallel requests wait for it), then the request is
+ * retried once. onTokens receives the new tokens so they can be persisted.
+ * @param {import("./index.js").BearerAuthOptions} options
+ * @returns {import("./index.js").AuthHook}
+ */
+export function bearerAuth({ accessToken, refreshToken, onTokens } = {}) {
+  let pending = null;
+  const hook = {
+    headers: () => (accessToken ? { Authorization: \`Bearer \${accessToken}\` } : {}),
+    refresh: async (error, op, client) => {
+      if (!refreshToken || op.id === ${JSON.stringify(
+        refresh.op.id
+      )}) return false;
+      pending ??= (async () => {
+        const res = await client.${refresh.op.group}.${
+        refresh.op.name
+      }(${refreshArgs(refresh)});
+        const tokens = ${
+          refresh.envelope ? `res?.${refresh.envelope} ?? res` : "res"
+        };
+        // No new access token: retrying would only fail again
+        if (!tokens?.${propKey(refresh.accessField)}) return false;
+        accessToken = tokens.${propKey(refresh.accessField)};${
+        refresh.refreshField
+          ? `\n        refreshToken = tokens.${propKey(
+              refresh.refreshField
+            )} ?? refreshToken;`
+          : ""
+      }
+        onTokens?.({ accessToken, refreshToken });
+        return true;
+      })().finally(() => {
+        pending = null;
+      });
+      return pending.catch(() => false);
+    },
+  };
+  return hook;
+}
+`
+    : `
+/**
+ * Bearer token auth. The spec documents no refresh operation, so pass
+ * refresh() to renew the token on a 401 (return the new token, or a falsy
+ * value to give up).
+ * @param {import("./index.js").BearerAuthOptions} options
+ * @returns {import("./index.js").AuthHook}
+ */
+export function bearerAuth({ accessToken, refresh, onTokens } = {}) {
+  return {
+    headers: () => (accessToken ? { Authorization: \`Bearer \${accessToken}\` } : {}),
+    refresh: async () => {
+      if (!refresh) return false;
+      const next = await refresh();
+      if (!next) return false;
+      accessToken = next;
+      onTokens?.({ accessToken });
+      return true;
+    },
+  };
+}
+`;
+
+  return `// Generated by openapi-to-client.js from ${
+    spec.info?.title || "OpenAPI"
+  } ${spec.info?.version || ""}. Do not edit; regenerate instead.
+
+export const DEFAULT_BASE_URL = ${JSON.stringify(defaultBaseUrl(spec))};
+
+const OPERATIONS = {
+${table.join("\n")}
+};
+
+export class ApiError extends Error {
+  constructor(operation, response, body) {
+    super(\`\${operation.method} \${operation.path} failed with \${response.status}\`);
+    this.name = "ApiError";
+    this.operation = operation;
+    this.response = response;
+    this.status = response.status;
+    this.body = body;
+  }
+}
+
+function buildUrl(baseUrl, op, params) {
+  let path = op.path;
+  const query = new URLSearchParams();
+  for (const [where, name] of op.params) {
+    const value = params[name];
+    if (value === undefined || value === null) continue;
+    if (where === "path") {
+      path = path.replace(\`{\${name}}\`, encodeURIComponent(String(value)));
+    } else if (where === "query") {
+      for (const v of [].concat(value)) query.append(name, String(v));
+    }
+  }
+  const qs = query.toString();
+  return \`\${baseUrl.replace(/\\/+$/, "")}\${path}\${qs ? \`?\${qs}\` : ""}\`;
+}
+
+function encodeBody(kind, mime, body) {
+  if (body === undefined) return { body: undefined, type: null };
+  if (kind === "json") return { body: JSON.stringify(body), type: mime };
+  if (kind === "form" && !(body instanceof URLSearchParams)) {
+    return { body: new URLSearchParams(body), type: null };
+  }
+  if (kind === "multipart" && !(body instanceof FormData)) {
+    const form = new FormData();
+    for (const [k, v] of Object.entries(body)) {
+      for (const item of [].concat(v)) {
+        form.append(k, item instanceof Blob ? item : typeof item === "string" ? item : JSON.stringify(item));
+      }
+    }
+    return { body: form, type: null };
+  }
+  return { body, type: kind === "raw" ? mime : null };
+}
+
+async function readResponse(kind, response) {
+  if (kind === "void" || response.status === 204) return undefined;
+  if (kind === "blob") return response.blob();
+  const text = await response.text();
+  if (kind === "text" || !text) return text || undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * @param {import("./index.js").ClientConfig} [config]
+ * @returns {import("./index.js").Client}
+ */
+export function createClient(config = {}) {
+  const {
+    baseUrl = DEFAULT_BASE_URL,
+    fetch: fetchImpl = globalThis.fetch,
+    headers: defaultHeaders = {},
+    auth,
+  } = config;
+
+  async function send(op, params, body, options, retried) {
+    const headers = new Headers(defaultHeaders);
+    if (auth?.headers) {
+      for (const [k, v] of Object.entries((await auth.headers(op)) || {})) headers.set(k, v);
+    }
+    for (const [where, name] of op.params) {
+      if (where === "header" && params[name] !== undefined) headers.set(name, String(params[name]));
+    }
+    const encoded = op.body ? encodeBody(op.body[0], op.body[1], body) : { body: undefined };
+    if (encoded.type && !headers.has("content-type")) headers.set("content-type", encoded.type);
+    for (const [k, v] of Object.entries(options.headers || {})) headers.set(k, v);
+
+    const response = await fetchImpl(buildUrl(baseUrl, op, params), {
+      method: op.method,
+      headers,
+      body: encoded.body,
+      signal: options.signal,
+    });
+    if (response.ok) return readResponse(op.response, response);
+
+    const error = new ApiError(op, response, await readResponse("json", response).catch(() => undefined));
+    if (response.status === 401 && !retried && auth?.refresh && (await auth.refresh(error, op, client))) {
+      return send(op, params, body, options, true);
+    }
+    throw error;
+  }
+
+  /** Call any operation by "group.method" key, e.g. request("keyVault.listKeyVault", { tenant }) */
+  const request = (op, params = {}, body, options = {}) =>
+    send(typeof op === "string" ? OPERATIONS[op] : op, params || {}, body, options || {}, false);
+
+  const client = {
+    request,
+${groupCode.join("\n")}
+  };
+  return client;
+}
+${refreshCode}`;
+}
+
+function emitDts(spec, ops, types, refresh) {
+  const out = [
+    `// Generated by openapi-to-client.js from ${
+      spec.info?.title || "OpenAPI"
+    } ${spec.info?.version || ""}. Do not edit; regenerate instead.`,
+    "",
+    ...types.declarations().flatMap((d) => [d, ""]),
+  ];
+
+  for (const op of ops) {
+    if (op.paramsType) {
+      const lines = op.params.map((p) => {
+        const doc = p.description
+          ? `  /** ${docText(p.description).join(" ")} */\n`
+          : "";
+        return `${doc}  ${propKey(p.name)}${
+          p.required ? "" : "?"
+        }: ${types.toType(p.schema || { type: "string" }, "  ")};`;
+      });
+      out.push(
+        `export interface ${op.paramsType} {\n${lines.join("\n")}\n}`,
+        ""
+      );
+    }
+    if (op.body) {
+      const base =
+        op.body.kind === "raw" ? "Blob | string" : types.toType(op.body.schema);
+      const type =
+        op.body.kind === "multipart"
+          ? `FormData | ${base}`
+          : op.body.kind === "form"
+          ? `URLSearchParams | ${base}`
+          : base;
+      out.push(`export type ${op.body.type} = ${type};`, "");
+    }
+    const res =
+      op.response.kind === "void"
+        ? "void"
+        : op.response.kind === "blob"
+        ? "Blob"
+        : op.response.kind === "text"
+        ? "string"
+        : types.toType(op.response.schema);
+    out.push(`export type ${op.response.type} = ${res};`, "");
+  }
+
+  out.push(
+    `export interface OperationInfo {
+  id: string;
+  method: string;
+  path: string;
+  tag: string;
+  security: string[];
+}
+
+export interface AuthHook {
+  /** Headers to add to every request, e.g. { Authorization: "Bearer ..." } */
+  headers?(op: OperationInfo): Record<string, string> | Promise<Record<string, string>>;
+  /** Called once when a request gets a 401; resolve true to retry it */
+  refresh?(error: ApiError, op: OperationInfo, client: Client): boolean | Promise<boolean>;
+}
+
+export interface BearerAuthOptions {
+  accessToken?: string;
+${
+  refresh
+    ? "  refreshToken?: string;\n  onTokens?(tokens: { accessToken?: string; refreshToken?: string }): void;"
+    : "  refresh?(): string | undefined | null | Promise<string | undefined | null>;\n  onTokens?(tokens: { accessToken?: string }): void;"
+}
+}
+
+export interface RequestOptions {
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+}
+
+export interface ClientConfig {
+  /** Defaults to DEFAULT_BASE_URL (the spec's first server) */
+  baseUrl?: string;
+  fetch?: typeof fetch;
+  headers?: Record<string, string>;
+  auth?: AuthHook;
+}
+
+export declare class ApiError extends Error {
+  operation: OperationInfo;
+  response: Response;
+  status: number;
+  body: unknown;
+}
+
+export declare const DEFAULT_BASE_URL: string;
+`
+  );
+
+  const groups = new Map();
+  for (const op of ops) {
+    if (!groups.has(op.group)) groups.set(op.group, []);
+    groups.get(op.group).push(op);
+  }
+  const members = [...groups.entries()].map(([group, list]) => {
+    const methods = list.map((op) => {
+      const doc = operationDoc(op)
+        .map((l) => (l ? `     * ${l}` : "     *"))
+        .join("\n");
+      const optional = !op.params.some((p) => p.required);
+      const parts = [`params${optional ? "?" : ""}: ${op.paramsType || "{}"}`];
+      if (op.body) {
+        parts.push(
+          `body${op.body.required && !optional ? "" : "?"}: ${op.body.type}`
+        );
+      }
+      parts.push("options?: RequestOptions");
+      return `    /**\n${doc}\n     */\n    ${propKey(op.name)}(${parts.join(
+        ", "
+      )}): Promise<${op.response.type}>;`;
+    });
+    return `  ${propKey(group)}: {\n${methods.join("\n")}\n  };`;
+  });
+
+  out.push(
+    `export interface Client {
+  request(op: string, params?: object, body?: unknown, options?: RequestOptions): Promise<unknown>;
+${members.join("\n")}
+}
+
+export declare function createClient(config?: ClientConfig): Client;
+export declare function bearerAuth(options?: BearerAuthOptions): AuthHook;
+`
+  );
+  return out.join("\n");
+}
+
+// ---- Main ----
+function main() {
+  const absIn = path.resolve(process.cwd(), inputPath);
+  console.log(chalk.cyan("\nOpenAPI -> JS client"));
+  console.log(`Spec:   ${absIn}`);
+
+  let spec;
+  try {
+    spec = YAML.parse(fs.readFileSync(absIn, "utf8"));
+  } catch (err) {
+    console.error(chalk.red(`✖ Cannot read spec: ${err.message}`));
+    process.exit(1);
+  }
+  if (!spec?.paths) {
+    console.error(chalk.red("✖ Not an OpenAPI document (no paths)"));
+    process.exit(1);
+  }
+
+  const types = createTypeWriter(spec);
+  const ops = collectOperations(spec, types);
+  const found = findRefreshOperation(spec, ops);
+  const refresh = found?.unusable ? null : found;
+
+  const absOut = path.resolve(process.cwd(), outDir);
+  fs.mkdirSync(absOut, { recursive: true });
+  fs.writeFileSync(
+    path.join(absOut, "index.js"),
+    emitJs(spec, ops, refresh),
+    "utf8"
+  );
+  fs.writeFileSync(
+    path.join(absOut, "index.d.ts"),
+    emitDts(spec, ops, types, refresh),
+    "utf8"
+  );
+
+  const groups = new Set(ops.map((o) => o.group));
+  console.log(`Output: ${absOut}`);
+  console.log(
+    `${chalk.green("✔")} ${ops.length} operation(s) in ${
+      groups.size
+    } group(s), ${
+      Object.keys(spec.components?.schemas || {}).length
+    } schema type(s)`
+  );
+  console.log(
+    refresh
+      ? `Token refresh: ${refresh.op.method} ${refresh.op.route} (${refresh.op.group}.${refresh.op.name})`
+      : chalk.yellow(
+          found
+            ? `No token refresh through ${found.op.method} ${found.op.route}: ${found.unusable}; bearerAuth() takes a refresh() callback`
+            : "No refresh operation found; bearerAuth() takes a refresh() callback"
+        )
+  );
+  console.log("");
+}
+
+main();
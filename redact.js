@@ -0,0 +1,598 @@
+/**
+ * Secret / PII redaction shared by har-to-openapi.js and har_to_bodies.js
+ *
+ * Masks, before anything is written to a committed artifact:
+ * - configured header names (Authorization, Cookie, API key headers...)
+ * - JSON / form / query keys that hold secrets (password, token, secret, apiKey...)
+ * - values that look sensitive anywhere: JWTs, bearer tokens, emails, card numbers
+ * Base64 response bodies that hold text are decoded first and written back
+ * as plain text; secret numbers are replaced by numbers, so schemas keep
+ * their types. SSE, NDJSON, CSV and XML bodies are masked record by record
+ * (each `data:` block, line, column or element), and form bodies (urlencoded
+ * or multipart) field by field, keeping the wire format.
+ *
+ * The same original value always maps to the same placeholder within a run
+ * (e.g. "__REDACTED_JWT_1__"), so examples stay consistent across endpoints.
+ * Placeholders are URL-safe so they can stand in for path and query values.
+ */
+
+import { isNdjsonMime } from "./text-formats.js";
+
+export const DEFAULT_REDACT_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+  "api-key",
+  "x-auth-token",
+  "x-access-token",
+  "x-refresh-token",
+  "x-csrf-token",
+  "x-xsrf-token",
+];
+
+// Matched against the trailing words of a key, lowercased and joined
+// (refresh_token and refreshToken end in "token", x-api-key in "apikey");
+// tokens_count or side_panel do not match
+
+export const DEFAULT_REDACT_KEYS = [
+  "password",
+  "passwd",
+  "pwd",
+  "secret",
+  "token",
+  "apikey",
+  "authorization",
+  "cookie",
+  "sessionid",
+  "sid",
+  "credential",
+  "credentials",
+  "privatekey",
+  "otp",
+];
+
+const VALUE_PATTERNS = [
+  ["bearer", /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi],
+  ["jwt", /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g],
+  ["email", /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g],
+  ["card", /\b[2-6](?:[ -]?\d){12,18}\b/g],
+];
+
+const EMAIL_PLACEHOLDER_DOMAIN = "@example.invalid";
+
+/** A whole value that is a placeholder, e.g. "__REDACTED_KEY_1__". */
+export const REDACTED_PLACEHOLDER_RE = /^__REDACTED_[A-Z]+_\d+__$/;
+
+// Media types whose base64 bodies are bytes, not encoded text
+const BINARY_MIME_RE =
+  /^(image|audio|video|font)\/|^application\/(octet-stream|pdf|zip|gzip|x-protobuf|protobuf|wasm)/i;
+
+const CSV_MIME_TYPES = ["text/csv", "application/csv"];
+const TSV_MIME_TYPES = ["text/tab-separated-values"];
+
+function baseMimeType(mimeType) {
+  return (mimeType || "").split(";")[0].trim().toLowerCase();
+}
+
+function isXmlMime(mime) {
+  return (
+    mime === "application/xml" || mime === "text/xml" || /\+xml$/.test(mime)
+  );
+}
+
+/** Split one CSV / TSV line into its cells, quotes left as they were. */
+function splitDelimited(line, delimiter) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    if (c === delimiter && !quoted) {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+function normalizeKey(key) {
+  return String(key || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/** x-api-key, apiKey, XApiKey -> ["x", "api", "key"] */
+function keyWords(key) {
+  return String(key || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z])([A-Z][a-z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Text behind a base64 response body, or undefined when it is binary
+ * (by media type, or because it does not decode to UTF-8).
+ */
+function decodeBase64Text(content) {
+  if (BINARY_MIME_RE.test(content.mimeType || "")) return undefined;
+  const text = Buffer.from(content.text, "base64").toString("utf8");
+  return text.includes("\uFFFD") ? undefined : text;
+}
+
+function headerValue(headers, name) {
+  if (!Array.isArray(headers)) return undefined;
+  return headers.find((h) => String(h?.name).toLowerCase() === name)?.value;
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function safeJsonParse(str) {
+  try {
+    return JSON.parse(str);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Create a redactor. Extra header names / keys extend the defaults.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.headers] extra header names to mask
+ * @param {string[]} [options.keys] extra JSON/form/query keys to mask
+ * @param {boolean} [options.patterns=true] also scan values for JWTs, emails...
+ */
+export function createRedactor({
+  headers = [],
+  keys = [],
+  patterns = true,
+} = {}) {
+  const headerSet = new Set(
+    [...DEFAULT_REDACT_HEADERS, ...headers].map((h) => h.toLowerCase())
+  );
+  const keySet = new Set([...DEFAULT_REDACT_KEYS, ...keys].map(normalizeKey));
+
+  const placeholders = new Map(); // original value -> placeholder
+  const counters = {};
+  const findings = [];
+
+  function placeholderFor(kind, value) {
+    const id = `${kind}\u0000${value}`;
+    if (!placeholders.has(id)) {
+      counters[kind] = (counters[kind] || 0) + 1;
+      // Emails stay valid addresses so format inference still sees an email
+      placeholders.set(
+        id,
+        kind === "email"
+          ? `redacted-${counters[kind]}${EMAIL_PLACEHOLDER_DOMAIN}`
+          : `__REDACTED_${kind.toUpperCase()}_${counters[kind]}__`
+      );
+    }
+    return placeholders.get(id);
+  }
+
+  function record(kind, where, placeholder) {
+    findings.push({ kind, where, placeholder });
+  }
+
+  function isSecretKey(key) {
+    const words = keyWords(key);
+    return words.some((_, i) => keySet.has(words.slice(i).join("")));
+  }
+
+  function maskAll(kind, value, where) {
+    const placeholder = placeholderFor(kind, String(value));
+    record(kind, where, placeholder);
+    return placeholder;
+  }
+
+  /**
+   * Secret numbers (PINs, OTPs) stay numbers so the inferred type does not
+   * change: the same value always maps to the same small number.
+   */
+  function maskNumber(value, where) {
+    const id = `number\u0000${value}`;
+    if (!placeholders.has(id)) {
+      counters.number = (counters.number || 0) + 1;
+      placeholders.set(
+        id,
+        Number.isInteger(value) ? counters.number : counters.number + 0.5
+      );
+    }
+    const placeholder = placeholders.get(id);
+    record("key", where, String(placeholder));
+    return placeholder;
+  }
+
+  /** Replace sensitive substrings inside free text. */
+  function redactText(text, where) {
+    if (!patterns || typeof text !== "string" || !text) return text;
+    let out = text;
+    for (const [kind, re] of VALUE_PATTERNS) {
+      out = out.replace(re, (match) => {
+        if (match.endsWith(EMAIL_PLACEHOLDER_DOMAIN)) return match;
+        if (kind === "card") {
+          const digits = match.replace(/[ -]/g, "");
+          if (digits.length < 13 || !luhnValid(digits)) return match;
+        }
+        return maskAll(kind, match, where);
+      });
+    }
+    return out;
+  }
+
+  /** Deep-redact a parsed JSON value (objects, arrays, strings). */
+  function redactValue(value, where = "") {
+    if (Array.isArray(value)) {
+      return value.map((v, i) => redactValue(v, `${where}[${i}]`));
+    }
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) {
+        const at = where ? `${where}.${k}` : k;
+        if (!isSecretKey(k)) out[k] = redactValue(v, at);
+        else if (typeof v === "string") out[k] = maskAll("key", v, at);
+        else if (typeof v === "number") out[k] = maskNumber(v, at);
+        // booleans and null reveal nothing; objects are walked key by key
+        else out[k] = redactValue(v, at);
+      }
+      return out;
+    }
+    return typeof value === "string" ? redactText(value, where) : value;
+  }
+
+  /** Redact a HAR-style [{ name, value }] list (headers, cookies, params). */
+  function redactPairs(pairs, where, { byName } = {}) {
+    if (!Array.isArray(pairs)) return pairs;
+    return pairs.map((p) => {
+      if (!p || typeof p.value !== "string") return p;
+      const at = `${where}.${p.name}`;
+      const name = String(p.name || "").toLowerCase();
+      if (byName && headerSet.has(name)) {
+        return { ...p, value: maskHeaderValue(name, p.value, at) };
+      }
+      if (isSecretKey(p.name)) {
+        return { ...p, value: maskAll("key", p.value, at) };
+      }
+      return { ...p, value: redactText(p.value, at) };
+    });
+  }
+
+  /**
+   * Mask a sensitive header but keep what is needed to document it:
+   * the auth scheme ("Bearer <masked>") and cookie names ("sid=<masked>").
+   */
+  function maskHeaderValue(name, value, at) {
+    if (name === "authorization" || name === "proxy-authorization") {
+      const m = value.match(/^(\S+)\s+(.+)$/);
+      if (m) {
+        const kind = /^eyJ[\w-]+\.[\w-]+\./.test(m[2]) ? "jwt" : "header";
+        return `${m[1]} ${maskAll(kind, m[2], at)}`;
+      }
+    }
+    if (name === "cookie") {
+      return value
+        .split(";")
+        .map((pair) => {
+          const [k, ...rest] = pair.trim().split("=");
+          return rest.length
+            ? `${k}=${maskAll("cookie", rest.join("="), `${at}.${k}`)}`
+            : pair.trim();
+        })
+        .join("; ");
+    }
+    if (name === "set-cookie") {
+      // Only the value is secret; keep the name and attributes (Path, HttpOnly...)
+      return value.replace(
+        /^([^=;]+)=([^;]*)/,
+        (_, k, v) => `${k}=${maskAll("cookie", v, `${at}.${k}`)}`
+      );
+    }
+    return maskAll("header", value, at);
+  }
+
+  function maskCookies(cookies, where) {
+    if (!Array.isArray(cookies)) return cookies;
+    return cookies.map((c) =>
+      c && typeof c.value === "string"
+        ? { ...c, value: maskAll("cookie", c.value, `${where}.${c.name}`) }
+        : c
+    );
+  }
+
+  function redactUrl(url, where) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch {
+      return redactText(url, where);
+    }
+    for (const [name, value] of Array.from(u.searchParams.entries())) {
+      const at = `${where}?${name}`;
+      const masked = isSecretKey(name)
+        ? maskAll("key", value, at)
+        : redactText(value, at);
+      if (masked !== value) u.searchParams.set(name, masked);
+    }
+    // Path segments can carry emails or tokens too
+    u.pathname = redactText(u.pathname, `${where} path`);
+    return u.href;
+  }
+
+  /** SSE: each `data:` line is a body of its own, usually JSON. */
+  function redactEventStream(text, where) {
+    return text
+      .split(/(\r?\n)/)
+      .map((line) => {
+        const m = line.match(/^data:( ?)(.*)$/);
+        return m
+          ? `data:${m[1]}${redactBody(m[2], `${where} data`)}`
+          : redactText(line, where);
+      })
+      .join("");
+  }
+
+  /** NDJSON: one JSON value per line. */
+  function redactLines(text, where) {
+    let i = 0;
+    return text
+      .split(/(\r?\n)/)
+      .map((line) =>
+        line.trim() ? redactBody(line, `${where}[${i++}]`) : line
+      )
+      .join("");
+  }
+
+  /** CSV / TSV: cells under a secret-named header column are masked. */
+  function redactDelimited(text, where, delimiter) {
+    const lines = text.split(/(\r?\n)/);
+    const header = splitDelimited(lines[0], delimiter).map((h) =>
+      h.trim().replace(/^"(.*)"$/, "$1")
+    );
+    const secret = header.map((h) => isSecretKey(h));
+    if (!secret.some(Boolean)) return redactText(text, where);
+    return lines
+      .map((line, n) => {
+        if (n === 0 || !line.trim()) return line;
+        return splitDelimited(line, delimiter)
+          .map((cell, i) =>
+            secret[i] && cell.trim()
+              ? maskAll(
+                  "key",
+                  cell.replace(/^"(.*)"$/, "$1"),
+                  `${where}.${header[i]}`
+                )
+              : redactText(cell, where)
+          )
+          .join(delimiter);
+      })
+      .join("");
+  }
+
+  /** XML: secret-named attributes and leaf elements are masked. */
+  function redactXml(text, where) {
+    const local = (name) => name.split(":").pop();
+    const withAttrs = text.replace(/<[A-Za-z][^>]*>/g, (tag) =>
+      tag.replace(
+        /(\s)([\w.:-]+)(\s*=\s*)(["'])([^"']*)\4/g,
+        (m, sp, name, eq, q, value) =>
+          isSecretKey(local(name)) && value
+            ? `${sp}${name}${eq}${q}${maskAll(
+                "key",
+                value,
+                `${where}.@${local(name)}`
+              )}${q}`
+            : m
+      )
+    );
+    const withElements = withAttrs.replace(
+      /<([\w.:-]+)(\s[^>]*)?>([^<]+)<\/\1\s*>/g,
+      (m, name, attrs = "", value) =>
+        isSecretKey(local(name)) && value.trim()
+          ? `<${name}${attrs}>${maskAll(
+              "key",
+              value,
+              `${where}.${local(name)}`
+            )}</${name}>`
+          : m
+    );
+    return redactText(withElements, where);
+  }
+
+  /** urlencoded forms: like a query string, secret-named fields masked. */
+  function redactUrlencoded(text, where) {
+    return text
+      .split("&")
+      .map((pair) => {
+        const i = pair.indexOf("=");
+        if (i === -1) return redactText(pair, where);
+        const raw = pair.slice(0, i);
+        let name = raw;
+        try {
+          name = decodeURIComponent(raw.replace(/\+/g, " "));
+        } catch {
+          // keep the raw name
+        }
+        const value = pair.slice(i + 1);
+        const at = `${where}.${name}`;
+        return `${raw}=${
+          isSecretKey(name) && value
+            ? maskAll("key", value, at)
+            : redactText(value, at)
+        }`;
+      })
+      .join("&");
+  }
+
+  /**
+   * Multipart forms: each part is redacted on its own, secret-named fields
+   * masked whole, the way postData.params are. File parts are only
+   * pattern-scanned.
+   */
+  function redactMultipart(text, where, mimeType) {
+    const m = (mimeType || "").match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+    const boundary = m ? m[1] || m[2] : text.match(/^--([^\r\n]+)/)?.[1];
+    if (!boundary) return redactText(text, where);
+    const delimiter = `--${boundary}`;
+    return text
+      .split(delimiter)
+      .map((chunk) => {
+        const sep = chunk.match(/\r?\n\r?\n/);
+        if (!sep) return chunk; // preamble, closing "--"
+        const head = chunk.slice(0, sep.index + sep[0].length);
+        const rest = chunk.slice(head.length);
+        const value = rest.replace(/\r?\n$/, "");
+        const name = head.match(/\bname="([^"]*)"/i)?.[1];
+        const at = `${where}.${name}`;
+        let masked;
+        if (/\bfilename="/i.test(head)) {
+          masked = redactText(value, at);
+        } else if (name !== undefined && isSecretKey(name) && value) {
+          masked = maskAll("key", value, at);
+        } else {
+          masked = redactBody(
+            value,
+            at,
+            head.match(/^content-type:\s*(.+)$/im)?.[1]
+          );
+        }
+        return head + masked + rest.slice(value.length);
+      })
+      .join(delimiter);
+  }
+
+  /**
+   * Redact a body: JSON is parsed and key-aware; SSE, NDJSON, CSV and XML
+   * (by media type) are masked record by record, forms field by field;
+   * other text is pattern-scanned.
+   */
+  function redactBody(text, where, mimeType) {
+    if (typeof text !== "string" || !text) return text;
+    const parsed = safeJsonParse(text);
+    if (parsed !== undefined && typeof parsed === "object" && parsed !== null) {
+      return JSON.stringify(redactValue(parsed, where));
+    }
+    const mime = baseMimeType(mimeType);
+    if (mime === "text/event-stream") return redactEventStream(text, where);
+    if (isNdjsonMime(mime)) return redactLines(text, where);
+    if (CSV_MIME_TYPES.includes(mime)) {
+      return redactDelimited(text, where, ",");
+    }
+    if (TSV_MIME_TYPES.includes(mime)) {
+      return redactDelimited(text, where, "\t");
+    }
+    if (isXmlMime(mime)) return redactXml(text, where);
+    if (mime === "multipart/form-data") {
+      return redactMultipart(text, where, mimeType);
+    }
+    if (mime === "application/x-www-form-urlencoded") {
+      return redactUrlencoded(text, where);
+    }
+    return redactText(text, where);
+  }
+
+  /**
+   * Return a redacted copy of a HAR entry: URL, query string, headers,
+   * cookies, request body and response body / headers.
+   */
+  function redactEntry(entry) {
+    if (!entry?.request) return entry;
+    const req = entry.request;
+    const res = entry.response;
+    const method = String(req.method || "GET").toUpperCase();
+    // Label findings with the redacted URL so the report leaks nothing
+    const url = redactUrl(req.url || "", `${method} url`);
+    const label = `${method} ${url}`;
+
+    const out = { ...entry, request: { ...req, url } };
+    out.request.queryString = redactPairs(req.queryString, `${label} query`);
+    out.request.headers = redactPairs(req.headers, `${label} request.headers`, {
+      byName: true,
+    });
+    out.request.cookies = maskCookies(req.cookies, `${label} request.cookies`);
+    if (req.postData) {
+      out.request.postData = {
+        ...req.postData,
+        text: redactBody(
+          req.postData.text,
+          `${label} request.body`,
+          req.postData.mimeType || headerValue(req.headers, "content-type")
+        ),
+        params: redactPairs(req.postData.params, `${label} request.body`),
+      };
+    }
+
+    if (res) {
+      out.response = {
+        ...res,
+        headers: redactPairs(res.headers, `${label} response.headers`, {
+          byName: true,
+        }),
+        cookies: maskCookies(res.cookies, `${label} response.cookies`),
+      };
+      // Base64 text is decoded so it is redacted like any other body;
+      // binary content carries no readable secrets and stays encoded
+      const content = res.content;
+      const where = `${label} response.body`;
+      const mime =
+        content?.mimeType || headerValue(res.headers, "content-type");
+      if (content?.encoding === "base64" && typeof content.text === "string") {
+        const text = decodeBase64Text(content);
+        if (text !== undefined) {
+          const { encoding, ...rest } = content;
+          out.response.content = {
+            ...rest,
+            text: redactBody(text, where, mime),
+          };
+        }
+      } else if (content) {
+        out.response.content = {
+          ...content,
+          text: redactBody(content.text, where, mime),
+        };
+      }
+    }
+    return out;
+  }
+
+  return {
+    redactEntry,
+    redactValue,
+    redactText,
+    redactBody,
+    redactUrl,
+    findings,
+  };
+}
+
+/**
+ * Group findings for a --redact-report: one line per location.
+ */
+export function formatRedactReport(findings) {
+  const byKind = {};
+  for (const f of findings) byKind[f.kind] = (byKind[f.kind] || 0) + 1;
+  const lines = [
+    `Redacted values: ${findings.length}`,
+    ...Object.entries(byKind).map(([k, n]) => `  ${k}: ${n}`),
+    ...findings.map((f) => `  ${f.placeholder}  ${f.where}`),
+  ];
+  return lines.join("\n");
+}
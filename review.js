@@ -0,0 +1,192 @@
+/**
+ * Interactive endpoint review for har-to-openapi.js (--review)
+ *
+ * Walks every detected endpoint in the terminal: accept or skip it, rename
+ * the path template and its parameters, set tag / summary / deprecated and
+ * pick the canonical example. Decisions go to a sidecar JSON file that every
+ * later run replays, with or without --review:
+ *
+ *   {
+ *     "version": 1,
+ *     "endpoints": {
+ *       "GET /api/v1/vanij/gateway/{gatewayId}/copilot/{copilotId}": {
+ *         "action": "accept",
+ *         "path": "/api/v1/vanij/gateway/{tenantId}/copilot/{chatId}",
+ *         "tag": "copilot",
+ *         "summary": "Open a copilot chat",
+ *         "deprecated": true,
+ *         "example": "2024-05-01T10:00:00.000Z"
+ *       },
+ *       "GET /api/v1/vanij/gateway/backend/session": { "action": "skip" }
+ *     }
+ *   }
+ *
+ * Keys are the endpoints as detected (METHOD + generated template), so a
+ * decision keeps applying while the heuristics produce the same template.
+ * `example` is the startedDateTime of the chosen HAR entry.
+ */
+
+import fs from "fs";
+import readline from "readline/promises";
+import chalk from "chalk";
+
+const SIDECAR_VERSION = 1;
+
+/**
+ * Read saved decisions. A missing file means no decisions yet.
+ */
+export function loadReviewDecisions(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid review file ${filePath}: ${err.message}`);
+  }
+  return parsed?.endpoints && typeof parsed.endpoints === "object"
+    ? parsed.endpoints
+    : {};
+}
+
+export function saveReviewDecisions(filePath, decisions) {
+  const endpoints = Object.fromEntries(
+    Object.keys(decisions)
+      .sort()
+      .map((k) => [k, decisions[k]])
+  );
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify({ version: SIDECAR_VERSION, endpoints }, null, 2) + "\n",
+    "utf8"
+  );
+}
+
+function templateParams(template) {
+  return (template.match(/\{[^}]+\}/g) || []).map((p) => p.slice(1, -1));
+}
+
+function segmentCount(template) {
+  return template.split("/").filter(Boolean).length;
+}
+
+function preview(value, width = 70) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  const flat = String(text ?? "").replace(/\s+/g, " ");
+  return flat.length > width ? `${flat.slice(0, width - 1)}…` : flat;
+}
+
+/**
+ * Ask about each endpoint and return the updated decisions (the input
+ * object is not modified). `endpoints` come from a dry pass over the HAR:
+ *   [{ key, method, normalizedPath, tag, summary, count,
+ *      examples: [{ id, status, body }] }]
+ * "q" stops early; endpoints not reached keep their previous decision.
+ */
+export async function runReview(endpoints, decisions, { output } = {}) {
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    throw new Error("--review needs an interactive terminal");
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  const ask = async (question, fallback = "") => {
+    const answer = (
+      await rl.question(`  ${question} ${chalk.gray(`[${fallback}]`)}: `)
+    ).trim();
+    return answer || fallback;
+  };
+
+  const out = { ...decisions };
+  console.log(
+    chalk.cyan(
+      `Reviewing ${endpoints.length} endpoint(s); decisions are saved to ${output}`
+    )
+  );
+
+  try {
+    for (let i = 0; i < endpoints.length; i++) {
+      const ep = endpoints[i];
+      const prev = out[ep.key] || {};
+      console.log("");
+      console.log(
+        chalk.white(`[${i + 1}/${endpoints.length}] ${ep.key}`) +
+          chalk.gray(
+            `  (${ep.count} call${ep.count === 1 ? "" : "s"}, tag ${ep.tag})`
+          )
+      );
+      if (prev.action) {
+        console.log(chalk.gray(`  previous: ${JSON.stringify(prev)}`));
+      }
+
+      const choice = (
+        await ask("[a]ccept, [s]kip, [e]dit, [q]uit", prev.action?.[0] || "a")
+      ).toLowerCase();
+      if (choice.startsWith("q")) break;
+      if (choice.startsWith("s")) {
+        out[ep.key] = { action: "skip" };
+        continue;
+      }
+      if (!choice.startsWith("e")) {
+        out[ep.key] = { ...prev, action: "accept" };
+        continue;
+      }
+
+      const decision = { action: "accept" };
+
+      let template = ep.normalizedPath;
+      for (;;) {
+        template = await ask("Path template", prev.path || ep.normalizedPath);
+        if (segmentCount(template) === segmentCount(ep.normalizedPath)) break;
+        console.log(
+          chalk.yellow(
+            `  Keep ${segmentCount(
+              ep.normalizedPath
+            )} segments so captured values still line up`
+          )
+        );
+      }
+      for (const name of templateParams(template)) {
+        const renamed = await ask(`Parameter {${name}} name`, name);
+        if (renamed !== name) {
+          template = template.replace(`{${name}}`, `{${renamed}}`);
+        }
+      }
+      if (template !== ep.normalizedPath) decision.path = template;
+
+      const tag = await ask("Tag", prev.tag || ep.tag);
+      if (tag !== ep.tag) decision.tag = tag;
+
+      const summary = await ask("Summary", prev.summary || ep.summary);
+      if (summary !== ep.summary) decision.summary = summary;
+
+      const deprecated = await ask(
+        "Deprecated? (y/n)",
+        prev.deprecated ? "y" : "n"
+      );
+      if (deprecated.toLowerCase().startsWith("y")) decision.deprecated = true;
+
+      if (ep.examples.length > 1) {
+        console.log("  Examples:");
+        ep.examples.forEach((x, n) =>
+          console.log(`    ${n + 1}) ${x.status} ${preview(x.body)}`)
+        );
+        const current = ep.examples.findIndex((x) => x.id === prev.example);
+        const picked = Number(
+          await ask(
+            "Canonical example",
+            String(current === -1 ? 1 : current + 1)
+          )
+        );
+        const chosen = ep.examples[picked - 1];
+        if (chosen && picked !== 1) decision.example = chosen.id;
+      }
+
+      out[ep.key] = decision;
+    }
+  } finally {
+    rl.close();
+  }
+  return out;
+}
@@ -0,0 +1,262 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import YAML from "yaml";
+import { createCaptureReader, detectCaptureFormat } from "../capture-input.js";
+import { harEntry, runScript, tmpDir, writeHar } from "./helpers.js";
+
+async function readAll(file) {
+  const reader = createCaptureReader(file);
+  const entries = [];
+  for await (const e of reader.entries()) entries.push(e);
+  return { reader, entries };
+}
+
+function write(dir, name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+// mitmproxy's serialisation: length, colon, data, type marker
+function tnetstring(value) {
+  const wrap = (data, type) =>
+    Buffer.concat([Buffer.from(`${data.length}:`), data, Buffer.from(type)]);
+  if (Buffer.isBuffer(value)) return wrap(value, ",");
+  if (typeof value === "string") return wrap(Buffer.from(value), ";");
+  if (typeof value === "number") return wrap(Buffer.from(String(value)), "#");
+  if (typeof value === "boolean") return wrap(Buffer.from(String(value)), "!");
+  if (value === null) return wrap(Buffer.alloc(0), "~");
+  if (Array.isArray(value)) {
+    return wrap(Buffer.concat(value.map(tnetstring)), "]");
+  }
+  return wrap(
+    Buffer.concat(
+      Object.entries(value).flatMap(([k, v]) => [tnetstring(k), tnetstring(v)])
+    ),
+    "}"
+  );
+}
+
+const FLOW = {
+  type: "http",
+  request: {
+    method: Buffer.from("POST"),
+    scheme: Buffer.from("https"),
+    host: "example.test",
+    port: 443,
+    path: Buffer.from("/api/orders?page=2"),
+    http_version: Buffer.from("HTTP/1.1"),
+    headers: [[Buffer.from("content-type"), Buffer.from("application/json")]],
+    content: Buffer.from('{"qty":2}'),
+    timestamp_start: 1759312800,
+  },
+  response: {
+    status_code: 201,
+    reason: Buffer.from("Created"),
+    headers: [[Buffer.from("content-type"), Buffer.from("application/json")]],
+    content: zlib.gzipSync('{"id":7}'),
+    timestamp_end: 1759312800.25,
+  },
+};
+FLOW.response.headers.push([
+  Buffer.from("content-encoding"),
+  Buffer.from("gzip"),
+]);
+
+test("curl commands become entries without a response", async () => {
+  const dir = tmpDir();
+  const file = write(
+    dir,
+    "calls.txt",
+    [
+      "# copied from devtools",
+      "curl 'https://example.test/api/orders/12?page=2' \\",
+      "  -H 'content-type: application/json' \\",
+      `  --data-raw $'{"name":"it\\'s"}'`,
+      'curl -X DELETE "https://example.test/api/orders/12" -u user:pass',
+    ].join("\n")
+  );
+  const { reader, entries } = await readAll(file);
+  assert.equal(reader.format, "curl");
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].request.method, "POST");
+  assert.deepEqual(entries[0].request.queryString, [
+    { name: "page", value: "2" },
+  ]);
+  assert.equal(entries[0].request.postData.text, `{"name":"it's"}`);
+  assert.equal(entries[0].response.status, 0);
+  assert.equal(entries[1].request.method, "DELETE");
+  assert.ok(
+    entries[1].request.headers.some(
+      (h) => h.name.toLowerCase() === "authorization" && /^Basic /.test(h.value)
+    )
+  );
+});
+
+test("JSONL records in either shape are read, blank lines skipped", async () => {
+  const dir = tmpDir();
+  const file = write(
+    dir,
+    "requests.jsonl",
+    [
+      JSON.stringify({
+        timestamp: "2026-10-01T10:00:00Z",
+        method: "POST",
+        url: "/api/orders",
+        host: "example.test",
+        headers: { "Content-Type": "application/json" },
+        body: { name: "a" },
+        status: 201,
+        response_body: { id: 1 },
+      }),
+      "",
+      JSON.stringify({
+        request: { method: "GET", url: "https://example.test/api/orders/1" },
+        response: { status: 200, body: '{"id":1}' },
+      }),
+    ].join("\n")
+  );
+  const { reader, entries } = await readAll(file);
+  assert.equal(reader.format, "jsonl");
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].request.url, "https://example.test/api/orders");
+  assert.equal(entries[0].response.status, 201);
+  assert.equal(entries[1].response.content.text, '{"id":1}');
+});
+
+test("an empty JSONL file yields no entries", async () => {
+  const dir = tmpDir();
+  const { reader, entries } = await readAll(write(dir, "empty.jsonl", ""));
+  assert.equal(reader.format, "jsonl");
+  assert.equal(entries.length, 0);
+});
+
+test("access log lines keep their status and path-only URL", async () => {
+  const dir = tmpDir();
+  const file = write(
+    dir,
+    "access.log",
+    '203.0.113.7 - - [10/Oct/2025:13:55:36 -0700] "GET /api/orders/17?page=1 HTTP/1.1" 200 2326 "-" "curl/8.0"\n'
+  );
+  const { reader, entries } = await readAll(file);
+  assert.equal(reader.format, "access-log");
+  assert.equal(entries[0].request.url, "/api/orders/17?page=1");
+  assert.equal(entries[0].response.status, 200);
+  assert.equal(entries[0].startedDateTime, "2025-10-10T20:55:36.000Z");
+});
+
+test("mitmproxy flows are decoded, gzipped or not", async () => {
+  const dir = tmpDir();
+  const flows = Buffer.concat([tnetstring(FLOW), tnetstring(FLOW)]);
+  for (const file of [
+    write(dir, "flows", flows),
+    write(dir, "flows.gz", zlib.gzipSync(flows)),
+  ]) {
+    const { reader, entries } = await readAll(file);
+    assert.equal(reader.format, "mitmproxy");
+    assert.equal(entries.length, 2);
+    const [e] = entries;
+    assert.equal(e.request.url, "https://example.test/api/orders?page=2");
+    assert.equal(e.request.postData.text, '{"qty":2}');
+    assert.equal(e.response.status, 201);
+    assert.equal(e.response.content.text, '{"id":7}');
+    assert.equal(e.time, 250);
+  }
+});
+
+test("JSON documents that are not HARs are not taken for one", () => {
+  const dir = tmpDir();
+  const spec = write(
+    dir,
+    "spec.json",
+    JSON.stringify({ openapi: "3.0.3", paths: {} }, null, 2)
+  );
+  assert.throws(() => detectCaptureFormat(spec), /Unrecognised capture/);
+  const har = write(
+    dir,
+    "pretty.har",
+    JSON.stringify({ log: { version: "1.2", entries: [] } }, null, 2)
+  );
+  assert.equal(detectCaptureFormat(har), "har");
+});
+
+function generate(dir, harFile, env = {}) {
+  const out = path.join(dir, "openapi.yaml");
+  const run = runScript("har-to-openapi.js", {
+    cwd: dir,
+    env: {
+      HAR_FILE: harFile,
+      BASE_PATH: "/api",
+      OUTPUT_SWAGGER: out,
+      ...env,
+    },
+  });
+  const spec = fs.existsSync(out)
+    ? YAML.parse(fs.readFileSync(out, "utf8"))
+    : null;
+  return { ...run, spec };
+}
+
+test("calls captured without a response are not documented as 200", () => {
+  const dir = tmpDir();
+  const file = write(
+    dir,
+    "calls.curl",
+    "curl 'https://example.test/api/orders' -X DELETE\n"
+  );
+  const { code, spec } = generate(dir, file);
+  assert.equal(code, 0);
+  assert.deepEqual(spec.paths["/api/orders"].delete.responses, {
+    default: { description: "No response captured" },
+  });
+  assert.equal(spec.servers[0].url, "https://example.test");
+});
+
+test("path-only URLs do not invent a server", () => {
+  const dir = tmpDir();
+  const file = write(
+    dir,
+    "access.log",
+    '203.0.113.7 - - [10/Oct/2025:13:55:36 -0700] "GET /api/orders HTTP/1.1" 204 0\n'
+  );
+  const { code, stdout, spec } = generate(dir, file);
+  assert.equal(code, 0);
+  assert.equal(spec.servers, undefined);
+  assert.match(stdout, /1 call\(s\) were captured without an origin/);
+  assert.equal(
+    spec.paths["/api/orders"].get.responses["204"].description,
+    "No Content (captured from HAR)"
+  );
+
+  const explicit = generate(dir, file, { SERVER_URL: "https://example.test" });
+  assert.deepEqual(explicit.spec.servers, [{ url: "https://example.test" }]);
+  assert.doesNotMatch(explicit.stdout, /without an origin/);
+});
+
+test("a HAR_FILE directory skips files that are not captures", () => {
+  const dir = tmpDir();
+  const captures = path.join(dir, "captures");
+  fs.mkdirSync(captures);
+  writeHar(
+    captures,
+    [harEntry({ url: "https://example.test/api/items", responseBody: {} })],
+    "a.har"
+  );
+  write(captures, "README.txt", "Captures from the staging run.\n");
+  write(captures, "old-spec.json", JSON.stringify({ openapi: "3.0.3" }));
+  write(
+    captures,
+    "staging.review.json",
+    JSON.stringify({ "GET /api/items": { action: "accept" } }, null, 2)
+  );
+  const { code, stdout, spec } = generate(dir, captures);
+  assert.equal(code, 0);
+  assert.match(stdout, /Skipping .*README\.txt/);
+  assert.match(stdout, /Skipping .*old-spec\.json/);
+  assert.match(stdout, /Skipping .*staging\.review\.json/);
+  assert.doesNotMatch(stdout, /Skipping .*a\.har/);
+  assert.ok(spec.paths["/api/items"]);
+});
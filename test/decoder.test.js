@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { loadDecoder, decodeEntry } from "../decoder.js";
+import { harEntry, tmpDir } from "./helpers.js";
+
+const wrap = (obj) => ({
+  Data: Buffer.from(JSON.stringify(obj)).toString("base64"),
+});
+
+function writeDecoder(source) {
+  const file = path.join(tmpDir(), "decoder.mjs");
+  fs.writeFileSync(file, source);
+  return file;
+}
+
+const unwrap = `(body) => JSON.parse(Buffer.from(body.Data, "base64").toString())`;
+
+for (const [kind, source] of [
+  ["sync", `export const decodeRequest = ${unwrap};`],
+  [
+    "async",
+    `export const decodeRequest = async (body) => (${unwrap})(body);
+     export const decodeResponse = async (body) => (${unwrap})(body);`,
+  ],
+]) {
+  test(`${kind} decoders decode bodies and set the variant`, async () => {
+    const decoder = await loadDecoder(
+      writeDecoder(`export const discriminator = "action";\n${source}`)
+    );
+    const entry = harEntry({
+      method: "POST",
+      url: "https://example.test/api/secure_api",
+      requestBody: wrap({ action: "getUser", id: 7 }),
+      responseBody: wrap({ name: "x" }),
+    });
+    const out = await decodeEntry(entry, decoder);
+    assert.deepEqual(JSON.parse(out.request.postData.text), {
+      action: "getUser",
+      id: 7,
+    });
+    assert.equal(out._variant, "getUser");
+    if (kind === "async") {
+      assert.deepEqual(JSON.parse(out.response.content.text), { name: "x" });
+    }
+    assert.deepEqual(decoder.stats, { decoded: 1, failed: 0 });
+  });
+}
+
+test("a decoder that throws keeps the captured entry", async () => {
+  const decoder = await loadDecoder(
+    writeDecoder(
+      `export const decodeRequest = async () => { throw new Error("bad key"); };`
+    )
+  );
+  const entry = harEntry({
+    method: "POST",
+    url: "https://example.test/api/secure_api",
+    requestBody: wrap({ a: 1 }),
+  });
+  assert.equal(await decodeEntry(entry, decoder), entry);
+  assert.deepEqual(decoder.stats, { decoded: 0, failed: 1 });
+});
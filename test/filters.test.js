@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateSpec, harEntry } from "./helpers.js";
+
+const call = (url) => harEntry({ url, responseBody: { ok: true } });
+
+test("host and path globs filter entries, excludes first", () => {
+  const { code, spec, stderr, stdout } = generateSpec(
+    [
+      call("https://app.example.test/api/orders"),
+      call("https://www.google-analytics.com/api/collect"),
+      call("https://app.example.test/api/internal/debug"),
+      call("https://app.example.test/api/internal/jobs/1"),
+      call("https://cdn.other.test/api/assets"),
+    ],
+    {
+      INCLUDE_HOSTS: "*.example.test,*.google-analytics.com",
+      EXCLUDE_HOSTS: "*.google-analytics.com",
+      EXCLUDE_PATHS: "/api/internal/**",
+    }
+  );
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(Object.keys(spec.paths), ["/api/orders"]);
+  assert.match(stdout, /Skipped \(host filter\): +2/);
+  assert.match(stdout, /Skipped \(path filter\): +2/);
+});
+
+test("INCLUDE_PATHS keeps only matching paths", () => {
+  const { code, spec, stderr } = generateSpec(
+    [
+      call("https://example.test/api/orders/1/items"),
+      call("https://example.test/api/orders"),
+      call("https://example.test/api/users"),
+    ],
+    { INCLUDE_PATHS: "/api/orders/*/items" }
+  );
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(Object.keys(spec.paths), ["/api/orders/{orderId}/items"]);
+});
+
+test("servers come from the origins seen, one-label differences templated", () => {
+  const { code, spec, stderr } = generateSpec(
+    [
+      call("https://vanij.adya.ai/api/orders"),
+      call("https://vanij.adya.ai/api/orders"),
+      call("https://vanijprod.adya.ai/api/items"),
+      call("https://other.example.test/api/users"),
+    ],
+    { SERVER_URL: "" }
+  );
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(spec.servers, [
+    {
+      url: "https://{subdomain}.adya.ai",
+      description: "Captured from HAR (3 requests)",
+      variables: {
+        subdomain: { default: "vanij", enum: ["vanij", "vanijprod"] },
+      },
+    },
+    {
+      url: "https://other.example.test",
+      description: "Captured from HAR (1 request)",
+    },
+  ]);
+});
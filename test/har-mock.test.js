@@ -0,0 +1,132 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { spawn } from "child_process";
+import { ROOT, harEntry, tmpDir, writeHar } from "./helpers.js";
+
+// Start har-mock.js and resolve once it listens; stop() kills it
+function startMock(entries, env = {}, args = []) {
+  const dir = tmpDir();
+  const har = writeHar(dir, entries);
+  const child = spawn(
+    process.execPath,
+    [path.join(ROOT, "har-mock.js"), "-i", har, "--port", "0", ...args],
+    { cwd: dir, env: { ...process.env, FORCE_COLOR: "0", ...env } }
+  );
+  let output = "";
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`har-mock did not start:\n${output}`));
+    }, 30000);
+    const onData = (d) => {
+      output += d;
+      const listening = output.match(/Listening on (http:\/\/\S+)/);
+      if (listening) {
+        clearTimeout(timer);
+        resolve({
+          url: listening[1],
+          stop: () => child.kill(),
+        });
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", () => {
+      clearTimeout(timer);
+      reject(new Error(`har-mock exited:\n${output}`));
+    });
+  });
+}
+
+test("learned routes only come from calls under BASE_PATH", async () => {
+  // Three short top-level segments with the same shape would collapse into
+  // one parameter if traffic outside BASE_PATH were learned from
+  const entries = ["api", "cdn", "web"].map((top) =>
+    harEntry({
+      url: `https://example.test/${top}/status`,
+      responseBody: { ok: top },
+    })
+  );
+  const mock = await startMock(entries, {
+    BASE_PATH: "/api",
+    PATH_TEMPLATING: "learned",
+  });
+  try {
+    const res = await fetch(`${mock.url}/api/status`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-mock-endpoint"), "GET /api/status");
+    assert.deepEqual(await res.json(), { ok: "api" });
+  } finally {
+    mock.stop();
+  }
+});
+
+test("recorded responses are served by best match", async () => {
+  const mock = await startMock([
+    harEntry({
+      url: "https://example.test/api/items/1",
+      responseBody: { id: 1 },
+    }),
+    harEntry({
+      url: "https://example.test/api/items/2",
+      responseBody: { id: 2 },
+    }),
+  ]);
+  try {
+    const res = await fetch(`${mock.url}/api/items/2`);
+    assert.equal(res.headers.get("x-mock-endpoint"), "GET /api/items/{itemId}");
+    assert.deepEqual(await res.json(), { id: 2 });
+    assert.equal((await fetch(`${mock.url}/api/nothing`)).status, 404);
+  } finally {
+    mock.stop();
+  }
+});
+
+test("--stateful lists report the items they hold", async () => {
+  const base = "https://example.test/api/t1/component/key_vault";
+  const mock = await startMock(
+    [
+      harEntry({
+        method: "POST",
+        url: `${base}/list`,
+        requestBody: {},
+        responseBody: { data: [], page: { total: 0, totalPages: 0, size: 10 } },
+      }),
+      harEntry({
+        method: "POST",
+        url: `${base}/create`,
+        requestBody: { name: "a" },
+        responseBody: {
+          success: true,
+          data: { id: "652f1a2b3c4d5e6f7a8b9c0d", name: "a" },
+          page: { total: 0 },
+        },
+      }),
+    ],
+    {},
+    ["--stateful"]
+  );
+  try {
+    const post = (action, body) =>
+      fetch(`${mock.url}/api/t1/component/key_vault/${action}`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(body),
+      }).then((r) => r.json());
+    const created = await post("create", { name: "x" });
+    await post("create", { name: "y" });
+    assert.equal(created.success, true);
+    assert.equal(created.data.name, "x");
+    assert.equal(created.page, undefined);
+
+    const list = await post("list", {});
+    assert.deepEqual(
+      list.data.map((x) => x.name),
+      ["x", "y"]
+    );
+    assert.deepEqual(list.page, { total: 2, totalPages: 1, size: 10 });
+  } finally {
+    mock.stop();
+  }
+});
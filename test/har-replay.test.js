@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { harEntry, runScriptAsync, tmpDir, writeHar } from "./helpers.js";
+
+// Serves what the live API would return now, by path
+function startServer(routes) {
+  const server = http.createServer((req, res) => {
+    const body = routes[req.url.split("?")[0]];
+    res.writeHead(body ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body || { error: "not found" }));
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server))
+  );
+}
+
+test("replay passes matching shapes and fails changed ones", async () => {
+  const dir = tmpDir();
+  const har = writeHar(dir, [
+    harEntry({
+      url: "https://example.test/api/a",
+      responseBody: { id: 1, name: "x" },
+    }),
+    harEntry({ url: "https://example.test/api/b", responseBody: { id: 1 } }),
+  ]);
+  const server = await startServer({
+    "/api/a": { id: 2, name: "y" },
+    "/api/b": { id: "now a string" },
+  });
+  try {
+    const report = path.join(dir, "report.json");
+    const { code, stdout, stderr } = await runScriptAsync("har-replay.js", {
+      cwd: dir,
+      args: [
+        "-i",
+        har,
+        "--base-url",
+        `http://127.0.0.1:${server.address().port}`,
+        "--report",
+        report,
+      ],
+    });
+    assert.equal(code, 1, stdout + stderr);
+    const { summary, results } = JSON.parse(fs.readFileSync(report, "utf8"));
+    assert.deepEqual(
+      { passed: summary.passed, failed: summary.failed },
+      { passed: 1, failed: 1 }
+    );
+    const failed = results.find((r) => r.outcome === "failed");
+    assert.match(failed.name, /\/api\/b/);
+  } finally {
+    server.close();
+  }
+});
+
+test("replay exits non-zero with a message when the input is unreadable", async () => {
+  const { code, stderr } = await runScriptAsync("har-replay.js", {
+    args: ["-i", "missing.har", "--base-url", "http://127.0.0.1:9"],
+  });
+  assert.equal(code, 1);
+  assert.match(stderr, /✖ Cannot read missing\.har/);
+});
+
+test("calls recorded without a response are skipped, not failed", async () => {
+  const dir = tmpDir();
+  const har = writeHar(dir, [
+    harEntry({ url: "https://example.test/api/aborted", status: 0 }),
+    harEntry({ url: "https://example.test/api/a", status: 0 }),
+    harEntry({ url: "https://example.test/api/a", responseBody: { id: 1 } }),
+  ]);
+  const server = await startServer({
+    "/api/aborted": { id: 1 },
+    "/api/a": { id: 2 },
+  });
+  try {
+    const report = path.join(dir, "report.json");
+    const { code, stdout, stderr } = await runScriptAsync("har-replay.js", {
+      cwd: dir,
+      args: [
+        "-i",
+        har,
+        "--base-url",
+        `http://127.0.0.1:${server.address().port}`,
+        "--report",
+        report,
+      ],
+    });
+    assert.equal(code, 0, stdout + stderr);
+    const { summary, results } = JSON.parse(fs.readFileSync(report, "utf8"));
+    assert.deepEqual(
+      { passed: summary.passed, skipped: summary.skipped },
+      { passed: 1, skipped: 1 }
+    );
+    const skipped = results.find((r) => r.outcome === "skipped");
+    assert.match(skipped.name, /\/api\/aborted/);
+    assert.equal(skipped.message, "no recorded response");
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { harEntry, runScript, tmpDir, writeHar } from "./helpers.js";
+
+const entries = [
+  harEntry({
+    method: "POST",
+    url: "https://example.test/api/login",
+    requestBody: { user: "bob", password: "hunter2" },
+    responseBody: { ok: true },
+  }),
+  harEntry({
+    method: "POST",
+    url: "https://example.test/api/login",
+    requestBody: { user: "ann", password: "hunter3" },
+  }),
+];
+
+test("unique request bodies are written, redacted", () => {
+  const dir = tmpDir();
+  const out = path.join(dir, "bodies.json");
+  const { code, stderr } = runScript("har_to_bodies.js", {
+    cwd: dir,
+    args: ["-i", writeHar(dir, entries), "-o", out],
+  });
+  assert.equal(code, 0, stderr);
+  const records = JSON.parse(fs.readFileSync(out, "utf8"));
+  assert.equal(records.length, 1);
+  assert.equal(records[0].requestBody.user, "bob");
+  assert.match(records[0].requestBody.password, /^__REDACTED_KEY_\d+__$/);
+});
+
+test("failures after reading exit with an error instead of a rejection", () => {
+  const dir = tmpDir();
+  const { code, stderr } = runScript("har_to_bodies.js", {
+    cwd: dir,
+    args: [
+      "-i",
+      writeHar(dir, entries),
+      "-o",
+      path.join(dir, "bodies.json"),
+      "--redact-report",
+      path.join(dir, "missing", "report.json"),
+    ],
+  });
+  assert.equal(code, 1);
+  assert.match(stderr, /✖ Failed:.*ENOENT/);
+  assert.doesNotMatch(stderr, /UnhandledPromiseRejection|^\s+at /m);
+});
@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateSpec, harEntry } from "./helpers.js";
+
+function withHeaders() {
+  const entry = harEntry({
+    url: "https://example.test/api/orders",
+    headers: [
+      { name: "X-Tenant-Id", value: "t1" },
+      { name: "X-Trace-Id", value: "abc" },
+      { name: "User-Agent", value: "test" },
+      { name: "Sec-Fetch-Mode", value: "cors" },
+      { name: "X-Api-Key", value: "k1" },
+    ],
+    responseBody: { ok: true },
+  });
+  entry.request.cookies = [{ name: "theme", value: "dark" }];
+  return entry;
+}
+
+test("request headers and cookies are not parameters by default", () => {
+  const { code, spec, stderr } = generateSpec([withHeaders()]);
+  assert.equal(code, 0, stderr);
+  assert.equal(spec.paths["/api/orders"].get.parameters, undefined);
+});
+
+test("DOCUMENT_HEADERS and DOCUMENT_COOKIES add them as parameters", () => {
+  const { code, spec, stderr } = generateSpec([withHeaders()], {
+    DOCUMENT_HEADERS: "true",
+    DOCUMENT_COOKIES: "true",
+    HEADER_DENY_LIST: "x-trace-*",
+  });
+  assert.equal(code, 0, stderr);
+  const params = spec.paths["/api/orders"].get.parameters;
+  // Browser noise, the deny list and the API key scheme are left out
+  assert.deepEqual(
+    params.map((p) => `${p.in}:${p.name}`),
+    ["header:x-tenant-id", "cookie:theme"]
+  );
+  assert.equal(params[0].example, "t1");
+  assert.match(params[1].example, /^__REDACTED_COOKIE_\d+__$/);
+  assert.ok(spec.components.securitySchemes.xApiKeyHeader);
+});
@@ -0,0 +1,140 @@
+/**
+ * Shared test helpers: build small HAR captures in memory and run the CLI
+ * scripts against them in a scratch directory (so no .env is picked up).
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn, spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import YAML from "yaml";
+
+export const ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  ".."
+);
+
+export function tmpDir(prefix = "vanij-test-") {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * One HAR entry. Bodies that are not strings are sent as JSON.
+ */
+export function harEntry({
+  method = "GET",
+  url,
+  status = 200,
+  headers = [],
+  requestBody,
+  requestMimeType = "application/json",
+  responseBody,
+  responseMimeType = "application/json",
+  responseHeaders = [],
+  encoding,
+  startedDateTime = "2026-01-01T00:00:00.000Z",
+}) {
+  const text = (b) => (typeof b === "string" ? b : JSON.stringify(b));
+  return {
+    startedDateTime,
+    time: 1,
+    _resourceType: "xhr",
+    request: {
+      method,
+      url,
+      httpVersion: "HTTP/1.1",
+      headers,
+      queryString: [],
+      cookies: [],
+      ...(requestBody !== undefined
+        ? { postData: { mimeType: requestMimeType, text: text(requestBody) } }
+        : {}),
+    },
+    response: {
+      status,
+      statusText: "",
+      httpVersion: "HTTP/1.1",
+      headers: responseHeaders,
+      cookies: [],
+      content: {
+        mimeType: responseMimeType,
+        ...(responseBody !== undefined ? { text: text(responseBody) } : {}),
+        ...(encoding ? { encoding } : {}),
+      },
+    },
+  };
+}
+
+export function writeHar(dir, entries, name = "capture.har") {
+  const file = path.join(dir, name);
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ log: { version: "1.2", entries } }),
+    "utf8"
+  );
+  return file;
+}
+
+export function runScript(script, { args = [], env = {}, cwd } = {}) {
+  const res = spawnSync(process.execPath, [path.join(ROOT, script), ...args], {
+    cwd: cwd || tmpDir(),
+    env: { ...process.env, FORCE_COLOR: "0", ...env },
+    encoding: "utf8",
+    timeout: 60000,
+  });
+  return { code: res.status, stdout: res.stdout, stderr: res.stderr };
+}
+
+/**
+ * runScript() without blocking the event loop, for scripts that talk to a
+ * server the test itself runs. Killed after 60s like runScript().
+ */
+export function runScriptAsync(script, { args = [], env = {}, cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, script), ...args], {
+      cwd: cwd || tmpDir(),
+      env: { ...process.env, FORCE_COLOR: "0", ...env },
+    });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (d) => (stdout += d));
+    child.stderr.on("data", (d) => (stderr += d));
+    const timer = setTimeout(() => child.kill(), 60000);
+    child.on("error", reject);
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Run har-to-openapi.js over `entries` and return the parsed spec and output.
+ */
+export function generateSpec(entries, env = {}, args = [], dir = tmpDir()) {
+  const harFile = writeHar(dir, entries);
+  const out = path.join(dir, "openapi.yaml");
+  const run = runScript("har-to-openapi.js", {
+    cwd: dir,
+    args,
+    env: {
+      HAR_FILE: harFile,
+      BASE_PATH: "/api",
+      OUTPUT_SWAGGER: out,
+      SERVER_URL: "https://example.test",
+      ...env,
+    },
+  });
+  const spec = fs.existsSync(out)
+    ? YAML.parse(fs.readFileSync(out, "utf8"))
+    : null;
+  return { ...run, spec, dir, out };
+}
+
+export function resolveRef(spec, schema) {
+  while (schema?.$ref) {
+    schema = spec.components.schemas[schema.$ref.split("/").pop()];
+  }
+  return schema;
+}
@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { learnRoutes, normalizePathname } from "../endpoints.js";
+import { generateSpec, harEntry } from "./helpers.js";
+
+const GATEWAY = "https://example.test/api/v1/vanij/gateway";
+const TENANT = "64f1a2b3c4d5e6f708192a3b";
+const ENVELOPE = { status: true, message: "ok", data: {} };
+
+const actionPaths = [
+  ...["create", "list", "update", "delete"].map(
+    (a) => `/api/v1/vanij/gateway/${TENANT}/component/key_vault/${a}`
+  ),
+  ...["create", "list", "update", "delete"].map(
+    (a) => `/api/v1/vanij/gateway/backend/tenant/${a}`
+  ),
+];
+
+function entries(paths) {
+  return paths.map((p) =>
+    harEntry({
+      method: "POST",
+      url: `https://example.test${p}`,
+      requestBody: {},
+      responseBody: ENVELOPE,
+    })
+  );
+}
+
+test("learned routes keep gateway actions with a shared envelope apart", () => {
+  const routes = learnRoutes(entries(actionPaths));
+  const templates = new Set(
+    actionPaths.map((p) => normalizePathname(p, routes))
+  );
+  assert.equal(templates.size, 8);
+  assert.ok(
+    templates.has(
+      "/api/v1/vanij/gateway/{gatewayId}/component/key_vault/create"
+    )
+  );
+  assert.ok(templates.has("/api/v1/vanij/gateway/backend/tenant/delete"));
+});
+
+test("learned routes still collapse vocabulary values", () => {
+  const lookups = ["APP_TYPE", "PRIORITY", "TICKET_STATUS"].map(
+    (v) => `/api/v1/vanij/gateway/backend/lookup_code/lookup_type/${v}`
+  );
+  const routes = learnRoutes(
+    lookups.map((p) =>
+      harEntry({ url: `https://example.test${p}`, responseBody: ENVELOPE })
+    )
+  );
+  assert.deepEqual(
+    new Set(lookups.map((p) => normalizePathname(p, routes))),
+    new Set([
+      "/api/v1/vanij/gateway/backend/lookup_code/lookup_type/{lookupType}",
+    ])
+  );
+});
+
+test("learned and heuristic specs document the same action paths", () => {
+  for (const mode of ["learned", "heuristic"]) {
+    const { code, spec, stderr } = generateSpec(entries(actionPaths), {
+      PATH_TEMPLATING: mode,
+    });
+    assert.equal(code, 0, stderr);
+    const paths = Object.keys(spec.paths);
+    assert.equal(paths.length, 8, `${mode}: ${paths.join(", ")}`);
+    assert.ok(paths.every((p) => /\/(create|list|update|delete)$/.test(p)));
+  }
+});
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { generateSpec, harEntry, tmpDir } from "./helpers.js";
+
+const first = [
+  harEntry({ url: "https://example.test/api/old", responseBody: { a: 1 } }),
+];
+const second = [
+  harEntry({ url: "https://example.test/api/new", responseBody: { b: 1 } }),
+];
+
+test("each run regenerates the spec by default", () => {
+  const dir = tmpDir();
+  generateSpec(first, {}, [], dir);
+  const { code, spec, stderr } = generateSpec(second, {}, [], dir);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(Object.keys(spec.paths), ["/api/new"]);
+  assert.ok(
+    Object.keys(spec.components.schemas).every((n) => !/Old/.test(n)),
+    Object.keys(spec.components.schemas).join(", ")
+  );
+});
+
+test("MERGE_EXISTING=true merges into the previous spec", () => {
+  const dir = tmpDir();
+  generateSpec(first, {}, [], dir);
+  const { code, spec, stderr } = generateSpec(
+    second,
+    { MERGE_EXISTING: "true" },
+    [],
+    dir
+  );
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(Object.keys(spec.paths).sort(), ["/api/new", "/api/old"]);
+});
+
+test("merging into a 3.0 spec adds no jsonSchemaDialect", () => {
+  const dir = tmpDir();
+  generateSpec(first, {}, [], dir);
+  const { code, out, stderr } = generateSpec(
+    second,
+    { MERGE_EXISTING: "true" },
+    [],
+    dir
+  );
+  assert.equal(code, 0, stderr);
+  assert.doesNotMatch(fs.readFileSync(out, "utf8"), /jsonSchemaDialect/);
+});
+
+test("3.1 merges keep the dialect", () => {
+  const dir = tmpDir();
+  const env = { MERGE_EXISTING: "true", OPENAPI_VERSION: "3.1" };
+  generateSpec(first, env, [], dir);
+  const { code, spec, stderr } = generateSpec(second, env, [], dir);
+  assert.equal(code, 0, stderr);
+  assert.equal(spec.openapi, "3.1.0");
+  assert.ok(spec.jsonSchemaDialect);
+});
+
+test("MERGE_EXISTING refuses to mix OpenAPI 3.0 and 3.1", () => {
+  const dir = tmpDir();
+  generateSpec(first, {}, [], dir);
+  const before = fs.readFileSync(`${dir}/openapi.yaml`, "utf8");
+  const { code, stderr } = generateSpec(
+    second,
+    { MERGE_EXISTING: "true", OPENAPI_VERSION: "3.1" },
+    [],
+    dir
+  );
+  assert.equal(code, 1);
+  assert.match(
+    stderr,
+    /Cannot merge OpenAPI 3\.1\.0 into the existing 3\.0\.3/
+  );
+  assert.equal(fs.readFileSync(`${dir}/openapi.yaml`, "utf8"), before);
+});
+
+test("a captured response replaces the no-response placeholder on merge", () => {
+  const dir = tmpDir();
+  const url = "https://example.test/api/old";
+  generateSpec([harEntry({ url, status: 0 })], {}, [], dir);
+  const { code, spec, stderr } = generateSpec(
+    first,
+    { MERGE_EXISTING: "true" },
+    [],
+    dir
+  );
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(Object.keys(spec.paths["/api/old"].get.responses), ["200"]);
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateSpec, harEntry, resolveRef } from "./helpers.js";
+
+const FORM = [
+  "--XyZ",
+  'Content-Disposition: form-data; name="user"',
+  "",
+  "bob",
+  "--XyZ",
+  'Content-Disposition: form-data; name="password"',
+  "",
+  "hunter2",
+  "--XyZ",
+  'Content-Disposition: form-data; name="avatar"; filename="a.png"',
+  "Content-Type: image/png",
+  "",
+  "PNGDATA",
+  "--XyZ--",
+  "",
+].join("\r\n");
+
+test("multipart parts become fields and binary file parts", () => {
+  const { code, spec, stderr } = generateSpec([
+    harEntry({
+      method: "POST",
+      url: "https://example.test/api/users/1/avatar",
+      requestBody: FORM,
+      requestMimeType: "multipart/form-data; boundary=XyZ",
+      responseBody: { ok: true },
+    }),
+  ]);
+  assert.equal(code, 0, stderr);
+  const content =
+    spec.paths["/api/users/{userId}/avatar"].post.requestBody.content[
+      "multipart/form-data"
+    ];
+  const schema = resolveRef(spec, content.schema);
+  assert.deepEqual(schema.properties.user, { type: "string" });
+  assert.deepEqual(schema.properties.avatar, {
+    type: "string",
+    format: "binary",
+    description: "File part, e.g. a.png",
+  });
+  assert.deepEqual(content.encoding, { avatar: { contentType: "image/png" } });
+  // File bytes and secret parts never reach the example
+  const example = content.examples.fromHar.value;
+  assert.equal(example.avatar, "a.png");
+  assert.match(example.password, /^__REDACTED_KEY_\d+__$/);
+  assert.doesNotMatch(JSON.stringify(spec), /hunter2|PNGDATA/);
+});
+
+test("binary responses are documented by media type without bytes", () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 0xff]);
+  const { code, spec, stderr } = generateSpec([
+    harEntry({
+      url: "https://example.test/api/users/1/avatar",
+      responseBody: png.toString("base64"),
+      responseMimeType: "image/png",
+      encoding: "base64",
+    }),
+  ]);
+  assert.equal(code, 0, stderr);
+  const { content } =
+    spec.paths["/api/users/{userId}/avatar"].get.responses["200"];
+  assert.deepEqual(content, {
+    "image/png": { schema: { type: "string", format: "binary" } },
+  });
+});
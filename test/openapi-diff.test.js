@@ -0,0 +1,198 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { harEntry, runScript, tmpDir, writeHar } from "./helpers.js";
+
+const str = { type: "string" };
+const obj = (properties, required) => ({
+  type: "object",
+  properties,
+  ...(required ? { required } : {}),
+});
+const json = (schema) => ({ content: { "application/json": { schema } } });
+const itemRef = json({ $ref: "#/components/schemas/Item" });
+
+const BASE = {
+  openapi: "3.0.3",
+  info: { title: "T", version: "1" },
+  paths: {
+    "/api/items/{id}": {
+      get: {
+        parameters: [{ name: "id", in: "path", required: true, schema: str }],
+        responses: { 200: { description: "OK", ...itemRef } },
+      },
+    },
+    "/api/items": {
+      post: {
+        requestBody: json(
+          obj({ name: str, kind: { type: "string", enum: ["A"] } }, ["name"])
+        ),
+        responses: { 201: { description: "OK", ...itemRef } },
+      },
+    },
+    "/api/old": { get: { responses: { 200: { description: "OK" } } } },
+  },
+  components: {
+    schemas: {
+      Item: obj(
+        { id: str, name: str, status: { type: "string", enum: ["A", "B"] } },
+        ["id"]
+      ),
+    },
+  },
+};
+
+function revised() {
+  const rev = structuredClone(BASE);
+  delete rev.paths["/api/old"];
+  rev.paths["/api/new"] = {
+    get: { responses: { 200: { description: "OK" } } },
+  };
+  // Renamed path parameter: still the same operation
+  rev.paths["/api/items/{itemId}"] = rev.paths["/api/items/{id}"];
+  delete rev.paths["/api/items/{id}"];
+  rev.paths["/api/items/{itemId}"].get.parameters = [
+    { name: "itemId", in: "path", required: true, schema: str },
+    { name: "lang", in: "query", required: true, schema: str },
+    { name: "page", in: "query", schema: str },
+  ];
+  const body =
+    rev.paths["/api/items"].post.requestBody.content["application/json"].schema;
+  body.properties.owner = str;
+  body.required.push("owner");
+  body.properties.kind.enum.push("B");
+  body.properties.note = str;
+  const item = rev.components.schemas.Item;
+  delete item.properties.name;
+  item.properties.created = str;
+  item.properties.id = { type: "integer" };
+  item.properties.status.enum.push("C");
+  return rev;
+}
+
+function diff(base, revision, args = []) {
+  const dir = tmpDir();
+  const files = [base, revision].map((spec, i) => {
+    if (typeof spec === "string") return spec;
+    const file = path.join(dir, `${i ? "revision" : "base"}.yaml`);
+    fs.writeFileSync(file, YAML.stringify(spec));
+    return file;
+  });
+  const report = path.join(dir, "report.json");
+  const run = runScript("openapi-diff.js", {
+    cwd: dir,
+    args: [...files, "--json", report, ...args],
+  });
+  return {
+    ...run,
+    report: fs.existsSync(report)
+      ? JSON.parse(fs.readFileSync(report, "utf8"))
+      : null,
+  };
+}
+
+const classified = (report) =>
+  Object.fromEntries(report.changes.map((c) => [c.message, c.breaking]));
+
+test("changes are classified by the direction they flow", () => {
+  const { code, report, stderr } = diff(BASE, revised());
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(classified(report), {
+    "operation removed": true,
+    "operation added": false,
+    "required query parameter added: lang": true,
+    "optional query parameter added: page": false,
+    "path parameter renamed: id → itemId": false,
+    // request: new required fields break callers, wider enums do not
+    "required property added: owner": true,
+    "property added: note": false,
+    "enum values added: B": false,
+    // response: removed fields and retyped ones break readers
+    "property removed: name": true,
+    "type changed string → integer": true,
+    "enum values added: C": true,
+    "property added: created": false,
+  });
+  assert.deepEqual(report.summary, {
+    breaking: 6,
+    nonBreaking: 6,
+    operationsAdded: 1,
+    operationsRemoved: 1,
+  });
+});
+
+test("shared component changes are reported once with every operation", () => {
+  const { report } = diff(BASE, revised());
+  const removed = report.changes.find(
+    (c) => c.message === "property removed: name"
+  );
+  assert.equal(removed.location, "components.schemas.Item.properties.name");
+  assert.deepEqual(removed.operations.sort(), [
+    "GET /api/items/{itemId}",
+    "POST /api/items",
+  ]);
+});
+
+test("--fail-on-breaking exits 1 only when something breaks", () => {
+  assert.equal(diff(BASE, revised(), ["--fail-on-breaking"]).code, 1);
+  const same = diff(BASE, BASE, ["--fail-on-breaking"]);
+  assert.equal(same.code, 0, same.stderr);
+  assert.deepEqual(same.report.changes, []);
+});
+
+test("HAR captures are diffed through har-to-openapi.js", () => {
+  const dir = tmpDir();
+  const before = writeHar(
+    dir,
+    [
+      harEntry({
+        url: "https://example.test/api/me",
+        responseBody: { id: 1, name: "x" },
+      }),
+    ],
+    "before.har"
+  );
+  const after = writeHar(
+    dir,
+    [harEntry({ url: "https://example.test/api/me", responseBody: { id: 1 } })],
+    "after.har"
+  );
+  const { code, report, stderr } = diff(before, after);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(
+    report.changes.map((c) => [c.message, c.breaking]),
+    [["property removed: name", true]]
+  );
+});
+
+test("diffing HARs leaves the configured collection exports alone", () => {
+  const dir = tmpDir();
+  const har = writeHar(
+    dir,
+    [harEntry({ url: "https://example.test/api/me", responseBody: { id: 1 } })],
+    "capture.har"
+  );
+  const postman = path.join(dir, "api.postman_collection.json");
+  const insomnia = path.join(dir, "insomnia.json");
+  fs.writeFileSync(postman, "mine");
+  fs.writeFileSync(insomnia, "mine");
+  // Once from the environment, once from a .env next to the run
+  fs.writeFileSync(path.join(dir, ".env"), `INSOMNIA_OUTPUT=${insomnia}\n`);
+  const run = runScript("openapi-diff.js", {
+    cwd: dir,
+    args: [har, har],
+    env: { POSTMAN_OUTPUT: postman },
+  });
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stdout, /No changes/);
+  assert.equal(fs.readFileSync(postman, "utf8"), "mine");
+  assert.equal(fs.readFileSync(insomnia, "utf8"), "mine");
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    ".env",
+    "api.postman_collection.json",
+    "capture.har",
+    "insomnia.json",
+  ]);
+});
@@ -0,0 +1,181 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import YAML from "yaml";
+import { ROOT, runScript, tmpDir } from "./helpers.js";
+
+// Generate a client for `spec` (an object, or a spec file path) and import it
+async function generateClient(spec) {
+  const dir = tmpDir();
+  let input = spec;
+  if (typeof spec !== "string") {
+    input = path.join(dir, "spec.yaml");
+    fs.writeFileSync(input, YAML.stringify(spec));
+  }
+  const out = path.join(dir, "client");
+  const run = runScript("openapi-to-client.js", {
+    cwd: dir,
+    args: ["-i", input, "-o", out, "--base-url", "https://api.test"],
+  });
+  assert.equal(run.code, 0, run.stdout + run.stderr);
+  const mod = await import(pathToFileURL(path.join(out, "index.js")).href);
+  return {
+    ...run,
+    mod,
+    dts: fs.readFileSync(path.join(out, "index.d.ts"), "utf8"),
+  };
+}
+
+const json = (schema) => ({ content: { "application/json": { schema } } });
+const object = (...names) => ({
+  type: "object",
+  properties: Object.fromEntries(names.map((n) => [n, { type: "string" }])),
+});
+
+function specWithRefresh(refreshOp) {
+  return {
+    openapi: "3.0.3",
+    info: { title: "T", version: "1" },
+    paths: {
+      "/api/me": {
+        get: {
+          tags: ["user"],
+          operationId: "getMe",
+          responses: { 200: { description: "OK", ...json(object("name")) } },
+        },
+      },
+      "/api/user/refresh_token": {
+        post: { tags: ["user"], operationId: "refreshToken", ...refreshOp },
+      },
+    },
+  };
+}
+
+// A fetch that answers 401 until it sees `valid`, recording every call
+function fakeFetch(valid, refreshResponse) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    const call = {
+      url,
+      method: init.method,
+      auth: init.headers.get("authorization"),
+      token: init.headers.get("x-refresh-token"),
+      body: init.body,
+    };
+    calls.push(call);
+    const reply = (status, body) =>
+      new Response(JSON.stringify(body), {
+        status,
+        headers: { "content-type": "application/json" },
+      });
+    if (url.includes("refresh_token")) return reply(200, refreshResponse);
+    return call.auth === `Bearer ${valid}`
+      ? reply(200, { name: "x" })
+      : reply(401, { error: "expired" });
+  };
+  return { fetch, calls };
+}
+
+test("refresh sends the token in the body and keeps the new tokens", async () => {
+  const { mod, stdout } = await generateClient(
+    specWithRefresh({
+      requestBody: { required: true, ...json(object("refresh_token")) },
+      responses: {
+        200: {
+          description: "OK",
+          ...json({
+            type: "object",
+            properties: { data: object("access_token", "refresh_token") },
+          }),
+        },
+      },
+    })
+  );
+  assert.match(stdout, /Token refresh: POST \/api\/user\/refresh_token/);
+  const { fetch, calls } = fakeFetch("new", {
+    data: { access_token: "new", refresh_token: "r2" },
+  });
+  const saved = [];
+  const api = mod.createClient({
+    fetch,
+    auth: mod.bearerAuth({
+      accessToken: "old",
+      refreshToken: "r1",
+      onTokens: (t) => saved.push(t),
+    }),
+  });
+  assert.deepEqual(await api.user.getMe(), { name: "x" });
+  assert.equal(calls.length, 3);
+  assert.deepEqual(JSON.parse(calls[1].body), { refresh_token: "r1" });
+  assert.equal(calls[2].auth, "Bearer new");
+  assert.deepEqual(saved, [{ accessToken: "new", refreshToken: "r2" }]);
+});
+
+test("refresh sends the token in a header parameter", async () => {
+  const { mod } = await generateClient(
+    specWithRefresh({
+      parameters: [
+        { name: "x-refresh-token", in: "header", schema: { type: "string" } },
+      ],
+      responses: { 200: { description: "OK", ...json(object("token")) } },
+    })
+  );
+  const { fetch, calls } = fakeFetch("new", { token: "new" });
+  const api = mod.createClient({
+    fetch,
+    auth: mod.bearerAuth({ accessToken: "old", refreshToken: "r1" }),
+  });
+  await api.user.getMe();
+  assert.equal(calls[1].token, "r1");
+  assert.equal(calls[2].auth, "Bearer new");
+});
+
+test("no new access token means no retry", async () => {
+  const { mod } = await generateClient(
+    specWithRefresh({
+      requestBody: json(object("refresh_token")),
+      responses: {
+        200: { description: "OK", ...json(object("access_token")) },
+      },
+    })
+  );
+  const { fetch, calls } = fakeFetch("new", {});
+  const api = mod.createClient({
+    fetch,
+    auth: mod.bearerAuth({ accessToken: "old", refreshToken: "r1" }),
+  });
+  await assert.rejects(api.user.getMe(), { name: "ApiError", status: 401 });
+  assert.equal(calls.length, 2);
+});
+
+test("a refresh operation that takes no token gets no auto-refresh", async () => {
+  const { mod, stdout, dts } = await generateClient(
+    path.join(ROOT, "vanij_adya.yaml")
+  );
+  assert.match(
+    stdout,
+    /No token refresh through POST \S+refresh_token: it documents no request field/
+  );
+  assert.match(dts, /refresh\?\(\): string/);
+  assert.doesNotMatch(dts, /refreshToken\?: string/);
+
+  // The callback form still renews the token
+  const { fetch, calls } = fakeFetch("new");
+  const api = mod.createClient({
+    fetch,
+    auth: mod.bearerAuth({ accessToken: "old", refresh: async () => "new" }),
+  });
+  // Any operation object works with request(), whatever the spec holds
+  await api.request({
+    id: "getMe",
+    method: "GET",
+    path: "/api/me",
+    params: [],
+    body: null,
+    response: "json",
+    security: [],
+  });
+  assert.equal(calls.at(-1).auth, "Bearer new");
+});
@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { generateSpec, harEntry, tmpDir } from "./helpers.js";
+
+function patternsFile(patterns) {
+  const file = path.join(tmpDir(), "patterns.json");
+  fs.writeFileSync(file, JSON.stringify({ patterns }), "utf8");
+  return file;
+}
+
+test("path patterns template paths and name operations", () => {
+  const file = patternsFile([
+    { path: "/items/{itemCode}", method: "GET", operationId: "getItem" },
+  ]);
+  const { code, spec, stderr } = generateSpec(
+    [harEntry({ url: "https://example.test/api/items/abc", responseBody: {} })],
+    { PATH_PATTERNS_FILE: file }
+  );
+  assert.equal(code, 0, stderr);
+  assert.equal(spec.paths["/api/items/{itemCode}"].get.operationId, "getItem");
+});
+
+test("a pattern without method gets one operationId per method", () => {
+  const file = patternsFile([
+    { path: "/items/{itemCode}", operationId: "item" },
+  ]);
+  const url = "https://example.test/api/items/abc";
+  const { code, spec, stderr } = generateSpec(
+    [
+      harEntry({ url, responseBody: {} }),
+      harEntry({ url, method: "DELETE", responseBody: {} }),
+    ],
+    { PATH_PATTERNS_FILE: file }
+  );
+  assert.equal(code, 0, stderr);
+  const item = spec.paths["/api/items/{itemCode}"];
+  assert.equal(item.get.operationId, "itemGet");
+  assert.equal(item.delete.operationId, "itemDelete");
+});
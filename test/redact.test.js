@@ -0,0 +1,188 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRedactor } from "../redact.js";
+import { harEntry } from "./helpers.js";
+
+test("secret keys match on trailing words, not substrings", () => {
+  const r = createRedactor();
+  const out = r.redactValue({
+    refresh_token: "r1",
+    accessToken: "a1",
+    "x-api-key": "k1",
+    sid: "s1",
+    consider: "keep",
+    side: "keep",
+    tokens_count: 3,
+    token_type: "Bearer",
+    otp_enabled: true,
+  });
+  assert.match(out.refresh_token, /^__REDACTED_KEY_\d+__$/);
+  assert.match(out.accessToken, /^__REDACTED_KEY_\d+__$/);
+  assert.match(out["x-api-key"], /^__REDACTED_KEY_\d+__$/);
+  assert.match(out.sid, /^__REDACTED_KEY_\d+__$/);
+  assert.equal(out.consider, "keep");
+  assert.equal(out.side, "keep");
+  assert.equal(out.tokens_count, 3);
+  assert.equal(out.token_type, "Bearer");
+  assert.equal(out.otp_enabled, true);
+});
+
+test("masked numbers stay numbers, with stable placeholders", () => {
+  const r = createRedactor();
+  const out = r.redactValue({ otp: 123456, pin: { otp: 123456 }, pwd: 1.5 });
+  assert.equal(typeof out.otp, "number");
+  assert.ok(Number.isInteger(out.otp));
+  assert.notEqual(out.otp, 123456);
+  assert.equal(out.pin.otp, out.otp);
+  assert.equal(typeof out.pwd, "number");
+  assert.ok(!Number.isInteger(out.pwd));
+});
+
+test("values are masked by pattern anywhere", () => {
+  const r = createRedactor();
+  const jwt = "eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.sig";
+  const out = r.redactText(`mail a.b@corp.com token ${jwt}`);
+  assert.doesNotMatch(out, /corp\.com|eyJ/);
+  assert.match(out, /@example\.invalid/);
+});
+
+test("base64 text responses are decoded and redacted", () => {
+  const r = createRedactor();
+  const body = Buffer.from(
+    JSON.stringify({ access_token: "secret-value", email: "x@y.com" })
+  ).toString("base64");
+  const entry = harEntry({
+    url: "https://example.test/api/login",
+    responseBody: body,
+    encoding: "base64",
+  });
+  const out = r.redactEntry(entry).response.content;
+  assert.equal(out.encoding, undefined);
+  const parsed = JSON.parse(out.text);
+  assert.match(parsed.access_token, /^__REDACTED_KEY_\d+__$/);
+  assert.equal(parsed.email, "redacted-1@example.invalid");
+});
+
+test("binary base64 responses are left encoded", () => {
+  const r = createRedactor();
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff]).toString("base64");
+  const entry = harEntry({
+    url: "https://example.test/api/logo",
+    responseBody: png,
+    responseMimeType: "image/png",
+    encoding: "base64",
+  });
+  assert.deepEqual(
+    r.redactEntry(entry).response.content,
+    entry.response.content
+  );
+});
+
+test("auth headers keep their scheme, cookies their names", () => {
+  const r = createRedactor();
+  const entry = harEntry({
+    url: "https://example.test/api/me?api_key=abc",
+    headers: [
+      { name: "Authorization", value: "Bearer opaque-token" },
+      { name: "Cookie", value: "sid=s1; theme=dark" },
+    ],
+  });
+  const req = r.redactEntry(entry).request;
+  assert.match(req.headers[0].value, /^Bearer __REDACTED_HEADER_1__$/);
+  assert.match(
+    req.headers[1].value,
+    /^sid=__REDACTED_COOKIE_\d+__; theme=__REDACTED_COOKIE_\d+__$/
+  );
+  assert.match(req.url, /api_key=__REDACTED_KEY_1__/);
+});
+
+test("NDJSON bodies are redacted line by line", () => {
+  const r = createRedactor();
+  const out = r.redactBody(
+    '{"access_token":"opaque-secret-1"}\n{"access_token":"opaque-secret-2"}\n',
+    "body",
+    "application/x-ndjson"
+  );
+  assert.doesNotMatch(out, /opaque-secret/);
+  assert.equal(out.split("\n").length, 3);
+  assert.match(JSON.parse(out.split("\n")[1]).access_token, /^__REDACTED_KEY_/);
+});
+
+test("SSE data blocks are redacted as bodies", () => {
+  const r = createRedactor();
+  const out = r.redactBody(
+    'event: login\ndata: {"password":"hunter2","user":"bob"}\n\n',
+    "body",
+    "text/event-stream"
+  );
+  assert.doesNotMatch(out, /hunter2/);
+  assert.match(out, /^event: login\ndata: \{"password":"__REDACTED_KEY_1__"/);
+  assert.match(out, /"user":"bob"/);
+});
+
+test("XML secret elements and attributes are redacted", () => {
+  const r = createRedactor();
+  const out = r.redactBody(
+    '<auth session_id="s-1"><user>bob</user><token>opaque-xml-secret</token></auth>',
+    "body",
+    "application/xml; charset=utf-8"
+  );
+  assert.doesNotMatch(out, /opaque-xml-secret|s-1/);
+  assert.match(out, /<user>bob<\/user>/);
+  assert.match(out, /<token>__REDACTED_KEY_\d+__<\/token>/);
+});
+
+test("CSV columns with secret names are redacted", () => {
+  const r = createRedactor();
+  const out = r.redactBody(
+    'user,password,note\nbob,hunter3,"a, b"\nann,"hunter4",x\n',
+    "body",
+    "text/csv"
+  );
+  assert.doesNotMatch(out, /hunter/);
+  assert.match(out, /^user,password,note\nbob,__REDACTED_KEY_1__,"a, b"\n/);
+});
+
+test("multipart fields with secret names are redacted", () => {
+  const r = createRedactor();
+  const body = [
+    "--XyZ",
+    'Content-Disposition: form-data; name="user"',
+    "",
+    "bob",
+    "--XyZ",
+    'Content-Disposition: form-data; name="password"',
+    "",
+    "hunter2",
+    "--XyZ",
+    'Content-Disposition: form-data; name="avatar"; filename="a.png"',
+    "Content-Type: image/png",
+    "",
+    "PNGDATA",
+    "--XyZ--",
+    "",
+  ].join("\r\n");
+  const entry = harEntry({
+    method: "POST",
+    url: "https://example.test/api/signup",
+    requestBody: body,
+    requestMimeType: "multipart/form-data; boundary=XyZ",
+  });
+  const out = r.redactEntry(entry).request.postData.text;
+  assert.doesNotMatch(out, /hunter2/);
+  assert.equal(
+    out,
+    body.replace("hunter2", "__REDACTED_KEY_1__"),
+    "only the secret part changes"
+  );
+});
+
+test("urlencoded fields with secret names are redacted", () => {
+  const r = createRedactor();
+  const out = r.redactBody(
+    "user=bob&password=hunter2&note=a+b",
+    "body",
+    "application/x-www-form-urlencoded"
+  );
+  assert.equal(out, "user=bob&password=__REDACTED_KEY_1__&note=a+b");
+});
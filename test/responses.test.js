@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateSpec, harEntry, resolveRef } from "./helpers.js";
+
+test("every observed status gets its own response", () => {
+  const { code, spec, stderr } = generateSpec([
+    harEntry({
+      url: "https://example.test/api/orders/1",
+      responseBody: { id: 1, name: "a" },
+    }),
+    harEntry({
+      url: "https://example.test/api/orders/2",
+      status: 404,
+      responseBody: { error: "not found" },
+    }),
+    harEntry({
+      method: "DELETE",
+      url: "https://example.test/api/orders/3",
+      status: 204,
+    }),
+  ]);
+  assert.equal(code, 0, stderr);
+  const { get, delete: del } = spec.paths["/api/orders/{orderId}"];
+  assert.deepEqual(Object.keys(get.responses), ["200", "404"]);
+  assert.equal(get.responses["200"].description, "OK (captured from HAR)");
+
+  const notFound = get.responses["404"];
+  assert.equal(notFound.description, "Not Found (captured from HAR)");
+  const content = notFound.content["application/json"];
+  assert.deepEqual(content.examples.fromHar.value, { error: "not found" });
+  assert.deepEqual(Object.keys(resolveRef(spec, content.schema).properties), [
+    "error",
+  ]);
+  assert.deepEqual(
+    Object.keys(
+      resolveRef(spec, get.responses["200"].content["application/json"].schema)
+        .properties
+    ),
+    ["id", "name"]
+  );
+
+  assert.deepEqual(del.responses, {
+    204: { description: "No Content (captured from HAR)" },
+  });
+});
+
+function withResponseHeaders() {
+  return [
+    harEntry({
+      url: "https://example.test/api/orders",
+      responseBody: { ok: true },
+      responseHeaders: [
+        { name: "X-Request-Id", value: "r1" },
+        { name: "X-RateLimit-Remaining", value: "99" },
+        { name: "Date", value: "Mon, 05 Oct 2026 10:00:00 GMT" },
+        { name: "Set-Cookie", value: "sid=abc; Path=/" },
+        { name: "X-Internal", value: "y" },
+      ],
+    }),
+    harEntry({
+      url: "https://example.test/api/orders",
+      responseBody: { ok: true },
+      responseHeaders: [
+        { name: "X-Request-Id", value: "r2" },
+        { name: "X-RateLimit-Remaining", value: "98" },
+      ],
+    }),
+    harEntry({
+      url: "https://example.test/api/orders",
+      status: 429,
+      responseBody: { error: "slow down" },
+      responseHeaders: [{ name: "Retry-After", value: "30" }],
+    }),
+  ];
+}
+
+test("response headers are documented per status", () => {
+  const { code, spec, stderr } = generateSpec(withResponseHeaders(), {
+    RESPONSE_HEADER_DENY_LIST: "x-internal",
+  });
+  assert.equal(code, 0, stderr);
+  const { responses } = spec.paths["/api/orders"].get;
+  const ok = responses["200"].headers;
+  // Transport noise and the deny list are left out
+  assert.deepEqual(Object.keys(ok), [
+    "x-request-id",
+    "x-ratelimit-remaining",
+    "set-cookie",
+  ]);
+  assert.deepEqual(ok["x-ratelimit-remaining"], {
+    required: true,
+    schema: { type: "integer" },
+    example: 99,
+  });
+  // Seen on one of two responses, with the cookie value redacted
+  assert.equal(ok["set-cookie"].required, undefined);
+  assert.equal(ok["set-cookie"].description, "Sets cookie(s): sid");
+  assert.doesNotMatch(ok["set-cookie"].example, /abc/);
+  assert.deepEqual(Object.keys(responses["429"].headers), ["retry-after"]);
+});
+
+test("DOCUMENT_RESPONSE_HEADERS=false leaves response headers out", () => {
+  const { code, spec, stderr } = generateSpec(withResponseHeaders(), {
+    DOCUMENT_RESPONSE_HEADERS: "false",
+  });
+  assert.equal(code, 0, stderr);
+  for (const response of Object.values(
+    spec.paths["/api/orders"].get.responses
+  )) {
+    assert.equal(response.headers, undefined);
+  }
+});
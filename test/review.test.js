@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { generateSpec, harEntry, tmpDir } from "./helpers.js";
+
+const ENTRIES = [
+  harEntry({
+    url: "https://example.test/api/gateway/1/chat/2",
+    responseBody: { n: 1 },
+    startedDateTime: "2026-01-01T00:00:01.000Z",
+  }),
+  harEntry({
+    url: "https://example.test/api/gateway/3/chat/4",
+    responseBody: { n: 2 },
+    startedDateTime: "2026-01-01T00:00:02.000Z",
+  }),
+  harEntry({
+    url: "https://example.test/api/session",
+    responseBody: { ok: true },
+  }),
+];
+
+const DECISIONS = {
+  "GET /api/gateway/{gatewayId}/chat/{chatId}": {
+    action: "accept",
+    path: "/api/gateway/{tenantId}/chat/{chatId}",
+    tag: "chat",
+    summary: "Open a chat",
+    deprecated: true,
+    example: "2026-01-01T00:00:02.000Z",
+  },
+  "GET /api/session": { action: "skip" },
+};
+
+function writeDecisions(dir, name) {
+  fs.writeFileSync(
+    path.join(dir, name),
+    JSON.stringify({ version: 1, endpoints: DECISIONS }, null, 2)
+  );
+}
+
+test("saved review decisions are replayed without --review", () => {
+  const dir = tmpDir();
+  writeDecisions(dir, "decisions.json");
+  const { code, spec, stderr, stdout } = generateSpec(
+    ENTRIES,
+    { REVIEW_FILE: "decisions.json" },
+    [],
+    dir
+  );
+  assert.equal(code, 0, stderr);
+  assert.match(stdout, /Skipped \(review\): +1/);
+  assert.deepEqual(Object.keys(spec.paths), [
+    "/api/gateway/{tenantId}/chat/{chatId}",
+  ]);
+  const op = spec.paths["/api/gateway/{tenantId}/chat/{chatId}"].get;
+  assert.deepEqual(op.tags, ["chat"]);
+  assert.equal(op.summary, "Open a chat");
+  assert.equal(op.deprecated, true);
+  assert.deepEqual(
+    op.parameters.map((p) => [p.name, p.example]),
+    [
+      ["tenantId", "1"],
+      ["chatId", "2"],
+    ]
+  );
+  // The chosen call is the example, not the first one seen
+  assert.deepEqual(
+    op.responses["200"].content["application/json"].examples.fromHar.value,
+    { n: 2 }
+  );
+});
+
+test("the sidecar defaults to <output>.review.json", () => {
+  const dir = tmpDir();
+  writeDecisions(dir, "openapi.review.json");
+  const { code, spec, stderr } = generateSpec(ENTRIES, {}, [], dir);
+  assert.equal(code, 0, stderr);
+  assert.equal(spec.paths["/api/session"], undefined);
+});
+
+test("--review refuses to run without a terminal", () => {
+  const { code, stderr } = generateSpec(ENTRIES, {}, ["--review"]);
+  assert.notEqual(code, 0);
+  assert.match(stderr, /--review needs an interactive terminal/);
+});
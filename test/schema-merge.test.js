@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateSpec, harEntry, resolveRef } from "./helpers.js";
+
+test("schemas merge every captured example of an endpoint", () => {
+  const url = "https://example.test/api/orders/summary";
+  const { code, spec, stderr } = generateSpec([
+    harEntry({ url, responseBody: { id: 1, name: "a", note: null } }),
+    harEntry({ url, responseBody: { id: 2.5, name: "b", extra: true } }),
+  ]);
+  assert.equal(code, 0, stderr);
+
+  const op = spec.paths["/api/orders/summary"].get;
+  const schema = resolveRef(
+    spec,
+    op.responses["200"].content["application/json"].schema
+  );
+  // integer + number widens; keys seen once become optional
+  assert.equal(schema.properties.id.type, "number");
+  assert.ok(schema.properties.extra);
+  assert.ok(schema.properties.note);
+  assert.deepEqual([...schema.required].sort(), ["id", "name"]);
+});
+
+test("component schemas are named per operation", () => {
+  const { code, spec, stderr } = generateSpec([
+    harEntry({
+      method: "POST",
+      url: "https://example.test/api/user/login",
+      requestBody: { email: "a@example.test" },
+      responseBody: { user: "u1" },
+    }),
+    harEntry({
+      method: "POST",
+      url: "https://example.test/api/user/refresh_token",
+      requestBody: { refresh: "r" },
+      responseBody: { user: "u1", expiresIn: 5 },
+    }),
+  ]);
+  assert.equal(code, 0, stderr);
+  const ref = (op, where) =>
+    where === "request"
+      ? op.requestBody.content["application/json"].schema.$ref
+      : op.responses["200"].content["application/json"].schema.$ref;
+  const login = spec.paths["/api/user/login"].post;
+  const refresh = spec.paths["/api/user/refresh_token"].post;
+  assert.equal(
+    ref(login, "request"),
+    "#/components/schemas/PostUserLoginRequest"
+  );
+  assert.equal(ref(login), "#/components/schemas/PostUserLoginResponse");
+  assert.equal(
+    ref(refresh, "request"),
+    "#/components/schemas/PostUserRefreshTokenRequest"
+  );
+  assert.equal(
+    ref(refresh),
+    "#/components/schemas/PostUserRefreshTokenResponse"
+  );
+});
+
+test("nested shapes shared by several operations are hoisted", () => {
+  const page = { total: 1, size: 10 };
+  const { code, spec, stderr } = generateSpec([
+    harEntry({
+      url: "https://example.test/api/orders",
+      responseBody: { data: [{ id: 1 }], page },
+    }),
+    harEntry({
+      url: "https://example.test/api/invoices",
+      responseBody: { data: [{ number: "x" }], page },
+    }),
+  ]);
+  assert.equal(code, 0, stderr);
+  const { schemas } = spec.components;
+  const pageRef = { $ref: "#/components/schemas/GetOrdersResponsePage" };
+  assert.deepEqual(schemas.GetOrdersResponse.properties.page, pageRef);
+  assert.deepEqual(schemas.GetInvoicesResponse.properties.page, pageRef);
+  assert.deepEqual(Object.keys(schemas.GetOrdersResponsePage.properties), [
+    "total",
+    "size",
+  ]);
+  // A shape seen once stays inline
+  assert.equal(schemas.GetOrdersResponse.properties.data.items.type, "object");
+});
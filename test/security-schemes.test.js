@@ -0,0 +1,22 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateSpec, harEntry } from "./helpers.js";
+
+test("session cookies become schemes, CSRF cookies do not", () => {
+  const { code, spec, stderr } = generateSpec([
+    harEntry({
+      url: "https://example.test/api/me",
+      headers: [
+        {
+          name: "Cookie",
+          value: "sessionid=s1; csrftoken=c1; XSRF-TOKEN=x1; _ga=g1",
+        },
+      ],
+      responseBody: { id: 1 },
+    }),
+  ]);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(Object.keys(spec.components.securitySchemes), [
+    "sessionidCookie",
+  ]);
+});
@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import YAML from "yaml";
+import { createHarReader } from "../har-stream.js";
+import {
+  generateSpec,
+  harEntry,
+  resolveRef,
+  runScript,
+  tmpDir,
+} from "./helpers.js";
+
+const ENTRIES = [
+  harEntry({
+    url: "https://example.test/api/orders",
+    // Braces and quotes inside strings must not confuse the scanner
+    responseBody: { note: 'x}{"]\\' },
+  }),
+  harEntry({ method: "DELETE", url: "https://example.test/api/orders/1" }),
+];
+const HAR_TEXT =
+  "\uFEFF" +
+  JSON.stringify({ log: { version: "1.2", entries: ENTRIES } }, null, 1);
+
+async function readAll(file) {
+  const reader = createHarReader(file);
+  const entries = [];
+  for await (const e of reader.entries()) entries.push(e);
+  return { reader, entries };
+}
+
+test("HARs stream entry by entry, gzipped or not", async () => {
+  const dir = tmpDir();
+  const files = {
+    "plain.har": [HAR_TEXT, false],
+    "packed.har.gz": [zlib.gzipSync(HAR_TEXT), true],
+    // Detected by its magic bytes, not the name
+    "packed.har": [zlib.gzipSync(HAR_TEXT), true],
+  };
+  for (const [name, [content, gzip]] of Object.entries(files)) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    const { reader, entries } = await readAll(file);
+    assert.equal(reader.gzip, gzip, name);
+    assert.equal(reader.version, "1.2");
+    assert.equal(reader.count, 2);
+    assert.deepEqual(entries, ENTRIES);
+  }
+});
+
+test("a truncated HAR is an error, not a short read", async () => {
+  const file = path.join(tmpDir(), "cut.har");
+  fs.writeFileSync(file, HAR_TEXT.slice(0, HAR_TEXT.length / 2));
+  await assert.rejects(readAll(file), /HAR is truncated/);
+});
+
+test("comma-separated HAR_FILE inputs are read as one capture", () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, "a.har.gz"), zlib.gzipSync(HAR_TEXT));
+  fs.writeFileSync(
+    path.join(dir, "b.har"),
+    JSON.stringify({
+      log: {
+        entries: [
+          harEntry({
+            url: "https://example.test/api/users",
+            responseBody: { id: 1 },
+          }),
+        ],
+      },
+    })
+  );
+  const out = path.join(dir, "openapi.yaml");
+  const { code, stderr } = runScript("har-to-openapi.js", {
+    cwd: dir,
+    env: {
+      HAR_FILE: "a.har.gz, b.har",
+      BASE_PATH: "/api",
+      OUTPUT_SWAGGER: out,
+      SERVER_URL: "https://example.test",
+    },
+  });
+  assert.equal(code, 0, stderr);
+  const spec = YAML.parse(fs.readFileSync(out, "utf8"));
+  assert.deepEqual(Object.keys(spec.paths).sort(), [
+    "/api/orders",
+    "/api/orders/{orderId}",
+    "/api/users",
+  ]);
+});
+
+test("schemas cover calls past the examples kept per operation", () => {
+  const url = "https://example.test/api/orders";
+  const entries = Array.from({ length: 30 }, (_, i) =>
+    harEntry({
+      url,
+      responseBody: i === 25 ? { id: i, late: true } : { id: i },
+    })
+  );
+  const { code, spec, stderr } = generateSpec(entries);
+  assert.equal(code, 0, stderr);
+  const schema = resolveRef(
+    spec,
+    spec.paths["/api/orders"].get.responses["200"].content["application/json"]
+      .schema
+  );
+  assert.equal(schema.properties.late.type, "boolean");
+  assert.deepEqual(schema.required, ["id"]);
+});
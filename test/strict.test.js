@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { generateSpec, harEntry, tmpDir } from "./helpers.js";
+
+// Merging into a spec with a broken operation makes the result invalid
+const PREVIOUS = `openapi: 3.0.3
+info:
+  title: Previous
+  version: 1.0.0
+paths:
+  /api/old:
+    get:
+      responses: not-an-object
+`;
+
+function invalidRun(args) {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, "openapi.yaml"), PREVIOUS);
+  const run = generateSpec(
+    [harEntry({ url: "https://example.test/api/new", responseBody: {} })],
+    {
+      MERGE_EXISTING: "true",
+      POSTMAN_OUTPUT: path.join(dir, "api.postman_collection.json"),
+    },
+    args,
+    dir
+  );
+  return {
+    ...run,
+    yaml: fs.readFileSync(run.out, "utf8"),
+    postman: fs.existsSync(path.join(dir, "api.postman_collection.json")),
+  };
+}
+
+test("--strict leaves the previous output untouched when validation fails", () => {
+  const run = invalidRun(["--strict"]);
+  assert.equal(run.code, 1);
+  assert.match(run.stdout, /Validation problems/);
+  assert.match(run.stderr, /--strict: generated spec failed validation/);
+  assert.equal(run.yaml, PREVIOUS);
+  assert.equal(run.postman, false);
+});
+
+test("without --strict an invalid spec is still written", () => {
+  const run = invalidRun([]);
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stdout, /Validation problems/);
+  assert.ok(run.spec.paths["/api/new"]);
+  assert.equal(run.postman, true);
+});
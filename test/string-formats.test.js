@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateSpec, harEntry, resolveRef } from "./helpers.js";
+
+function responseSchema(entries, env) {
+  const { code, spec, stderr } = generateSpec(entries, env);
+  assert.equal(code, 0, stderr);
+  const op = spec.paths["/api/tickets"].get;
+  return resolveRef(
+    spec,
+    op.responses["200"].content["application/json"].schema
+  );
+}
+
+const url = "https://example.test/api/tickets";
+
+test("code-like fields with a few values become enums", () => {
+  const statuses = ["OPEN", "CLOSED", "OPEN", "PENDING"];
+  const schema = responseSchema(
+    statuses.map((status, i) =>
+      harEntry({
+        url,
+        responseBody: {
+          status,
+          id: "3f2a1c9e-8b7d-4e6f-a5c4-1b2d3e4f5a6b",
+          email: `u${i}@corp.com`,
+        },
+      })
+    ),
+    { REDACT: "false" }
+  );
+  assert.deepEqual(schema.properties.status.enum, [
+    "CLOSED",
+    "OPEN",
+    "PENDING",
+  ]);
+  assert.equal(schema.properties.id.format, "uuid");
+  assert.equal(schema.properties.email.format, "email");
+});
+
+test("a value that never changed is not an enum", () => {
+  const schema = responseSchema(
+    [1, 2, 3, 4].map(() =>
+      harEntry({ url, responseBody: { name: "Zubair", token: "t-1" } })
+    )
+  );
+  assert.equal(schema.properties.name.enum, undefined);
+  assert.equal(schema.properties.token.enum, undefined);
+});
+
+test("redaction placeholders never become enum values", () => {
+  const schema = responseSchema(
+    ["t-1", "t-2", "t-1", "t-2"].map((token) =>
+      harEntry({ url, responseBody: { token } })
+    )
+  );
+  assert.equal(schema.properties.token.enum, undefined);
+});
@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseTextBody } from "../text-formats.js";
+import { generateSpec, harEntry, resolveRef } from "./helpers.js";
+
+test("structured text bodies parse by media type", () => {
+  assert.deepEqual(
+    parseTextBody("application/x-ndjson", '{"a":1}\n{"a":2}\n'),
+    {
+      kind: "ndjson",
+      value: [{ a: 1 }, { a: 2 }],
+    }
+  );
+  assert.deepEqual(parseTextBody("text/csv", "id,name\n1,x\n"), {
+    kind: "csv",
+    value: [{ id: 1, name: "x" }],
+  });
+  assert.deepEqual(
+    parseTextBody("text/event-stream", 'event: tick\ndata: {"n":1}\n\n').value,
+    [{ event: "tick", data: { n: 1 } }]
+  );
+  assert.equal(parseTextBody("application/xml", "<a><b>1</b></a>").kind, "xml");
+});
+
+test("HTML is never parsed", () => {
+  const page = "<html><body><p>Hi</p></body></html>";
+  assert.equal(parseTextBody("text/html", page), undefined);
+  assert.equal(parseTextBody("application/xhtml+xml", page), undefined);
+});
+
+test("HTML responses are documented as strings", () => {
+  const page = "<!doctype html><html><body><p>Hi</p></body></html>";
+  const { code, spec, stderr } = generateSpec([
+    harEntry({
+      url: "https://example.test/api/page",
+      responseBody: page,
+      responseMimeType: "text/html; charset=utf-8",
+    }),
+  ]);
+  assert.equal(code, 0, stderr);
+  const media =
+    spec.paths["/api/page"].get.responses["200"].content["text/html"];
+  assert.deepEqual(media.schema, { type: "string" });
+  assert.equal(media.examples.fromHar.value, page);
+});
+
+test("a one-line NDJSON body keeps its media type", () => {
+  const { code, spec, stderr } = generateSpec([
+    harEntry({
+      method: "POST",
+      url: "https://example.test/api/feed",
+      requestBody: '{"q":1}\n',
+      requestMimeType: "application/x-ndjson",
+      responseBody: '{"a":1}\n',
+      responseMimeType: "application/x-ndjson",
+    }),
+  ]);
+  assert.equal(code, 0, stderr);
+  const op = spec.paths["/api/feed"].post;
+  assert.deepEqual(Object.keys(op.requestBody.content), [
+    "application/x-ndjson",
+  ]);
+  const media = op.responses["200"].content["application/x-ndjson"];
+  assert.ok(media, JSON.stringify(op.responses));
+  assert.equal(resolveRef(spec, media.schema).type, "array");
+});
+
+test("structured text examples carry no secrets", () => {
+  const url = "https://example.test/api/stream";
+  const { code, out, stderr } = generateSpec([
+    harEntry({
+      url: `${url}/ndjson`,
+      responseBody: '{"access_token":"opaque-secret-1"}\n{"n":2}\n',
+      responseMimeType: "application/x-ndjson",
+    }),
+    harEntry({
+      url: `${url}/sse`,
+      responseBody: 'data: {"password":"hunter2"}\n\n',
+      responseMimeType: "text/event-stream",
+    }),
+    harEntry({
+      url: `${url}/xml`,
+      responseBody: "<auth><token>opaque-xml-secret</token></auth>",
+      responseMimeType: "application/xml",
+    }),
+    harEntry({
+      url: `${url}/csv`,
+      responseBody: "user,password\nbob,hunter3\n",
+      responseMimeType: "text/csv",
+    }),
+  ]);
+  assert.equal(code, 0, stderr);
+  const yaml = fs.readFileSync(out, "utf8");
+  assert.doesNotMatch(
+    yaml,
+    /opaque-secret-1|hunter2|opaque-xml-secret|hunter3/
+  );
+});
@@ -0,0 +1,256 @@
+/**
+ * Structured text bodies that are not plain JSON
+ *
+ * Turns a captured body into a JSON value that schema inference can use:
+ * - text/event-stream: one object per event ({ event, id, data }), with
+ *   `data` parsed as JSON when it is JSON
+ * - NDJSON / JSON Lines: one value per line
+ * - CSV / TSV: one object per row, the header row naming the properties
+ * - XML: an object per element; attributes and child elements become
+ *   properties and repeated children become arrays
+ *
+ * HTML (text/html, application/xhtml+xml) is not parsed: pages are
+ * documented as a string, with the captured markup as the example.
+ *
+ * The captured text itself is still what ends up in examples.
+ */
+
+const NDJSON_MIME_TYPES = [
+  "application/x-ndjson",
+  "application/ndjson",
+  "application/jsonl",
+  "application/x-jsonlines",
+  "application/jsonlines",
+];
+const CSV_MIME_TYPES = ["text/csv", "application/csv"];
+const TSV_MIME_TYPES = ["text/tab-separated-values"];
+
+function safeJsonParse(str) {
+  try {
+    return JSON.parse(str);
+  } catch {
+    return undefined;
+  }
+}
+
+// Text values from CSV cells / XML nodes: numbers and booleans are typed
+function coerceScalar(text) {
+  const t = text.trim();
+  if (t === "") return null;
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(t) && t.length < 16) return Number(t);
+  if (t === "true" || t === "false") return t === "true";
+  return text;
+}
+
+/**
+ * Split a Server-Sent Events stream into events. Comment lines (":...")
+ * are dropped and events without data are skipped.
+ */
+export function parseEventStream(text) {
+  const events = [];
+  for (const block of text.replace(/\r\n?/g, "\n").split(/\n{2,}/)) {
+    const data = [];
+    const event = {};
+    for (const line of block.split("\n")) {
+      if (!line || line.startsWith(":")) continue;
+      const i = line.indexOf(":");
+      const field = i === -1 ? line : line.slice(0, i);
+      const value = i === -1 ? "" : line.slice(i + 1).replace(/^ /, "");
+      if (field === "data") data.push(value);
+      else if (field === "event" || field === "id") event[field] = value;
+      else if (field === "retry") event.retry = Number(value);
+    }
+    if (!data.length) continue;
+    const raw = data.join("\n");
+    const parsed = safeJsonParse(raw);
+    events.push({
+      event: event.event || "message",
+      ...(event.id !== undefined ? { id: event.id } : {}),
+      ...(event.retry !== undefined ? { retry: event.retry } : {}),
+      data: parsed === undefined ? raw : parsed,
+    });
+  }
+  return events;
+}
+
+/** NDJSON media types, which keep their type even for a one-line body. */
+export function isNdjsonMime(mimeType) {
+  const mime = (mimeType || "").split(";")[0].trim().toLowerCase();
+  return NDJSON_MIME_TYPES.includes(mime);
+}
+
+/** One JSON value per non-empty line; undefined if any line is not JSON. */
+export function parseNdjson(text) {
+  const out = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const v = safeJsonParse(line);
+    if (v === undefined) return undefined;
+    out.push(v);
+  }
+  return out.length ? out : undefined;
+}
+
+/**
+ * RFC 4180 style rows (quoted cells, doubled quotes, embedded newlines)
+ * mapped onto the header row.
+ */
+export function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"' && cell === "") {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter((r) => r.some((c) => c !== ""));
+  if (!header || !body.length) return undefined;
+  return body.map((r) =>
+    Object.fromEntries(header.map((h, i) => [h, coerceScalar(r[i] ?? "")]))
+  );
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) =>
+      String.fromCodePoint(parseInt(h, 16))
+    )
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function xmlNodeValue(node) {
+  const keys = Object.keys(node.props);
+  const text = node.text.trim();
+  if (!keys.length) return coerceScalar(decodeXmlEntities(text));
+  if (!text) return node.props;
+  return { ...node.props, "#text": coerceScalar(decodeXmlEntities(text)) };
+}
+
+/**
+ * Parse an XML document into { root, value }. Returns undefined when the
+ * text is not well-formed enough to map (unbalanced tags, no root element).
+ */
+export function parseXml(text) {
+  const src = text
+    .replace(/<\?[\s\S]*?\?>/g, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, d) =>
+      d.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+    );
+
+  const tagRe =
+    /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const attrRe = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const stack = [];
+  let root;
+
+  const close = (node) => {
+    const value = xmlNodeValue(node);
+    const parent = stack[stack.length - 1];
+    if (!parent) {
+      root = { root: node.name, value };
+      return;
+    }
+    const prev = parent.props[node.name];
+    if (prev === undefined) {
+      parent.props[node.name] = value;
+    } else if (parent.lists.has(node.name)) {
+      prev.push(value);
+    } else {
+      parent.props[node.name] = [prev, value];
+      parent.lists.add(node.name);
+    }
+  };
+
+  let m;
+  while ((m = tagRe.exec(src))) {
+    const [, closing, name, attrs, selfClosing, chars] = m;
+    if (chars !== undefined) {
+      if (stack.length) stack[stack.length - 1].text += chars;
+      else if (chars.trim()) return undefined;
+      continue;
+    }
+    if (closing) {
+      const node = stack.pop();
+      if (!node || node.name !== name) return undefined;
+      close(node);
+      continue;
+    }
+    if (root) return undefined; // second root element
+    const node = { name, props: {}, text: "", lists: new Set() };
+    for (const a of (attrs || "").matchAll(attrRe)) {
+      node.props[a[1]] = coerceScalar(decodeXmlEntities(a[2] ?? a[3]));
+    }
+    if (selfClosing) close(node);
+    else stack.push(node);
+  }
+  return root && !stack.length ? root : undefined;
+}
+
+/**
+ * Parse a body by media type. Returns { kind, value } for the formats
+ * above, or undefined when the media type is not one of them or the text
+ * does not parse.
+ */
+export function parseTextBody(mimeType, text) {
+  const mime = (mimeType || "").split(";")[0].trim().toLowerCase();
+  if (typeof text !== "string" || !text.trim()) return undefined;
+
+  let kind;
+  let value;
+  if (mime === "text/event-stream") {
+    kind = "sse";
+    value = parseEventStream(text);
+    if (!value.length) value = undefined;
+  } else if (NDJSON_MIME_TYPES.includes(mime)) {
+    kind = "ndjson";
+    value = parseNdjson(text);
+  } else if (CSV_MIME_TYPES.includes(mime) || TSV_MIME_TYPES.includes(mime)) {
+    kind = "csv";
+    value = parseCsv(text, TSV_MIME_TYPES.includes(mime) ? "\t" : ",");
+  } else if (
+    (mime === "application/xml" ||
+      mime === "text/xml" ||
+      mime.endsWith("+xml")) &&
+    mime !== "image/svg+xml" &&
+    mime !== "application/xhtml+xml"
+  ) {
+    kind = "xml";
+    value = parseXml(text);
+  }
+  return value === undefined ? undefined : { kind, value };
+}